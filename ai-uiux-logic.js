@@ -1,30 +1,43 @@
-export function generateNextUIUXQuestion(session) {
-  const questions = [
-    "🎯 ما هو نوع المشروع (موقع، تطبيق موبايل، لوحة تحكم...؟)",
-    "🎨 ما الألوان أو النمط الذي تفضله في التصميم؟",
-    "🧩 هل تفضل واجهة بسيطة أم تحتوي على تفاصيل كثيرة؟",
-    "📱 ما الفئة المستهدفة من المستخدمين؟",
-    "💡 هل هناك مواقع أو تطبيقات تعجبك من حيث الشكل؟",
-    "📐 ما العناصر الأساسية التي تريدها في الصفحة الرئيسية؟",
-  ];
+import { translate } from "./services/i18n.js";
 
-  if (session.progress >= questions.length) return "done";
-  return questions[session.progress];
+// 🎨 أسئلة وضع UI/UX: كل سؤال مرتبط بحقل من ملخص التصميم (design brief)
+// نص السؤال بكل لغة في كتالوج الرسائل: uiux.questions.<key>
+export const UIUX_QUESTIONS = ["platform", "palette", "style", "audience", "inspirations", "keyScreens"].map(key => ({ key }));
+
+// ⬇️ نص سؤال حسب اللغة
+export function uiuxQuestionText(key, locale) {
+  return translate(locale, `uiux.questions.${key}`);
+}
+
+// ⬇️ السؤال التالي حسب تقدم الجلسة: { key, question } (null إذا انتهت الأسئلة)
+export function generateNextUIUXQuestion(session, locale) {
+  if (session.progress >= UIUX_QUESTIONS.length) return null;
+  const { key } = UIUX_QUESTIONS[session.progress];
+  return { key, question: uiuxQuestionText(key, locale) };
 }
 
-export function summarizeUIUXDesign(answers) {
-  return `
-🧠 تحليل واجهة المستخدم بناءً على إجاباتك:
-- نوع المشروع: ${answers[0] || "غير محدد"}
-- الألوان المفضلة: ${answers[1] || "غير محددة"}
-- النمط العام: ${answers[2] || "غير محدد"}
-- الفئة المستهدفة: ${answers[3] || "غير محددة"}
-- مصدر الإلهام: ${answers[4] || "غير محدد"}
-- المكونات الرئيسية: ${answers[5] || "غير محددة"}
+// ⬇️ تقسيم إجابة إلى عناصر قائمة (ألوان، مصادر إلهام، شاشات...)
+function toList(answer) {
+  return String(answer || "")
+    .split(/\n|[،,;؛]|\s+(?:و|and|et)\s+/)
+    .map(item => item.replace(/^\s*[-*•]\s*/, "").trim())
+    .filter(Boolean);
+}
 
-🎨 النتيجة:
-سيتم إنشاء تصميم بواجهة ${answers[2] || "حديثة"} باستخدام ألوان ${answers[1] || "محايدة"} 
-موجهة إلى ${answers[3] || "المستخدم العام"}، 
-مع التركيز على تجربة مستخدم سلسة وواجهة متجاوبة لجميع الأجهزة.
-  `;
+// ⬇️ ملخص التصميم مباشرة من الإجابات (يُستعمل عند عدم توفر AI)
+export function summarizeUIUXDesign(answers, locale) {
+  const t = (key, params) => translate(locale, `uiux.brief.${key}`, params);
+  return {
+    platform: answers.platform || t("unspecified"),
+    palette: toList(answers.palette),
+    style: answers.style || t("defaultStyle"),
+    audience: answers.audience || t("defaultAudience"),
+    inspirations: toList(answers.inspirations),
+    keyScreens: toList(answers.keyScreens),
+    notes: t("notes", {
+      style: answers.style || t("notesStyle"),
+      palette: answers.palette || t("notesPalette"),
+      audience: answers.audience || t("defaultAudience"),
+    }),
+  };
 }
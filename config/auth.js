@@ -0,0 +1,17 @@
+import dotenv from "dotenv";
+dotenv.config();
+
+// 🔐 مفتاح توقيع JWT: إلزامي في الإنتاج
+if (!process.env.SECRET_KEY && process.env.NODE_ENV === "production") {
+  throw new Error("SECRET_KEY must be set in production");
+}
+export const SECRET_KEY = process.env.SECRET_KEY || "dev-only-secret-key";
+
+// ⏳ مدة صلاحية التوكنات
+export const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || "15m";
+export const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+export const PASSWORD_RESET_TTL_MINUTES = Number(process.env.PASSWORD_RESET_TTL_MINUTES) || 30;
+
+// 🔗 رابط الواجهة الأمامية لصفحة إعادة تعيين كلمة المرور
+export const PASSWORD_RESET_URL =
+  process.env.PASSWORD_RESET_URL || "http://localhost:3000/reset-password";
@@ -0,0 +1,99 @@
+// 📏 معايير مراجعة النماذج (حاضنة 3win): تُستعمل في الفحوص الثابتة وفي prompt المراجعة بالذكاء الاصطناعي
+
+// ⬇️ الحد الأدنى لعدد الكلمات: أقل منه = إجابة قصيرة جداً، ومن goodWords فما فوق = إجابة مفصّلة
+export const ANSWER_LENGTH = {
+  minWords: 4,
+  goodWords: 12,
+};
+
+// ⬇️ عبارات عامة أو غامضة لا تصلح كإجابة (عربية، دارجة، فرنسية، إنجليزية)
+export const VAGUE_TERMS = [
+  "الجميع", "كل الناس", "كل شخص", "أي شخص", "لا أعرف", "لا اعرف", "غير محدد", "إلخ", "الخ", "وغيرها",
+  "قاع الناس", "ما نعرفش", "بزاف",
+  "tout le monde", "je ne sais pas", "etc",
+  "everyone", "everybody", "anyone", "anything", "i don't know", "not sure", "n/a", "tbd",
+];
+
+// ⬇️ معايير التقييم العامة (0 إلى 5) المرسلة للذكاء الاصطناعي
+export const RUBRIC_CRITERIA = [
+  "الوضوح: الإجابة محددة ومفهومة بدون عبارات عامة",
+  "الدقة: تذكر أسماء أو أرقاماً أو أمثلة ملموسة",
+  "الملاءمة: تجيب فعلاً عن سؤال القسم",
+  "التناسق: لا تتناقض مع الأقسام الأخرى في النموذج",
+  "الواقعية: قابلة للتنفيذ في سياق مشروع طلابي ناشئ",
+];
+
+// 🔗 الروابط المتوقعة بين الأقسام لكل قالب
+// from يجب أن يشير إلى شيء مذكور في to (كلمات مشتركة)، أو إلى إحدى الكلمات المفتاحية keywords في to
+// نص الملاحظة والاقتراح في كتالوج الرسائل: review.links.<قالب>.<code>
+export const SECTION_LINKS = {
+  bmc: [
+    {
+      code: "revenue_without_segment",
+      from: "revenue",
+      to: "customers",
+    },
+    {
+      code: "channels_without_cost",
+      from: "channels",
+      to: "costs",
+      keywords: ["تسويق", "إشهار", "إعلان", "توصيل", "شحن", "نقل", "marketing", "publicité", "livraison", "ads", "delivery", "shipping"],
+    },
+    {
+      code: "resources_without_cost",
+      from: "resources",
+      to: "costs",
+      keywords: ["رواتب", "أجور", "كراء", "إيجار", "معدات", "salaires", "loyer", "équipement", "salaries", "rent", "equipment"],
+    },
+    {
+      code: "value_without_segment",
+      from: "value",
+      to: "customers",
+    },
+    {
+      code: "relationships_without_segment",
+      from: "relationships",
+      to: "customers",
+    },
+  ],
+  lean: [
+    {
+      code: "problem_without_segment",
+      from: "problem",
+      to: "customers",
+    },
+    {
+      code: "solution_without_problem",
+      from: "solution",
+      to: "problem",
+    },
+    {
+      code: "revenue_without_segment",
+      from: "revenue",
+      to: "customers",
+    },
+    {
+      code: "channels_without_cost",
+      from: "channels",
+      to: "costs",
+      keywords: ["تسويق", "إشهار", "إعلان", "توصيل", "marketing", "publicité", "livraison", "ads", "delivery"],
+    },
+  ],
+  vpc: [
+    {
+      code: "relievers_without_pain",
+      from: "relievers",
+      to: "pains",
+    },
+    {
+      code: "creators_without_gain",
+      from: "creators",
+      to: "gains",
+    },
+    {
+      code: "products_without_job",
+      from: "products",
+      to: "jobs",
+    },
+  ],
+};
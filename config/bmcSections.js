@@ -1,11 +0,0 @@
-export const BMC_SECTIONS = [
-  { key: "partners", title: "الشركاء الرئيسيون", starter: "من هم الشركاء أو الموردون الأساسيون في مشروعك؟" },
-  { key: "activities", title: "الأنشطة الرئيسية", starter: "ما هي أهم الأنشطة التي يقوم بها مشروعك؟" },
-  { key: "resources", title: "الموارد الرئيسية", starter: "ما الموارد التي يحتاجها مشروعك للنجاح؟" },
-  { key: "value", title: "القيمة المقترحة", starter: "ما هي القيمة أو الفائدة التي تقدمها للعملاء؟" },
-  { key: "customers", title: "شرائح العملاء", starter: "من هم العملاء الذين تستهدفهم؟" },
-  { key: "channels", title: "قنوات التوزيع", starter: "كيف تصل إلى عملائك؟" },
-  { key: "relationships", title: "علاقات العملاء", starter: "كيف تحافظ على علاقتك بعملائك؟" },
-  { key: "revenue", title: "مصادر الإيرادات", starter: "كيف يحقق مشروعك الدخل؟" },
-  { key: "costs", title: "هيكل التكاليف", starter: "ما هي أهم التكاليف في مشروعك؟" },
-];
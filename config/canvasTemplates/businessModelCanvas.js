@@ -0,0 +1,74 @@
+// 📋 نموذج العمل التجاري (Business Model Canvas)
+// cell: موقع القسم في شبكة grid (من اليسار إلى اليمين؛ تصدير PDF يعكسها للعربية)
+export default {
+  id: "bmc",
+  version: 1,
+  title: "نموذج العمل التجاري",
+  titleEn: "Business Model Canvas",
+  grid: { columns: 10, rows: 3 },
+  sections: [
+    {
+      key: "partners",
+      title: "الشركاء الرئيسيون",
+      titleEn: "Key Partners",
+      starter: "من هم الشركاء أو الموردون الأساسيون في مشروعك؟",
+      cell: { x: 0, y: 0, w: 2, h: 2 },
+    },
+    {
+      key: "activities",
+      title: "الأنشطة الرئيسية",
+      titleEn: "Key Activities",
+      starter: "ما هي أهم الأنشطة التي يقوم بها مشروعك؟",
+      cell: { x: 2, y: 0, w: 2, h: 1 },
+    },
+    {
+      key: "resources",
+      title: "الموارد الرئيسية",
+      titleEn: "Key Resources",
+      starter: "ما الموارد التي يحتاجها مشروعك للنجاح؟",
+      cell: { x: 2, y: 1, w: 2, h: 1 },
+    },
+    {
+      key: "value",
+      title: "القيمة المقترحة",
+      titleEn: "Value Propositions",
+      starter: "ما هي القيمة أو الفائدة التي تقدمها للعملاء؟",
+      cell: { x: 4, y: 0, w: 2, h: 2 },
+    },
+    {
+      key: "customers",
+      title: "شرائح العملاء",
+      titleEn: "Customer Segments",
+      starter: "من هم العملاء الذين تستهدفهم؟",
+      cell: { x: 8, y: 0, w: 2, h: 2 },
+    },
+    {
+      key: "channels",
+      title: "قنوات التوزيع",
+      titleEn: "Channels",
+      starter: "كيف تصل إلى عملائك؟",
+      cell: { x: 6, y: 1, w: 2, h: 1 },
+    },
+    {
+      key: "relationships",
+      title: "علاقات العملاء",
+      titleEn: "Customer Relationships",
+      starter: "كيف تحافظ على علاقتك بعملائك؟",
+      cell: { x: 6, y: 0, w: 2, h: 1 },
+    },
+    {
+      key: "revenue",
+      title: "مصادر الإيرادات",
+      titleEn: "Revenue Streams",
+      starter: "كيف يحقق مشروعك الدخل؟",
+      cell: { x: 5, y: 2, w: 5, h: 1 },
+    },
+    {
+      key: "costs",
+      title: "هيكل التكاليف",
+      titleEn: "Cost Structure",
+      starter: "ما هي أهم التكاليف في مشروعك؟",
+      cell: { x: 0, y: 2, w: 5, h: 1 },
+    },
+  ],
+};
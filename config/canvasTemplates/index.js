@@ -0,0 +1,33 @@
+import businessModelCanvas from "./businessModelCanvas.js";
+import leanCanvas from "./leanCanvas.js";
+import valuePropositionCanvas from "./valuePropositionCanvas.js";
+
+// 🗂️ سجل قوالب النماذج: templates[id][version]
+// عند تعديل قالب نضيف نسخة جديدة بدل تغيير القديمة، حتى تبقى الجلسات السابقة صالحة
+const templates = {};
+
+function registerTemplate(template) {
+  templates[template.id] = { ...templates[template.id], [template.version]: template };
+}
+
+[businessModelCanvas, leanCanvas, valuePropositionCanvas].forEach(registerTemplate);
+
+export const DEFAULT_TEMPLATE_ID = "bmc";
+
+// ⬇️ جلب قالب حسب المعرّف والنسخة (آخر نسخة إذا لم تُحدد)، أو null
+export function getCanvasTemplate(id = DEFAULT_TEMPLATE_ID, version) {
+  const versions = templates[id];
+  if (!versions) return null;
+  const latest = Math.max(...Object.keys(versions).map(Number));
+  return versions[version || latest] || null;
+}
+
+// ⬇️ قائمة القوالب المتاحة (آخر نسخة من كل قالب)
+export function listCanvasTemplates() {
+  return Object.keys(templates).map(id => getCanvasTemplate(id));
+}
+
+// 🔁 أسماء أقسام BMC القديمة (قبل سجل القوالب) ومفاتيحها الجديدة
+export const LEGACY_BMC_SECTION_KEYS = Object.fromEntries(
+  businessModelCanvas.sections.map(section => [section.titleEn, section.key])
+);
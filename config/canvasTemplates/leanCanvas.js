@@ -0,0 +1,73 @@
+// 📋 النموذج الرشيق (Lean Canvas)
+export default {
+  id: "lean",
+  version: 1,
+  title: "النموذج الرشيق",
+  titleEn: "Lean Canvas",
+  grid: { columns: 10, rows: 3 },
+  sections: [
+    {
+      key: "problem",
+      title: "المشكلة",
+      titleEn: "Problem",
+      starter: "ما هي أهم ثلاث مشاكل يعاني منها عملاؤك؟",
+      cell: { x: 0, y: 0, w: 2, h: 2 },
+    },
+    {
+      key: "customers",
+      title: "شرائح العملاء",
+      titleEn: "Customer Segments",
+      starter: "من هم العملاء الذين يعانون من هذه المشكلة؟",
+      cell: { x: 8, y: 0, w: 2, h: 2 },
+    },
+    {
+      key: "uvp",
+      title: "القيمة الفريدة المقترحة",
+      titleEn: "Unique Value Proposition",
+      starter: "ما الرسالة الواضحة التي تجعل مشروعك مختلفاً ويستحق الاهتمام؟",
+      cell: { x: 4, y: 0, w: 2, h: 2 },
+    },
+    {
+      key: "solution",
+      title: "الحل",
+      titleEn: "Solution",
+      starter: "ما هي أهم ثلاث ميزات في حلك؟",
+      cell: { x: 2, y: 0, w: 2, h: 1 },
+    },
+    {
+      key: "channels",
+      title: "القنوات",
+      titleEn: "Channels",
+      starter: "كيف ستصل إلى عملائك؟",
+      cell: { x: 6, y: 1, w: 2, h: 1 },
+    },
+    {
+      key: "revenue",
+      title: "مصادر الإيرادات",
+      titleEn: "Revenue Streams",
+      starter: "كيف يحقق مشروعك الدخل؟",
+      cell: { x: 5, y: 2, w: 5, h: 1 },
+    },
+    {
+      key: "costs",
+      title: "هيكل التكاليف",
+      titleEn: "Cost Structure",
+      starter: "ما هي أهم التكاليف في مشروعك؟",
+      cell: { x: 0, y: 2, w: 5, h: 1 },
+    },
+    {
+      key: "metrics",
+      title: "المؤشرات الرئيسية",
+      titleEn: "Key Metrics",
+      starter: "ما هي الأرقام التي تقيس بها نجاح مشروعك؟",
+      cell: { x: 2, y: 1, w: 2, h: 1 },
+    },
+    {
+      key: "advantage",
+      title: "الميزة التنافسية",
+      titleEn: "Unfair Advantage",
+      starter: "ما الذي يملكه مشروعك ولا يمكن نسخه أو شراؤه بسهولة؟",
+      cell: { x: 6, y: 0, w: 2, h: 1 },
+    },
+  ],
+};
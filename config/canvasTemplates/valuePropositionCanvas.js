@@ -0,0 +1,52 @@
+// 📋 نموذج القيمة المقترحة (Value Proposition Canvas)
+export default {
+  id: "vpc",
+  version: 1,
+  title: "نموذج القيمة المقترحة",
+  titleEn: "Value Proposition Canvas",
+  grid: { columns: 6, rows: 2 },
+  sections: [
+    {
+      key: "jobs",
+      title: "مهام العميل",
+      titleEn: "Customer Jobs",
+      starter: "ما المهام التي يحاول عميلك إنجازها؟",
+      cell: { x: 5, y: 0, w: 1, h: 2 },
+    },
+    {
+      key: "pains",
+      title: "آلام العميل",
+      titleEn: "Pains",
+      starter: "ما الذي يزعج عميلك أو يعيقه؟",
+      cell: { x: 3, y: 1, w: 2, h: 1 },
+    },
+    {
+      key: "gains",
+      title: "مكاسب العميل",
+      titleEn: "Gains",
+      starter: "ما النتائج التي يتمناها عميلك؟",
+      cell: { x: 3, y: 0, w: 2, h: 1 },
+    },
+    {
+      key: "products",
+      title: "المنتجات والخدمات",
+      titleEn: "Products & Services",
+      starter: "ما المنتجات أو الخدمات التي تقدمها؟",
+      cell: { x: 0, y: 0, w: 1, h: 2 },
+    },
+    {
+      key: "relievers",
+      title: "مخففات الألم",
+      titleEn: "Pain Relievers",
+      starter: "كيف يخفف منتجك آلام العميل؟",
+      cell: { x: 1, y: 1, w: 2, h: 1 },
+    },
+    {
+      key: "creators",
+      title: "صانعات المكاسب",
+      titleEn: "Gain Creators",
+      starter: "كيف يحقق منتجك المكاسب التي يتمناها العميل؟",
+      cell: { x: 1, y: 0, w: 2, h: 1 },
+    },
+  ],
+};
@@ -0,0 +1,28 @@
+// 🎨 الكلمات المفتاحية للعلامة التجارية → درجة اللون (hue بالدرجات على دائرة الألوان)
+// تُستعمل في مولّد لوحات الألوان (services/colorService.js) عند غياب لون أساسي (seed)
+// أسماء الألوان نفسها أولاً (أزرق، bleu...)، ثم المجالات والقيم (زراعة، ثقة...)
+// الكلمات تُوحَّد تلقائياً (همزات، تاء مربوطة، تشكيل) فلا حاجة لكتابة كل الأشكال
+export const BRAND_HUES = [
+  { key: "red", hue: 4, keywords: ["أحمر", "حمراء", "rouge", "red", "passion", "شغف", "سرعة", "vitesse", "speed"] },
+  {
+    key: "orange",
+    hue: 24,
+    keywords: ["برتقالي", "orange", "مطعم", "أكل", "طعام", "مأكولات", "حلويات", "restaurant", "cuisine", "food", "bakery", "boulangerie", "مخبزة", "مقهى", "قهوة", "café", "coffee", "طاقة", "énergie", "energy"],
+  },
+  { key: "yellow", hue: 45, keywords: ["أصفر", "ذهبي", "jaune", "doré", "yellow", "gold", "شمس", "شمسية", "solaire", "solar", "sun", "أطفال", "enfants", "kids"] },
+  {
+    key: "green",
+    hue: 130,
+    keywords: ["أخضر", "vert", "green", "زراعة", "فلاحة", "طبيعة", "بيئة", "نبات", "agriculture", "nature", "environnement", "environment", "eco", "écologie", "bio", "organic", "plante"],
+  },
+  { key: "teal", hue: 172, keywords: ["تركواز", "turquoise", "teal", "صحة", "طبي", "صيدلية", "santé", "médical", "pharmacie", "health", "medical", "wellness"] },
+  { key: "cyan", hue: 195, keywords: ["سماوي", "cyan", "ماء", "بحر", "eau", "mer", "water", "sea", "ocean", "نظافة", "propreté", "cleaning"] },
+  {
+    key: "blue",
+    hue: 212,
+    keywords: ["أزرق", "bleu", "blue", "ثقة", "مهني", "تقنية", "تكنولوجيا", "برمجة", "مالية", "بنك", "confiance", "professionnel", "technologie", "finance", "banque", "trust", "professional", "tech", "technology", "software", "fintech"],
+  },
+  { key: "indigo", hue: 235, keywords: ["نيلي", "كحلي", "indigo", "marine", "navy", "تعليم", "مدرسة", "تكوين", "éducation", "formation", "école", "education", "school", "learning"] },
+  { key: "purple", hue: 275, keywords: ["بنفسجي", "violet", "purple", "فخامة", "إبداع", "luxe", "créativité", "luxury", "creative", "creativity"] },
+  { key: "pink", hue: 330, keywords: ["وردي", "rose", "pink", "تجميل", "موضة", "أزياء", "beauté", "mode", "beauty", "fashion", "cosmetics"] },
+];
@@ -0,0 +1,15 @@
+import dotenv from "dotenv";
+dotenv.config();
+
+// 🗄️ ملف قاعدة البيانات الموحّدة
+// في الإنتاج (Railway) يجب أن يشير DATABASE_PATH إلى قرص دائم (volume)، لأن /tmp يُمسح عند إعادة التشغيل
+export const DATABASE_PATH = process.env.DATABASE_PATH || "./app.sqlite";
+
+// 🧳 ملفات القاعدتين القديمتين: تُدمج بياناتهما مرة واحدة في القاعدة الموحّدة (migrations/002)
+// app: المستخدمون والمشاريع والتصميمات (index.js سابقاً)، startups: جلسات BMC و UI/UX والتوكنات وبيانات AI
+export const LEGACY_DATABASE_PATHS = {
+  app:
+    process.env.LEGACY_APP_DB_PATH ||
+    (process.env.NODE_ENV === "production" ? "/tmp/database.sqlite" : "./database.sqlite"),
+  startups: process.env.LEGACY_STARTUPS_DB_PATH || "./startups.db",
+};
@@ -0,0 +1,58 @@
+// 🏷️ نوايا مساعد التصميم: الكلمات المفتاحية (عربية، دارجة، فرنسية، إنجليزية)
+// الاسم المعروض ونصائح الرد الاحتياطي لكل نية في كتالوج الرسائل: intents.<key>
+// strong: كلمة تدل على النية وحدها، weak: كلمة مساعدة (عرض، ألوان...) قد تعني أكثر من نية
+// الكلمات تُوحَّد تلقائياً (همزات، تاء مربوطة، تشكيل)، وتُحذف "ال" والضمائر والجمع السالم من كلمات الرسالة
+// أما جمع التكسير (مواقع، أغلفة...) فيُكتب صراحة
+export const DESIGN_INTENTS = [
+  {
+    key: "logo",
+    strong: ["شعار", "لوجو", "لوغو", "لوقو", "لوڨو", "logo", "logotype", "logotipo"],
+    weak: ["أيقونة", "رمز", "icon", "icône", "emblem", "emblème"],
+  },
+  {
+    key: "website",
+    strong: [
+      "موقع", "مواقع", "ويب", "صفحة هبوط", "متجر إلكتروني", "سيت", "ويبسايت", "سيت ويب",
+      "website", "site", "site web", "web", "landing page", "page d'accueil", "online store", "e-commerce", "boutique en ligne",
+    ],
+    weak: ["تطبيق", "أبليكاسيون", "صفحة", "app", "application", "page", "homepage", "ui", "ux"],
+  },
+  {
+    key: "visual_identity",
+    strong: [
+      "هوية بصرية", "هوية", "براند", "براندينغ", "علامة تجارية", "دليل الهوية",
+      "identité visuelle", "charte graphique", "branding", "brand", "brand identity", "visual identity", "style guide",
+    ],
+    weak: ["ألوان", "لونات", "خط", "خطوط", "couleurs", "palette", "typographie", "police", "colors", "colours", "typography", "font", "fonts", "marque"],
+  },
+  {
+    key: "cover",
+    strong: ["غلاف", "أغلفة", "كوفر", "couverture", "cover", "book cover", "ebook"],
+    weak: ["كتاب", "مجلة", "كتيب", "livre", "magazine", "brochure", "book"],
+  },
+  {
+    key: "social_posts",
+    strong: [
+      "منشور", "منشورات", "بوست", "بوسطات", "سوشيال", "سوشيال ميديا", "ستوري", "ستوريات", "ريلز",
+      "انستغرام", "انستقرام", "فيسبوك", "تيك توك",
+      "publication", "réseaux sociaux", "social media", "post", "story", "reel", "instagram", "facebook", "tiktok", "linkedin",
+    ],
+    weak: ["محتوى", "contenu", "content", "feed"],
+  },
+  {
+    key: "presentation",
+    strong: [
+      "عرض تقديمي", "عروض تقديمية", "شرائح", "بوربوينت", "باوربوينت", "بريزنتاسيون", "سلايدات",
+      "présentation", "diaporama", "diapo", "powerpoint", "presentation", "slides", "slide deck", "pitch deck", "keynote",
+    ],
+    weak: ["عرض", "عروض", "pitch", "deck", "soutenance"],
+  },
+  {
+    key: "entrepreneurship",
+    strong: [
+      "مقاولة", "حاضنة", "تمويل", "نموذج عمل", "خطة عمل", "ستارت اب", "بيزنس", "مؤسسة ناشئة",
+      "startup", "start-up", "entreprise", "entrepreneuriat", "financement", "business plan", "business model", "funding", "business",
+    ],
+    weak: ["مشروع", "مشاريع", "عملاء", "زبائن", "كليان", "تسويق", "سوق", "ربح", "دراهم", "clients", "marché", "marketing", "customers", "market", "profit"],
+  },
+];
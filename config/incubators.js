@@ -0,0 +1,13 @@
+import dotenv from "dotenv";
+dotenv.config();
+
+// 🏢 الحاضنات المدعومة: الاسم والمكان بكل لغة (يُحقنان في كل prompt كـ {{incubatorName}} و {{incubatorPlace}})
+export const INCUBATORS = {
+  "3win": {
+    name: { ar: "حاضنة أعمال 3win", fr: "l'incubateur 3win", en: "the 3win business incubator" },
+    place: { ar: "المركز الجامعي مغنية", fr: "Centre universitaire de Maghnia", en: "Maghnia University Center" },
+  },
+};
+
+// ⬇️ الحاضنة الحالية لهذا الخادم
+export const INCUBATOR_ID = INCUBATORS[process.env.INCUBATOR_ID] ? process.env.INCUBATOR_ID : "3win";
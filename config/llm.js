@@ -0,0 +1,71 @@
+import dotenv from "dotenv";
+dotenv.config();
+
+// 🔌 الموفّر الافتراضي: من LLM_PROVIDER، وإلا حسب المفاتيح المتوفرة، وإلا الموفّر التجريبي (fake)
+function defaultProvider() {
+  if (process.env.LLM_PROVIDER) return process.env.LLM_PROVIDER;
+  if (process.env.GEMINI_API_KEY) return "gemini";
+  if (process.env.GROQ_API_KEY) return "groq";
+  return "fake";
+}
+
+export const LLM_PROVIDER = defaultProvider();
+
+// ⚙️ إعدادات كل موفّر
+export const PROVIDER_SETTINGS = {
+  gemini: {
+    apiKey: process.env.GEMINI_API_KEY,
+    defaultModel: "gemini-2.0-flash",
+  },
+  groq: {
+    apiKey: process.env.GROQ_API_KEY,
+    baseUrl: process.env.GROQ_BASE_URL || "https://api.groq.com/openai/v1",
+    defaultModel: "openai/gpt-oss-120b",
+  },
+  openai: {
+    apiKey: process.env.OPENAI_API_KEY,
+    baseUrl: process.env.OPENAI_BASE_URL || "https://api.openai.com/v1",
+    defaultModel: "gpt-4o-mini",
+  },
+  fake: {
+    defaultModel: "fake-model",
+  },
+};
+
+// 🧠 إعدادات كل ميزة (يمكن تغييرها عبر متغيرات البيئة مثل LLM_BMC_SUMMARY_MODEL)
+// cacheTtl: مدة تخزين الرد في الكاش بالثواني (0 = بدون كاش)، للميزات التي يكفي فيها رد واحد لنفس الطلب
+function featureSettings(envPrefix, defaults) {
+  const env = name => process.env[`LLM_${envPrefix}_${name}`];
+  return {
+    provider: env("PROVIDER") || LLM_PROVIDER,
+    model: env("MODEL") || null,
+    temperature: env("TEMPERATURE") !== undefined ? Number(env("TEMPERATURE")) : defaults.temperature,
+    maxOutputTokens: Number(env("MAX_TOKENS")) || defaults.maxOutputTokens,
+    cacheTtl: env("CACHE_TTL") !== undefined ? Number(env("CACHE_TTL")) || 0 : defaults.cacheTtl || 0,
+  };
+}
+
+export const FEATURE_SETTINGS = {
+  bmcQuestion: featureSettings("BMC_QUESTION", { temperature: 0.7, maxOutputTokens: 1000 }),
+  bmcSummary: featureSettings("BMC_SUMMARY", { temperature: 0.4, maxOutputTokens: 2048 }),
+  bmcReview: featureSettings("BMC_REVIEW", { temperature: 0.2, maxOutputTokens: 2048, cacheTtl: 24 * 3600 }),
+  designChat: featureSettings("DESIGN_CHAT", { temperature: 0.8, maxOutputTokens: 1000 }),
+  // حرارة منخفضة: الرد يُخزَّن أسبوعاً ويُشارك بين الطلبات المتطابقة، فيجب أن يكون الرد المعتاد وليس عيّنة عشوائية
+  // (التنويع يأتي من نوع المشروع ولوحة الألوان في الطلب، والمحادثة الحرة في designChat)
+  designSuggestions: featureSettings("DESIGN_SUGGESTIONS", { temperature: 0.3, maxOutputTokens: 1000, cacheTtl: 7 * 24 * 3600 }),
+  designBrief: featureSettings("DESIGN_BRIEF", { temperature: 0.4, maxOutputTokens: 1000, cacheTtl: 24 * 3600 }),
+  designIdentity: featureSettings("DESIGN_IDENTITY", { temperature: 0.2, maxOutputTokens: 1500, cacheTtl: 7 * 24 * 3600 }),
+  chatMemory: featureSettings("CHAT_MEMORY", { temperature: 0.2, maxOutputTokens: 600 }),
+};
+
+// 🧠 ذاكرة المحادثة: ميزانية الرسائل الحديثة في الـ prompt (تقديرية بالتوكن)، وما يزيد عنها يُلخَّص
+export const CHAT_MEMORY = {
+  historyTokenBudget: Number(process.env.CHAT_HISTORY_TOKEN_BUDGET) || 1500,
+  summaryTokenBudget: Number(process.env.CHAT_SUMMARY_TOKEN_BUDGET) || 500,
+  minRecentMessages: 4,
+};
+
+// 🗄️ كاش ردود AI في SQLite: أقصى عدد للردود المحفوظة (الأقل استعمالاً يُحذف أولاً)
+export const AI_CACHE = {
+  maxEntries: Number(process.env.AI_CACHE_MAX_ENTRIES) || 500,
+};
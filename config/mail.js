@@ -0,0 +1,19 @@
+import dotenv from "dotenv";
+dotenv.config();
+
+// ✉️ مشغّل البريد: outbox (ملفات محلية للتطوير والاختبار) أو smtp
+export const MAIL_DRIVER = process.env.MAIL_DRIVER || "outbox";
+
+export const MAIL_FROM = process.env.MAIL_FROM || "3win Incubator <no-reply@3win.local>";
+
+export const MAIL_SETTINGS = {
+  outbox: {
+    dir: process.env.MAIL_OUTBOX_DIR || "./outbox",
+  },
+  smtp: {
+    host: process.env.SMTP_HOST,
+    port: Number(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === "true",
+    auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined,
+  },
+};
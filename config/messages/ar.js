@@ -0,0 +1,403 @@
+// 🌍 كتالوج الرسائل بالعربية (اللغة المرجعية: أي مفتاح ناقص في لغة أخرى يُؤخذ من هنا)
+export default {
+  listSeparator: "، ",
+
+  // ⬇️ رسائل الأخطاء حسب الرمز الثابت (code) المرسل مع كل رد خطأ
+  errors: {
+    SERVER_ERROR: "حدث خطأ في الخادم",
+    NO_TOKEN: "لم يتم إرسال التوكن",
+    INVALID_TOKEN: "توكن غير صالح",
+    INSUFFICIENT_ROLE: "ليست لديك صلاحية الوصول إلى هذا المورد",
+    ACCESS_DENIED: "الوصول مرفوض",
+    AI_RESPONSE_FAILED: "تعذر توليد الرد",
+    FIELDS_REQUIRED: "جميع الحقول مطلوبة",
+    EMAIL_EXISTS: "البريد الإلكتروني مستعمل من قبل",
+    EMAIL_PASSWORD_REQUIRED: "البريد الإلكتروني وكلمة المرور مطلوبان",
+    EMAIL_REQUIRED: "البريد الإلكتروني مطلوب",
+    USER_NOT_FOUND: "المستخدم غير موجود",
+    USER_NO_LONGER_EXISTS: "المستخدم لم يعد موجوداً",
+    INVALID_PASSWORD: "كلمة المرور غير صحيحة",
+    REFRESH_TOKEN_REQUIRED: "توكن التحديث مطلوب",
+    REFRESH_TOKEN_INVALID: "توكن التحديث غير صالح",
+    REFRESH_TOKEN_REVOKED: "تم إلغاء توكن التحديث",
+    REFRESH_TOKEN_EXPIRED: "انتهت صلاحية توكن التحديث",
+    TOKEN_PASSWORD_REQUIRED: "التوكن وكلمة المرور مطلوبان",
+    INVALID_RESET_TOKEN: "رابط إعادة التعيين غير صالح أو منتهي الصلاحية",
+    INVALID_LOCALE: "اللغة يجب أن تكون إحدى: {{locales}}",
+    NOTHING_TO_UPDATE: "لا يوجد ما يتم تحديثه",
+    UNKNOWN_TEMPLATE: "قالب نموذج غير معروف: {{templateId}}",
+    UNKNOWN_SECTION: "قسم غير معروف: {{section}}",
+    NO_ACTIVE_SESSION: "لا توجد جلسة نشطة",
+    CANVAS_COMPLETE: "النموذج مكتمل؛ عدّل قسماً محدداً بدلاً من ذلك",
+    ANSWER_REQUIRED: "الإجابة مطلوبة",
+    INVALID_SECTION_STATUS: "الحالة يجب أن تكون draft أو complete",
+    SECTION_HAS_ANSWER: "القسم يحتوي على إجابة؛ امسحها قبل التخطي",
+    SESSION_START_FAILED: "تعذر بدء الجلسة",
+    QUESTION_FAILED: "تعذر توليد السؤال",
+    ANSWER_SAVE_FAILED: "تعذر حفظ الإجابة",
+    SUMMARY_FAILED: "تعذر توليد الملخص",
+    SECTIONS_FETCH_FAILED: "تعذر جلب الأقسام",
+    SECTION_SAVE_FAILED: "تعذر حفظ القسم",
+    SECTION_CLEAR_FAILED: "تعذر مسح القسم",
+    SECTION_SKIP_FAILED: "تعذر تخطي القسم",
+    REVIEW_FAILED: "تعذرت مراجعة النموذج",
+    EXPORT_FAILED: "تعذر تصدير النموذج",
+    MESSAGE_REQUIRED: "الرسالة مطلوبة",
+    MESSAGE_FAILED: "تعذرت معالجة الرسالة",
+    PROJECT_TYPE_REQUIRED: "نوع المشروع مطلوب",
+    SUGGESTIONS_FAILED: "تعذر توليد اقتراحات التصميم",
+    DESIGN_TYPE_REQUIRED: "نوع التصميم مطلوب",
+    DESIGN_SAVE_FAILED: "تعذر حفظ التصميم",
+    DESIGNS_FETCH_FAILED: "تعذر جلب التصميمات",
+    DESIGN_NOT_FOUND: "التصميم غير موجود",
+    DESIGN_DELETE_FAILED: "تعذر حذف التصميم",
+    CHAT_HISTORY_FAILED: "تعذر جلب سجل المحادثة",
+    NO_ACTIVE_UIUX_SESSION: "لا توجد جلسة UI/UX نشطة",
+    UIUX_QUESTIONS_COMPLETE: "تمت الإجابة على جميع الأسئلة؛ اطلب الملخص",
+    UIUX_NO_ANSWERS: "أجب عن سؤال واحد على الأقل قبل طلب ملخص التصميم",
+    UIUX_START_FAILED: "تعذر بدء جلسة UI/UX",
+    UIUX_QUESTION_FAILED: "تعذر جلب السؤال",
+    BRIEF_FAILED: "تعذر توليد ملخص التصميم",
+    MODE_REQUIRED: "الوضع مطلوب",
+    INVALID_MODE: "الوضع يجب أن يكون أحد: {{modes}}",
+    MODE_SWITCH_FAILED: "تعذر تغيير الوضع",
+    SESSION_NOT_FOUND: "الجلسة غير موجودة",
+    SESSIONS_FETCH_FAILED: "تعذر جلب الجلسات",
+    SESSION_FETCH_FAILED: "تعذر جلب الجلسة",
+    SESSION_REVIEW_FAILED: "تعذرت مراجعة الجلسة",
+    USERS_FETCH_FAILED: "تعذر جلب المستخدمين",
+    USER_UPDATE_FAILED: "تعذر تحديث المستخدم",
+    INVALID_ROLE: "الدور يجب أن يكون أحد: {{roles}}",
+    OWN_ROLE_CHANGE: "لا يمكنك تغيير دورك بنفسك",
+    ROLE_CHANGE_FAILED: "تعذر تغيير دور المستخدم",
+    OWN_ACCOUNT_DELETE: "لا يمكنك حذف حسابك بنفسك",
+    USER_DELETE_FAILED: "تعذر حذف المستخدم",
+    PROJECT_NOT_FOUND: "المشروع غير موجود",
+    PROJECT_SAVE_FAILED: "تعذر حفظ المشروع",
+    INVALID_QUERY_PARAM: "قيمة غير صالحة للمعامل {{param}}",
+    PROJECT_UPDATE_FAILED: "تعذر تحديث المشروع",
+    SEARCH_QUERY_REQUIRED: "يرجى إدخال كلمات للبحث",
+    SEARCH_FAILED: "فشل البحث",
+    REVISION_NOT_FOUND: "النسخة {{revision}} غير موجودة",
+    INVALID_REVISION_LABEL: "تسمية النسخة يجب أن تكون نصاً لا يتجاوز {{max}} حرفاً",
+    REVISIONS_FETCH_FAILED: "تعذر جلب سجل النسخ",
+    REVISION_RESTORE_FAILED: "تعذر استرجاع النسخة",
+    REVISION_LABEL_FAILED: "تعذر تسمية النسخة",
+    INVALID_DESIGN_IDENTITY: "الهوية البصرية غير صالحة",
+    DESIGN_NOT_IDENTITY: "هذا التصميم ليس هوية بصرية قابلة للتصدير",
+    INVALID_EXPORT_FORMAT: "صيغة التصدير غير مدعومة (الصيغ المتاحة: {{formats}})",
+    SUGGESTIONS_REQUIRED: "يرجى إرسال اقتراحات التصميم أو نوع المشروع",
+    IDENTITY_EXTRACT_FAILED: "تعذر استخراج الهوية البصرية",
+    DESIGN_EXPORT_FAILED: "تعذر تصدير التصميم",
+    PALETTE_SEED_REQUIRED: "يرجى إرسال لون أساسي أو كلمات مفتاحية للعلامة",
+    INVALID_SEED_COLOR: "اللون {{seed}} ليس رمز HEX صالحاً",
+    INVALID_HARMONY: "نوع التناسق غير مدعوم (الأنواع المتاحة: {{harmonies}})",
+    PALETTE_FAILED: "تعذر توليد لوحة الألوان",
+    PROJECTS_FETCH_FAILED: "تعذر جلب المشاريع",
+    PROJECT_FETCH_FAILED: "تعذر جلب المشروع",
+    PROJECT_DELETE_FAILED: "تعذر حذف المشروع",
+    PDF_ATTACH_FAILED: "تعذر إرفاق ملف PDF للنموذج",
+    UPLOAD_FAILED: "تعذر رفع الملف: {{reason}}",
+    FILE_FIELD_UNSUPPORTED: "حقل ملف غير مدعوم: {{field}}",
+    FILE_TOO_LARGE: "حجم الملف {{field}} يتجاوز الحد الأقصى ({{maxSize}} بايت)",
+    FILE_TYPE_NOT_ALLOWED: "الملف {{field}} يجب أن يكون من الأنواع: {{types}}",
+    FILE_NOT_FOUND: "الملف غير موجود",
+    FILE_NOT_IN_STORAGE: "الملف غير موجود في التخزين",
+    PROJECT_FILE_NOT_FOUND: "لا يوجد ملف من هذا النوع لهذا المشروع",
+    INVALID_FILE_TYPE: "نوع ملف غير صالح",
+    DOWNLOAD_FAILED: "تعذر تحميل الملف",
+    FILE_FETCH_FAILED: "تعذر جلب الملف",
+    RATE_LIMITED: "طلبات كثيرة جداً، حاول مجدداً بعد {{seconds}} ثانية",
+    AI_QUOTA_EXCEEDED: "لقد استنفدت حصتك {{period}} من {{metric}} الذكاء الاصطناعي، وتتجدد في {{resetAt}}",
+    INVALID_QUOTA: "قيم الحصة يجب أن تكون أعداداً صحيحة موجبة أو null",
+    INVALID_DATE_RANGE: "نطاق التاريخ غير صالح (from و to بصيغة ISO، و from قبل to)",
+    USAGE_FETCH_FAILED: "تعذر جلب استهلاك الذكاء الاصطناعي",
+    QUOTA_UPDATE_FAILED: "تعذر تحديث الحصة",
+    CACHE_CLEAR_FAILED: "تعذر تفريغ الكاش",
+  },
+
+  // ⬇️ رسائل النجاح
+  messages: {
+    USER_REGISTERED: "✅ تم إنشاء الحساب بنجاح",
+    LOGIN_SUCCESS: "✅ تم تسجيل الدخول بنجاح",
+    LOGGED_OUT: "✅ تم تسجيل الخروج",
+    LOGGED_OUT_ALL: "✅ تم تسجيل الخروج من جميع الأجهزة",
+    PROFILE_UPDATED: "✅ تم تحديث الحساب",
+    PASSWORD_RESET_SENT: "✅ إذا كان البريد مسجلاً، فقد تم إرسال رابط إعادة التعيين",
+    PASSWORD_RESET_DONE: "✅ تم تعيين كلمة المرور الجديدة",
+    SESSION_STARTED: "تم بدء الجلسة",
+    ANSWER_SAVED: "تم حفظ الإجابة",
+    DESIGN_SAVED: "✅ تم حفظ التصميم بنجاح",
+    DESIGN_DELETED: "✅ تم حذف التصميم بنجاح",
+    UIUX_SESSION_STARTED: "تم بدء جلسة UI/UX",
+    MODE_SWITCHED: "تم التبديل إلى وضع {{mode}}",
+    USER_UPDATED: "✅ تم تحديث المستخدم",
+    ROLE_CHANGED: "✅ تم تغيير الدور إلى {{role}}",
+    USER_DELETED: "✅ تم حذف المستخدم بنجاح",
+    PROJECT_SAVED: "✅ تم حفظ المشروع",
+    PROJECT_UPDATED: "✅ تم تحديث المشروع",
+    REVISION_RESTORED: "✅ تم استرجاع النسخة {{revision}} كنسخة جديدة",
+    REVISION_LABELED: "✅ تم تحديث تسمية النسخة",
+    PROJECT_DELETED: "✅ تم حذف المشروع بنجاح",
+    PDF_ATTACHED: "✅ تم إرفاق ملف PDF للنموذج بالمشروع",
+    QUOTA_UPDATED: "✅ تم تحديث حصة المستخدم",
+    CACHE_CLEARED: "✅ تم حذف {{count}} رد من الكاش",
+  },
+
+  // 📊 حصص الذكاء الاصطناعي (تُستعمل داخل رسالة AI_QUOTA_EXCEEDED)
+  quota: {
+    periods: { daily: "اليومية", monthly: "الشهرية" },
+    metrics: { requests: "طلبات", tokens: "توكنات" },
+  },
+
+  // ✉️ البريد الإلكتروني
+  mail: {
+    passwordResetSubject: "إعادة تعيين كلمة المرور - {{incubatorName}}",
+    passwordResetBody:
+      "مرحباً {{name}}،\n\nلإعادة تعيين كلمة المرور، افتح الرابط التالي (صالح لمدة {{minutes}} دقيقة ولمرة واحدة):\n{{link}}\n\nإذا لم تطلب ذلك، تجاهل هذه الرسالة.",
+  },
+
+  // 🧠 نماذج الأعمال: الأسئلة والملخص الاحتياطي (عند تعذر AI)
+  bmc: {
+    defaultFallbackQuestion: "أخبرني المزيد عن هذا الجانب من مشروعك.",
+    fallbackQuestions: {
+      bmc: {
+        partners: "من هم الشركاء الرئيسيون الذين تحتاجهم لتنفيذ مشروعك؟",
+        activities: "ما هي الأنشطة الرئيسية التي يجب القيام بها لتقديم قيمة للعملاء؟",
+        resources: "ما هي الموارد الرئيسية التي تحتاجها لتشغيل المشروع؟",
+        value: "ما هي القيمة المميزة التي يقدمها مشروعك للعملاء؟",
+        customers: "من هم العملاء المستهدفون لمشروعك؟",
+        channels: "كيف ستصل إلى عملائك وتقدم لهم خدماتك؟",
+        relationships: "كيف ستبني وتحافظ على علاقات مع عملائك؟",
+        revenue: "كيف ستحقق الإيرادات من مشروعك؟",
+        costs: "ما هي التكاليف الرئيسية التي ستتحملها في مشروعك؟",
+      },
+      lean: {
+        problem: "ما هي المشكلة الأساسية التي يحلها مشروعك، وكيف يتعامل معها الناس حالياً؟",
+        customers: "من هم المتبنّون الأوائل لمشروعك؟",
+        uvp: "لخّص في جملة واحدة لماذا يختار العميل مشروعك بدل البدائل الموجودة.",
+        solution: "كيف يحل مشروعك كل مشكلة من المشاكل التي ذكرتها؟",
+        channels: "ما هي القنوات التي ستستعملها للوصول إلى عملائك الأوائل؟",
+        revenue: "ما هو نموذج التسعير لديك، وكم سيدفع العميل؟",
+        costs: "ما هي التكاليف الثابتة والمتغيرة لإطلاق مشروعك وتشغيله؟",
+        metrics: "ما هي المؤشرات الرئيسية التي ستتابعها لمعرفة أن مشروعك ينمو؟",
+        advantage: "ما هي الميزة التي تجعل من الصعب على المنافسين تقليد مشروعك؟",
+      },
+      vpc: {
+        jobs: "ما هي المهام أو الاحتياجات التي يحاول عميلك إنجازها في حياته أو عمله؟",
+        pains: "ما هي الصعوبات والمخاطر والإحباطات التي يواجهها عميلك؟",
+        gains: "ما هي النتائج والفوائد التي يتوقعها عميلك أو يحلم بها؟",
+        products: "ما هي المنتجات والخدمات التي يقوم عليها عرضك؟",
+        relievers: "كيف يقضي منتجك أو يقلل من الصعوبات التي ذكرتها عن عميلك؟",
+        creators: "كيف يخلق منتجك الفوائد والنتائج التي يتوقعها عميلك؟",
+      },
+    },
+    summary: {
+      title: "📊 **ملخص {{templateTitle}}**",
+      recommendationsTitle: "💡 **توصيات:**",
+      insufficientData: "⚠️ لم يتم جمع بيانات كافية لتوليد ملخص. يرجى إكمال المزيد من الأسئلة.",
+      fallbackOverview: "بناءً على البيانات المقدمة، إليك نظرة عامة على {{templateTitle}} الخاص بك.",
+      fallbackRecommendation: "يمكنك تحسين نموذج عملك من خلال التركيز على تناسق جميع الأقسام مع بعضها البعض.",
+    },
+    pdf: {
+      untitledProject: "مشروع بدون عنوان",
+      notSpecified: "غير محدد",
+      meta: "الطالب: {{studentName}}     التاريخ: {{date}}",
+      dateLocale: "ar-DZ",
+      summaryTitle: "ملخص {{templateTitle}} (الذكاء الاصطناعي)",
+      noSummary: "لم يتم توليد ملخص لهذه الجلسة بعد.",
+      recommendations: "توصيات",
+    },
+  },
+
+  // 🔍 مراجعة النموذج (الفحوص الثابتة)
+  review: {
+    empty: "القسم فارغ.",
+    skipped: "تم تخطي هذا القسم.",
+    tooShort: "الإجابة قصيرة جداً ({{words}} كلمات).",
+    vague: "عبارات عامة: {{terms}}",
+    completeSection: "أكمل قسم \"{{title}}\": {{starter}}",
+    addDetail: "أضف تفاصيل أكثر إلى \"{{title}}\" مع أمثلة محددة.",
+    replaceVague: "استبدل العبارات العامة ({{terms}}) في \"{{title}}\" بوصف محدد.",
+    links: {
+      bmc: {
+        revenue_without_segment: {
+          message: "مصادر الإيرادات تذكر جهات دافعة غير موجودة في شرائح العملاء.",
+          suggestion: "حدّد في مصادر الإيرادات أي شريحة عملاء تدفع مقابل كل مصدر، وأضف الشرائح الناقصة.",
+        },
+        channels_without_cost: {
+          message: "قنوات التوزيع لا تظهر لها أي تكلفة في هيكل التكاليف.",
+          suggestion: "أضف إلى هيكل التكاليف تكلفة كل قناة (تسويق، توصيل، عمولات المنصات...).",
+        },
+        resources_without_cost: {
+          message: "الموارد الرئيسية غير مغطاة في هيكل التكاليف.",
+          suggestion: "قدّر تكلفة الموارد الرئيسية (معدات، محل، فريق) وأضفها إلى هيكل التكاليف.",
+        },
+        value_without_segment: {
+          message: "القيمة المقترحة لا ترتبط بوضوح بأي شريحة عملاء.",
+          suggestion: "اربط القيمة المقترحة بشريحة عملاء محددة ووضّح المشكلة التي تحلها لها.",
+        },
+        relationships_without_segment: {
+          message: "علاقات العملاء لا تذكر الشرائح المعنية.",
+          suggestion: "وضّح نوع العلاقة مع كل شريحة عملاء (خدمة شخصية، مجتمع، خدمة ذاتية...).",
+        },
+      },
+      lean: {
+        problem_without_segment: {
+          message: "المشكلة لا ترتبط بشريحة العملاء المذكورة.",
+          suggestion: "حدّد أي شريحة عملاء تعاني من كل مشكلة.",
+        },
+        solution_without_problem: {
+          message: "الحل المقترح لا يعالج المشاكل المذكورة بشكل واضح.",
+          suggestion: "اربط كل عنصر من الحل بمشكلة محددة من قسم المشكلة.",
+        },
+        revenue_without_segment: {
+          message: "مصادر الإيرادات تذكر جهات دافعة غير موجودة في شرائح العملاء.",
+          suggestion: "حدّد أي شريحة عملاء تدفع مقابل كل مصدر إيرادات.",
+        },
+        channels_without_cost: {
+          message: "قنوات الوصول لا تظهر لها أي تكلفة في هيكل التكاليف.",
+          suggestion: "أضف تكلفة اكتساب العملاء عبر كل قناة إلى هيكل التكاليف.",
+        },
+      },
+      vpc: {
+        relievers_without_pain: {
+          message: "مخففات الألم لا تعالج الآلام المذكورة.",
+          suggestion: "اربط كل مخفف ألم بألم محدد من قسم الآلام.",
+        },
+        creators_without_gain: {
+          message: "صانعات المكاسب لا ترتبط بالمكاسب المذكورة.",
+          suggestion: "وضّح أي مكسب يحققه كل عنصر من صانعات المكاسب.",
+        },
+        products_without_job: {
+          message: "المنتجات والخدمات لا تساعد بوضوح في مهام العميل المذكورة.",
+          suggestion: "بيّن أي مهمة من مهام العميل يخدمها كل منتج أو خدمة.",
+        },
+      },
+    },
+  },
+
+  // 🎨 مساعد التصميم: رسالة الترحيب والردود الاحتياطية
+  design: {
+    welcome:
+      "🎨 **مرحباً! أنا مساعدك في التصميم الإبداعي**\n\nيمكنني مساعدتك في:\n• تصميم الشعار والهوية البصرية\n• نصائح الألوان والخطوط\n• تصميم المواقع والعروض التقديمية\n• أدوات التصميم المجانية\n\nما هو التصميم الذي تريد المساعدة فيه؟",
+    generalContext: "عام",
+    fallbackTitle: "🎨 **مساعد التصميم الإبداعي**",
+    fallbackIntent: "في مجال {{label}}، أنصحك بـ:",
+    fallbackMenu:
+      "يمكنني مساعدتك في:\n\n• تصميم الشعار والهوية البصرية\n• تصميم المواقع والتطبيقات\n• تصميم العروض التقديمية\n• تصميم منشورات وسائل التواصل\n• نصائح الألوان والخطوط\n• أدوات التصميم المجانية\n\nما هو نوع التصميم الذي تحتاجه؟",
+    fallbackTools: "💡 *يمكنك استخدام أدوات مثل: Canva, Figma, Adobe Express للبدء*",
+    fallbackSuggestions: `🎯 **اقتراحات تصميمية لـ {{projectType}}**
+
+1. **النمط البسيط والحديث**
+   - الألوان: أزرق مهني + أبيض + رمادي
+   - الخطوط: sans-serif واضحة
+   - ركز على البساطة والوضوح
+
+2. **النمط الإبداعي الجريء**
+   - الألوان: ألوان زاهية ومتناقضة
+   - الخطوط: مزيج بين classic وmodern
+   - شجع على الإبداع والتميز
+
+3. **النمط الاحترافي التقليدي**
+   - الألوان: درجات محايدة واحترافية
+   - الخطوط: serif كلاسيكية
+   - يناسب المشاريع التقليدية
+
+🛠️ **أدوات مجانية**: Canva, Figma, Adobe Color, Google Fonts`,
+    identityName: "الهوية البصرية",
+    identityLogoUsage: "استعمل الشعار على خلفية فاتحة أو داكنة بتباين كافٍ\nاترك مسافة فارغة حول الشعار لا تقل عن ارتفاع حرف من اسمه\nلا تمدّد الشعار ولا تغيّر ألوانه أو نسبه",
+    paletteTitle: "🎨 **لوحة الألوان المقترحة**:",
+  },
+
+  // 🏷️ نوايا مساعد التصميم: الاسم المعروض ونصائح الرد الاحتياطي
+  intents: {
+    logo: {
+      label: "تصميم الشعار",
+      tips: [
+        "اختر ألواناً تعبر عن هوية مشروعك",
+        "استخدم خطوطاً واضحة وسهلة القراءة",
+        "اجعل الشعار بسيطاً وقابلاً للتذكر",
+        "تأكد من وضوح الشعار بمختلف الأحجام",
+        "فكر في القيمة التي يقدمها مشروعك",
+      ],
+    },
+    website: {
+      label: "تصميم الموقع الإلكتروني",
+      tips: [
+        "ركز على تجربة المستخدم البسيطة",
+        "استخدم ألواناً متناسقة مع الهوية",
+        "اجعل الموقع سريع التحميل",
+        "تأكد من توافقه مع الجوال",
+        "استخدم صوراً عالية الجودة",
+      ],
+    },
+    visual_identity: {
+      label: "الهوية البصرية",
+      tips: [
+        "حدد لوحة ألوان ثابتة",
+        "اختر خطوطاً متناسقة",
+        "أنشئ دليل هوية مرئية",
+        "حافظ على الاتساق في جميع المواد",
+        "فكر في جمهورك المستهدف",
+      ],
+    },
+    cover: {
+      label: "تصميم الغلاف",
+      tips: [
+        "اجعل العنوان واضحاً ومقروءاً من بعيد",
+        "استخدم صورة أو رسماً واحداً قوياً بدل عناصر كثيرة",
+        "احترم المقاسات والهوامش المطلوبة للطباعة",
+        "اختر ألواناً تناسب موضوع المحتوى",
+      ],
+    },
+    social_posts: {
+      label: "تصميم منشورات وسائل التواصل",
+      tips: [
+        "استخدم قالباً ثابتاً يعكس هوية مشروعك",
+        "اجعل الرسالة الأساسية مقروءة في ثوانٍ",
+        "احترم مقاسات كل منصة (مربع للمنشور، عمودي للستوري)",
+        "أضف دعوة واضحة لاتخاذ إجراء",
+      ],
+    },
+    presentation: {
+      label: "تصميم العروض التقديمية",
+      tips: [
+        "فكرة واحدة في كل شريحة",
+        "استخدم خطاً كبيراً ونصاً قليلاً",
+        "اعتمد ألوان هوية مشروعك في كل الشرائح",
+        "استعمل الرسوم البيانية بدل الجداول الطويلة",
+      ],
+    },
+    entrepreneurship: {
+      label: "ريادة الأعمال وتطوير المشروع",
+      tips: [
+        "حدد مشكلة واضحة يعاني منها عملاؤك",
+        "اختبر فكرتك مع عملاء حقيقيين قبل الاستثمار",
+        "ابدأ بنسخة بسيطة (MVP) ثم طوّرها",
+        "استفد من مرافقة الحاضنة وورشاتها",
+      ],
+    },
+  },
+
+  // 📐 وضع UI/UX: أسئلة الاستبيان والملخص الاحتياطي
+  uiux: {
+    questions: {
+      platform: "🎯 ما هو نوع المشروع (موقع، تطبيق موبايل، لوحة تحكم...؟)",
+      palette: "🎨 ما الألوان أو النمط الذي تفضله في التصميم؟",
+      style: "🧩 هل تفضل واجهة بسيطة أم تحتوي على تفاصيل كثيرة؟",
+      audience: "📱 ما الفئة المستهدفة من المستخدمين؟",
+      inspirations: "💡 هل هناك مواقع أو تطبيقات تعجبك من حيث الشكل؟",
+      keyScreens: "📐 ما العناصر الأساسية التي تريدها في الصفحة الرئيسية؟",
+    },
+    brief: {
+      unspecified: "غير محدد",
+      defaultStyle: "حديث وبسيط",
+      defaultAudience: "المستخدم العام",
+      notes:
+        "سيتم إنشاء تصميم بواجهة {{style}} باستخدام ألوان {{palette}} موجهة إلى {{audience}}، مع التركيز على تجربة مستخدم سلسة وواجهة متجاوبة لجميع الأجهزة.",
+      notesStyle: "حديثة",
+      notesPalette: "محايدة",
+    },
+  },
+};
@@ -0,0 +1,394 @@
+// 🌍 كتالوج الرسائل بالإنجليزية
+export default {
+  listSeparator: ", ",
+
+  errors: {
+    SERVER_ERROR: "Server error",
+    NO_TOKEN: "No token provided",
+    INVALID_TOKEN: "Invalid token",
+    INSUFFICIENT_ROLE: "Insufficient role",
+    ACCESS_DENIED: "Access denied",
+    AI_RESPONSE_FAILED: "Failed to generate response",
+    FIELDS_REQUIRED: "All fields required",
+    EMAIL_EXISTS: "Email already exists",
+    EMAIL_PASSWORD_REQUIRED: "Email and password required",
+    EMAIL_REQUIRED: "Email required",
+    USER_NOT_FOUND: "User not found",
+    USER_NO_LONGER_EXISTS: "User no longer exists",
+    INVALID_PASSWORD: "Invalid password",
+    REFRESH_TOKEN_REQUIRED: "Refresh token required",
+    REFRESH_TOKEN_INVALID: "Invalid refresh token",
+    REFRESH_TOKEN_REVOKED: "Refresh token has been revoked",
+    REFRESH_TOKEN_EXPIRED: "Refresh token has expired",
+    TOKEN_PASSWORD_REQUIRED: "Token and password required",
+    INVALID_RESET_TOKEN: "Invalid or expired reset token",
+    INVALID_LOCALE: "Locale must be one of: {{locales}}",
+    NOTHING_TO_UPDATE: "Nothing to update",
+    UNKNOWN_TEMPLATE: "Unknown canvas template: {{templateId}}",
+    UNKNOWN_SECTION: "Unknown section: {{section}}",
+    NO_ACTIVE_SESSION: "No active session found",
+    CANVAS_COMPLETE: "Canvas is complete; edit a specific section instead",
+    ANSWER_REQUIRED: "Answer is required",
+    INVALID_SECTION_STATUS: "Status must be draft or complete",
+    SECTION_HAS_ANSWER: "Section already has an answer; clear it before skipping",
+    SESSION_START_FAILED: "Failed to start session",
+    QUESTION_FAILED: "Failed to generate question",
+    ANSWER_SAVE_FAILED: "Failed to save answer",
+    SUMMARY_FAILED: "Failed to generate summary",
+    SECTIONS_FETCH_FAILED: "Failed to fetch sections",
+    SECTION_SAVE_FAILED: "Failed to save section",
+    SECTION_CLEAR_FAILED: "Failed to clear section",
+    SECTION_SKIP_FAILED: "Failed to skip section",
+    REVIEW_FAILED: "Failed to review canvas",
+    EXPORT_FAILED: "Failed to export canvas",
+    MESSAGE_REQUIRED: "Message is required",
+    MESSAGE_FAILED: "Failed to process message",
+    PROJECT_TYPE_REQUIRED: "Project type is required",
+    SUGGESTIONS_FAILED: "Failed to generate design suggestions",
+    DESIGN_TYPE_REQUIRED: "Design type is required",
+    DESIGN_SAVE_FAILED: "Failed to save design",
+    DESIGNS_FETCH_FAILED: "Failed to fetch designs",
+    DESIGN_NOT_FOUND: "Design not found",
+    DESIGN_DELETE_FAILED: "Failed to delete design",
+    CHAT_HISTORY_FAILED: "Failed to fetch chat history",
+    NO_ACTIVE_UIUX_SESSION: "No active UI/UX session found",
+    UIUX_QUESTIONS_COMPLETE: "All questions answered; request the summary",
+    UIUX_NO_ANSWERS: "Answer at least one question before requesting the brief",
+    UIUX_START_FAILED: "Failed to start UI/UX session",
+    UIUX_QUESTION_FAILED: "Failed to fetch question",
+    BRIEF_FAILED: "Failed to generate design brief",
+    MODE_REQUIRED: "Mode is required",
+    INVALID_MODE: "Mode must be one of: {{modes}}",
+    MODE_SWITCH_FAILED: "Failed to switch mode",
+    SESSION_NOT_FOUND: "Session not found",
+    SESSIONS_FETCH_FAILED: "Failed to fetch sessions",
+    SESSION_FETCH_FAILED: "Failed to fetch session",
+    SESSION_REVIEW_FAILED: "Failed to review session",
+    USERS_FETCH_FAILED: "Error fetching users",
+    USER_UPDATE_FAILED: "Error updating user",
+    INVALID_ROLE: "Role must be one of: {{roles}}",
+    OWN_ROLE_CHANGE: "You cannot change your own role",
+    ROLE_CHANGE_FAILED: "Error changing user role",
+    OWN_ACCOUNT_DELETE: "You cannot delete your own account",
+    USER_DELETE_FAILED: "Error deleting user",
+    PROJECT_NOT_FOUND: "Project not found",
+    PROJECT_SAVE_FAILED: "Error saving project",
+    INVALID_QUERY_PARAM: "Invalid value for query parameter {{param}}",
+    PROJECT_UPDATE_FAILED: "Failed to update project",
+    SEARCH_QUERY_REQUIRED: "Please enter search terms",
+    SEARCH_FAILED: "Search failed",
+    REVISION_NOT_FOUND: "Revision {{revision}} not found",
+    INVALID_REVISION_LABEL: "Revision label must be a string of at most {{max}} characters",
+    REVISIONS_FETCH_FAILED: "Failed to fetch revision history",
+    REVISION_RESTORE_FAILED: "Failed to restore revision",
+    REVISION_LABEL_FAILED: "Failed to label revision",
+    INVALID_DESIGN_IDENTITY: "Invalid visual identity",
+    DESIGN_NOT_IDENTITY: "This design is not an exportable visual identity",
+    INVALID_EXPORT_FORMAT: "Unsupported export format (available formats: {{formats}})",
+    SUGGESTIONS_REQUIRED: "Please send design suggestions or a project type",
+    IDENTITY_EXTRACT_FAILED: "Failed to extract the visual identity",
+    DESIGN_EXPORT_FAILED: "Failed to export design",
+    PALETTE_SEED_REQUIRED: "Please send a seed color or brand keywords",
+    INVALID_SEED_COLOR: "{{seed}} is not a valid HEX color",
+    INVALID_HARMONY: "Unsupported harmony (available: {{harmonies}})",
+    PALETTE_FAILED: "Failed to generate the palette",
+    PROJECTS_FETCH_FAILED: "Error fetching projects",
+    PROJECT_FETCH_FAILED: "Error fetching project",
+    PROJECT_DELETE_FAILED: "Error deleting project",
+    PDF_ATTACH_FAILED: "Error attaching canvas PDF",
+    UPLOAD_FAILED: "File upload failed: {{reason}}",
+    FILE_FIELD_UNSUPPORTED: "Unsupported file field: {{field}}",
+    FILE_TOO_LARGE: "{{field}} exceeds the maximum size of {{maxSize}} bytes",
+    FILE_TYPE_NOT_ALLOWED: "{{field}} must be one of: {{types}}",
+    FILE_NOT_FOUND: "File not found",
+    FILE_NOT_IN_STORAGE: "File not found in storage",
+    PROJECT_FILE_NOT_FOUND: "File not found for this project",
+    INVALID_FILE_TYPE: "Invalid file type",
+    DOWNLOAD_FAILED: "Failed to download file",
+    FILE_FETCH_FAILED: "Failed to fetch file",
+    RATE_LIMITED: "Too many requests, try again in {{seconds}} seconds",
+    AI_QUOTA_EXCEEDED: "You have used up your {{period}} AI {{metric}} quota; it resets at {{resetAt}}",
+    INVALID_QUOTA: "Quota values must be positive integers or null",
+    INVALID_DATE_RANGE: "Invalid date range (from and to must be ISO dates, from before to)",
+    USAGE_FETCH_FAILED: "Failed to fetch AI usage",
+    QUOTA_UPDATE_FAILED: "Failed to update quota",
+    CACHE_CLEAR_FAILED: "Failed to clear cache",
+  },
+
+  messages: {
+    USER_REGISTERED: "✅ User registered successfully",
+    LOGIN_SUCCESS: "✅ Login successful",
+    LOGGED_OUT: "✅ Logged out",
+    LOGGED_OUT_ALL: "✅ Logged out from all devices",
+    PROFILE_UPDATED: "✅ Account updated",
+    PASSWORD_RESET_SENT: "✅ If the email exists, a reset link has been sent",
+    PASSWORD_RESET_DONE: "✅ Password has been reset",
+    SESSION_STARTED: "Session started",
+    ANSWER_SAVED: "Answer saved",
+    DESIGN_SAVED: "✅ Design saved successfully",
+    DESIGN_DELETED: "✅ Design deleted successfully",
+    UIUX_SESSION_STARTED: "UI/UX session started",
+    MODE_SWITCHED: "Mode switched to {{mode}}",
+    USER_UPDATED: "✅ User updated",
+    ROLE_CHANGED: "✅ Role changed to {{role}}",
+    USER_DELETED: "✅ User deleted successfully",
+    PROJECT_SAVED: "✅ Project saved",
+    PROJECT_UPDATED: "✅ Project updated",
+    REVISION_RESTORED: "✅ Revision {{revision}} restored as a new revision",
+    REVISION_LABELED: "✅ Revision label updated",
+    PROJECT_DELETED: "✅ Project deleted successfully",
+    PDF_ATTACHED: "✅ Canvas PDF attached to project",
+    QUOTA_UPDATED: "✅ User quota updated",
+    CACHE_CLEARED: "✅ Removed {{count}} cached response(s)",
+  },
+
+  quota: {
+    periods: { daily: "daily", monthly: "monthly" },
+    metrics: { requests: "request", tokens: "token" },
+  },
+
+  mail: {
+    passwordResetSubject: "Password reset - {{incubatorName}}",
+    passwordResetBody:
+      "Hello {{name}},\n\nTo reset your password, open the following link (valid for {{minutes}} minutes, single use):\n{{link}}\n\nIf you did not request this, ignore this message.",
+  },
+
+  bmc: {
+    defaultFallbackQuestion: "Tell me more about this part of your project.",
+    fallbackQuestions: {
+      bmc: {
+        partners: "Who are the key partners you need to carry out your project?",
+        activities: "What key activities must you perform to deliver value to your customers?",
+        resources: "What key resources do you need to run the project?",
+        value: "What distinctive value does your project offer its customers?",
+        customers: "Who are the target customers of your project?",
+        channels: "How will you reach your customers and deliver your services to them?",
+        relationships: "How will you build and maintain relationships with your customers?",
+        revenue: "How will your project generate revenue?",
+        costs: "What are the main costs your project will incur?",
+      },
+      lean: {
+        problem: "What core problem does your project solve, and how do people deal with it today?",
+        customers: "Who are the early adopters of your project?",
+        uvp: "Summarize in one sentence why a customer would choose your project over existing alternatives.",
+        solution: "How does your project solve each of the problems you listed?",
+        channels: "Which channels will you use to reach your first customers?",
+        revenue: "What is your pricing model, and how much will the customer pay?",
+        costs: "What are the fixed and variable costs of launching and running your project?",
+        metrics: "Which key metrics will you track to know your project is growing?",
+        advantage: "What advantage makes your project hard for competitors to copy?",
+      },
+      vpc: {
+        jobs: "What tasks or needs is your customer trying to get done in their life or work?",
+        pains: "What difficulties, risks and frustrations does your customer face?",
+        gains: "What outcomes and benefits does your customer expect or dream of?",
+        products: "Which products and services is your offer built on?",
+        relievers: "How does your product remove or reduce the difficulties you described for your customer?",
+        creators: "How does your product create the benefits and outcomes your customer expects?",
+      },
+    },
+    summary: {
+      title: "📊 **{{templateTitle}} summary**",
+      recommendationsTitle: "💡 **Recommendations:**",
+      insufficientData: "⚠️ Not enough data has been collected to generate a summary. Please answer more questions.",
+      fallbackOverview: "Based on the information provided, here is an overview of your {{templateTitle}}.",
+      fallbackRecommendation: "You can improve your model by making sure all sections are consistent with each other.",
+    },
+    pdf: {
+      untitledProject: "Untitled project",
+      notSpecified: "Not specified",
+      meta: "Student: {{studentName}}     Date: {{date}}",
+      dateLocale: "en-GB",
+      summaryTitle: "{{templateTitle}} summary (AI)",
+      noSummary: "No summary has been generated for this session yet.",
+      recommendations: "Recommendations",
+    },
+  },
+
+  review: {
+    empty: "The section is empty.",
+    skipped: "This section was skipped.",
+    tooShort: "The answer is too short ({{words}} words).",
+    vague: "Vague terms: {{terms}}",
+    completeSection: "Complete the \"{{title}}\" section.",
+    addDetail: "Add more detail to \"{{title}}\" with specific examples.",
+    replaceVague: "Replace the vague terms ({{terms}}) in \"{{title}}\" with a specific description.",
+    links: {
+      bmc: {
+        revenue_without_segment: {
+          message: "Revenue streams mention payers that are not among the customer segments.",
+          suggestion: "State which customer segment pays for each revenue stream, and add any missing segments.",
+        },
+        channels_without_cost: {
+          message: "Channels have no matching cost in the cost structure.",
+          suggestion: "Add the cost of each channel (marketing, delivery, platform fees...) to the cost structure.",
+        },
+        resources_without_cost: {
+          message: "Key resources are not covered by the cost structure.",
+          suggestion: "Estimate the cost of key resources (equipment, premises, team) and add it to the cost structure.",
+        },
+        value_without_segment: {
+          message: "The value proposition is not clearly tied to any customer segment.",
+          suggestion: "Tie the value proposition to a specific customer segment and explain which problem it solves for them.",
+        },
+        relationships_without_segment: {
+          message: "Customer relationships do not mention the segments concerned.",
+          suggestion: "Describe the type of relationship with each customer segment (personal service, community, self-service...).",
+        },
+      },
+      lean: {
+        problem_without_segment: {
+          message: "The problem is not tied to the listed customer segment.",
+          suggestion: "State which customer segment suffers from each problem.",
+        },
+        solution_without_problem: {
+          message: "The proposed solution does not clearly address the listed problems.",
+          suggestion: "Tie each part of the solution to a specific problem from the Problem section.",
+        },
+        revenue_without_segment: {
+          message: "Revenue streams mention payers that are not among the customer segments.",
+          suggestion: "State which customer segment pays for each revenue stream.",
+        },
+        channels_without_cost: {
+          message: "Channels have no matching cost in the cost structure.",
+          suggestion: "Add the customer acquisition cost of each channel to the cost structure.",
+        },
+      },
+      vpc: {
+        relievers_without_pain: {
+          message: "Pain relievers do not address the listed pains.",
+          suggestion: "Tie each pain reliever to a specific pain from the Pains section.",
+        },
+        creators_without_gain: {
+          message: "Gain creators are not tied to the listed gains.",
+          suggestion: "State which gain each gain creator delivers.",
+        },
+        products_without_job: {
+          message: "Products and services do not clearly help with the listed customer jobs.",
+          suggestion: "Show which customer job each product or service serves.",
+        },
+      },
+    },
+  },
+
+  design: {
+    welcome:
+      "🎨 **Hello! I'm your creative design assistant**\n\nI can help you with:\n• logo and visual identity design\n• color and typography advice\n• website and presentation design\n• free design tools\n\nWhich design would you like help with?",
+    generalContext: "general",
+    fallbackTitle: "🎨 **Creative design assistant**",
+    fallbackIntent: "For {{label}}, I recommend:",
+    fallbackMenu:
+      "I can help you with:\n\n• logo and visual identity design\n• websites and apps\n• presentations\n• social media posts\n• color and typography advice\n• free design tools\n\nWhat kind of design do you need?",
+    fallbackTools: "💡 *You can get started with tools like Canva, Figma or Adobe Express*",
+    fallbackSuggestions: `🎯 **Design suggestions for {{projectType}}**
+
+1. **Simple and modern style**
+   - Colors: professional blue + white + gray
+   - Typography: clean sans-serif
+   - Focus on simplicity and clarity
+
+2. **Bold creative style**
+   - Colors: bright, contrasting colors
+   - Typography: a mix of classic and modern
+   - Encourage creativity and standing out
+
+3. **Classic professional style**
+   - Colors: neutral, professional tones
+   - Typography: classic serif
+   - Suits traditional projects
+
+🛠️ **Free tools**: Canva, Figma, Adobe Color, Google Fonts`,
+    identityName: "Visual identity",
+    identityLogoUsage: "Place the logo on a light or dark background with enough contrast\nKeep clear space around the logo of at least the height of one letter of its name\nDo not stretch the logo or change its colors or proportions",
+    paletteTitle: "🎨 **Suggested palette**:",
+  },
+
+  intents: {
+    logo: {
+      label: "logo design",
+      tips: [
+        "Choose colors that express your project's identity",
+        "Use clear, easy-to-read typography",
+        "Keep the logo simple and memorable",
+        "Make sure it stays legible at every size",
+        "Think about the value your project delivers",
+      ],
+    },
+    website: {
+      label: "website design",
+      tips: [
+        "Focus on a simple user experience",
+        "Use colors consistent with your identity",
+        "Keep the site fast to load",
+        "Make sure it works well on mobile",
+        "Use high-quality images",
+      ],
+    },
+    visual_identity: {
+      label: "visual identity",
+      tips: [
+        "Define a fixed color palette",
+        "Choose consistent fonts",
+        "Create a brand style guide",
+        "Stay consistent across all materials",
+        "Think about your target audience",
+      ],
+    },
+    cover: {
+      label: "cover design",
+      tips: [
+        "Make the title clear and readable from a distance",
+        "Use one strong image or illustration instead of many elements",
+        "Respect the print sizes and margins",
+        "Choose colors that fit the subject",
+      ],
+    },
+    social_posts: {
+      label: "social media posts",
+      tips: [
+        "Use a consistent template that reflects your project's identity",
+        "Make the main message readable in seconds",
+        "Respect each platform's formats (square for posts, vertical for stories)",
+        "Add a clear call to action",
+      ],
+    },
+    presentation: {
+      label: "presentation design",
+      tips: [
+        "One idea per slide",
+        "Use large type and little text",
+        "Use your brand colors on every slide",
+        "Prefer charts over long tables",
+      ],
+    },
+    entrepreneurship: {
+      label: "entrepreneurship and project development",
+      tips: [
+        "Define a clear problem your customers face",
+        "Test your idea with real customers before investing",
+        "Start with a simple version (MVP), then improve it",
+        "Make the most of the incubator's mentoring and workshops",
+      ],
+    },
+  },
+
+  uiux: {
+    questions: {
+      platform: "🎯 What type of project is it (website, mobile app, dashboard...?)",
+      palette: "🎨 Which colors or style do you prefer for the design?",
+      style: "🧩 Do you prefer a minimal interface or one with lots of detail?",
+      audience: "📱 Who are your target users?",
+      inspirations: "💡 Are there websites or apps whose look you like?",
+      keyScreens: "📐 Which key elements do you want on the home page?",
+    },
+    brief: {
+      unspecified: "Not specified",
+      defaultStyle: "Modern and simple",
+      defaultAudience: "General users",
+      notes:
+        "The design will use a {{style}} interface with {{palette}} colors aimed at {{audience}}, focusing on a smooth user experience and a responsive layout for all devices.",
+      notesStyle: "modern",
+      notesPalette: "neutral",
+    },
+  },
+};
@@ -0,0 +1,394 @@
+// 🌍 كتالوج الرسائل بالفرنسية
+export default {
+  listSeparator: ", ",
+
+  errors: {
+    SERVER_ERROR: "Erreur du serveur",
+    NO_TOKEN: "Aucun jeton fourni",
+    INVALID_TOKEN: "Jeton invalide",
+    INSUFFICIENT_ROLE: "Vous n'avez pas les droits nécessaires pour cette ressource",
+    ACCESS_DENIED: "Accès refusé",
+    AI_RESPONSE_FAILED: "Impossible de générer la réponse",
+    FIELDS_REQUIRED: "Tous les champs sont obligatoires",
+    EMAIL_EXISTS: "Cette adresse e-mail est déjà utilisée",
+    EMAIL_PASSWORD_REQUIRED: "L'e-mail et le mot de passe sont obligatoires",
+    EMAIL_REQUIRED: "L'e-mail est obligatoire",
+    USER_NOT_FOUND: "Utilisateur introuvable",
+    USER_NO_LONGER_EXISTS: "Cet utilisateur n'existe plus",
+    INVALID_PASSWORD: "Mot de passe incorrect",
+    REFRESH_TOKEN_REQUIRED: "Le jeton de rafraîchissement est obligatoire",
+    REFRESH_TOKEN_INVALID: "Jeton de rafraîchissement invalide",
+    REFRESH_TOKEN_REVOKED: "Le jeton de rafraîchissement a été révoqué",
+    REFRESH_TOKEN_EXPIRED: "Le jeton de rafraîchissement a expiré",
+    TOKEN_PASSWORD_REQUIRED: "Le jeton et le mot de passe sont obligatoires",
+    INVALID_RESET_TOKEN: "Lien de réinitialisation invalide ou expiré",
+    INVALID_LOCALE: "La langue doit être l'une de : {{locales}}",
+    NOTHING_TO_UPDATE: "Rien à mettre à jour",
+    UNKNOWN_TEMPLATE: "Modèle de canevas inconnu : {{templateId}}",
+    UNKNOWN_SECTION: "Section inconnue : {{section}}",
+    NO_ACTIVE_SESSION: "Aucune session active",
+    CANVAS_COMPLETE: "Le canevas est complet ; modifiez plutôt une section précise",
+    ANSWER_REQUIRED: "La réponse est obligatoire",
+    INVALID_SECTION_STATUS: "Le statut doit être draft ou complete",
+    SECTION_HAS_ANSWER: "La section a déjà une réponse ; effacez-la avant de la passer",
+    SESSION_START_FAILED: "Impossible de démarrer la session",
+    QUESTION_FAILED: "Impossible de générer la question",
+    ANSWER_SAVE_FAILED: "Impossible d'enregistrer la réponse",
+    SUMMARY_FAILED: "Impossible de générer le résumé",
+    SECTIONS_FETCH_FAILED: "Impossible de récupérer les sections",
+    SECTION_SAVE_FAILED: "Impossible d'enregistrer la section",
+    SECTION_CLEAR_FAILED: "Impossible d'effacer la section",
+    SECTION_SKIP_FAILED: "Impossible de passer la section",
+    REVIEW_FAILED: "Impossible d'évaluer le canevas",
+    EXPORT_FAILED: "Impossible d'exporter le canevas",
+    MESSAGE_REQUIRED: "Le message est obligatoire",
+    MESSAGE_FAILED: "Impossible de traiter le message",
+    PROJECT_TYPE_REQUIRED: "Le type de projet est obligatoire",
+    SUGGESTIONS_FAILED: "Impossible de générer des suggestions de design",
+    DESIGN_TYPE_REQUIRED: "Le type de design est obligatoire",
+    DESIGN_SAVE_FAILED: "Impossible d'enregistrer le design",
+    DESIGNS_FETCH_FAILED: "Impossible de récupérer les designs",
+    DESIGN_NOT_FOUND: "Design introuvable",
+    DESIGN_DELETE_FAILED: "Impossible de supprimer le design",
+    CHAT_HISTORY_FAILED: "Impossible de récupérer l'historique de la conversation",
+    NO_ACTIVE_UIUX_SESSION: "Aucune session UI/UX active",
+    UIUX_QUESTIONS_COMPLETE: "Toutes les questions ont une réponse ; demandez le résumé",
+    UIUX_NO_ANSWERS: "Répondez à au moins une question avant de demander le brief",
+    UIUX_START_FAILED: "Impossible de démarrer la session UI/UX",
+    UIUX_QUESTION_FAILED: "Impossible de récupérer la question",
+    BRIEF_FAILED: "Impossible de générer le brief de design",
+    MODE_REQUIRED: "Le mode est obligatoire",
+    INVALID_MODE: "Le mode doit être l'un de : {{modes}}",
+    MODE_SWITCH_FAILED: "Impossible de changer de mode",
+    SESSION_NOT_FOUND: "Session introuvable",
+    SESSIONS_FETCH_FAILED: "Impossible de récupérer les sessions",
+    SESSION_FETCH_FAILED: "Impossible de récupérer la session",
+    SESSION_REVIEW_FAILED: "Impossible d'évaluer la session",
+    USERS_FETCH_FAILED: "Impossible de récupérer les utilisateurs",
+    USER_UPDATE_FAILED: "Impossible de mettre à jour l'utilisateur",
+    INVALID_ROLE: "Le rôle doit être l'un de : {{roles}}",
+    OWN_ROLE_CHANGE: "Vous ne pouvez pas modifier votre propre rôle",
+    ROLE_CHANGE_FAILED: "Impossible de modifier le rôle de l'utilisateur",
+    OWN_ACCOUNT_DELETE: "Vous ne pouvez pas supprimer votre propre compte",
+    USER_DELETE_FAILED: "Impossible de supprimer l'utilisateur",
+    PROJECT_NOT_FOUND: "Projet introuvable",
+    PROJECT_SAVE_FAILED: "Impossible d'enregistrer le projet",
+    INVALID_QUERY_PARAM: "Valeur invalide pour le paramètre {{param}}",
+    PROJECT_UPDATE_FAILED: "Impossible de mettre à jour le projet",
+    SEARCH_QUERY_REQUIRED: "Veuillez saisir des termes de recherche",
+    SEARCH_FAILED: "Échec de la recherche",
+    REVISION_NOT_FOUND: "Version {{revision}} introuvable",
+    INVALID_REVISION_LABEL: "Le libellé de version doit être un texte de {{max}} caractères maximum",
+    REVISIONS_FETCH_FAILED: "Impossible de récupérer l'historique des versions",
+    REVISION_RESTORE_FAILED: "Impossible de restaurer la version",
+    REVISION_LABEL_FAILED: "Impossible de libeller la version",
+    INVALID_DESIGN_IDENTITY: "Identité visuelle invalide",
+    DESIGN_NOT_IDENTITY: "Ce design n'est pas une identité visuelle exportable",
+    INVALID_EXPORT_FORMAT: "Format d'export non pris en charge (formats disponibles : {{formats}})",
+    SUGGESTIONS_REQUIRED: "Veuillez envoyer des propositions de design ou un type de projet",
+    IDENTITY_EXTRACT_FAILED: "Impossible d'extraire l'identité visuelle",
+    DESIGN_EXPORT_FAILED: "Impossible d'exporter le design",
+    PALETTE_SEED_REQUIRED: "Veuillez envoyer une couleur de base ou des mots-clés de la marque",
+    INVALID_SEED_COLOR: "{{seed}} n'est pas une couleur HEX valide",
+    INVALID_HARMONY: "Harmonie non prise en charge (disponibles : {{harmonies}})",
+    PALETTE_FAILED: "Impossible de générer la palette",
+    PROJECTS_FETCH_FAILED: "Impossible de récupérer les projets",
+    PROJECT_FETCH_FAILED: "Impossible de récupérer le projet",
+    PROJECT_DELETE_FAILED: "Impossible de supprimer le projet",
+    PDF_ATTACH_FAILED: "Impossible de joindre le PDF du canevas",
+    UPLOAD_FAILED: "Échec de l'envoi du fichier : {{reason}}",
+    FILE_FIELD_UNSUPPORTED: "Champ de fichier non pris en charge : {{field}}",
+    FILE_TOO_LARGE: "Le fichier {{field}} dépasse la taille maximale ({{maxSize}} octets)",
+    FILE_TYPE_NOT_ALLOWED: "Le fichier {{field}} doit être de type : {{types}}",
+    FILE_NOT_FOUND: "Fichier introuvable",
+    FILE_NOT_IN_STORAGE: "Fichier introuvable dans le stockage",
+    PROJECT_FILE_NOT_FOUND: "Aucun fichier de ce type pour ce projet",
+    INVALID_FILE_TYPE: "Type de fichier invalide",
+    DOWNLOAD_FAILED: "Impossible de télécharger le fichier",
+    FILE_FETCH_FAILED: "Impossible de récupérer le fichier",
+    RATE_LIMITED: "Trop de requêtes, réessayez dans {{seconds}} secondes",
+    AI_QUOTA_EXCEEDED: "Vous avez épuisé votre quota {{period}} de {{metric}} IA ; il sera renouvelé le {{resetAt}}",
+    INVALID_QUOTA: "Les valeurs du quota doivent être des entiers positifs ou null",
+    INVALID_DATE_RANGE: "Plage de dates invalide (from et to au format ISO, from avant to)",
+    USAGE_FETCH_FAILED: "Impossible de récupérer la consommation IA",
+    QUOTA_UPDATE_FAILED: "Impossible de mettre à jour le quota",
+    CACHE_CLEAR_FAILED: "Impossible de vider le cache",
+  },
+
+  messages: {
+    USER_REGISTERED: "✅ Compte créé avec succès",
+    LOGIN_SUCCESS: "✅ Connexion réussie",
+    LOGGED_OUT: "✅ Déconnexion effectuée",
+    LOGGED_OUT_ALL: "✅ Déconnecté de tous les appareils",
+    PROFILE_UPDATED: "✅ Compte mis à jour",
+    PASSWORD_RESET_SENT: "✅ Si l'adresse existe, un lien de réinitialisation a été envoyé",
+    PASSWORD_RESET_DONE: "✅ Le mot de passe a été réinitialisé",
+    SESSION_STARTED: "Session démarrée",
+    ANSWER_SAVED: "Réponse enregistrée",
+    DESIGN_SAVED: "✅ Design enregistré avec succès",
+    DESIGN_DELETED: "✅ Design supprimé avec succès",
+    UIUX_SESSION_STARTED: "Session UI/UX démarrée",
+    MODE_SWITCHED: "Mode {{mode}} activé",
+    USER_UPDATED: "✅ Utilisateur mis à jour",
+    ROLE_CHANGED: "✅ Rôle changé en {{role}}",
+    USER_DELETED: "✅ Utilisateur supprimé avec succès",
+    PROJECT_SAVED: "✅ Projet enregistré",
+    PROJECT_UPDATED: "✅ Projet mis à jour",
+    REVISION_RESTORED: "✅ Version {{revision}} restaurée comme nouvelle version",
+    REVISION_LABELED: "✅ Libellé de version mis à jour",
+    PROJECT_DELETED: "✅ Projet supprimé avec succès",
+    PDF_ATTACHED: "✅ PDF du canevas joint au projet",
+    QUOTA_UPDATED: "✅ Quota de l'utilisateur mis à jour",
+    CACHE_CLEARED: "✅ {{count}} réponse(s) supprimée(s) du cache",
+  },
+
+  quota: {
+    periods: { daily: "journalier", monthly: "mensuel" },
+    metrics: { requests: "requêtes", tokens: "jetons" },
+  },
+
+  mail: {
+    passwordResetSubject: "Réinitialisation du mot de passe - {{incubatorName}}",
+    passwordResetBody:
+      "Bonjour {{name}},\n\nPour réinitialiser votre mot de passe, ouvrez le lien suivant (valable {{minutes}} minutes, une seule fois) :\n{{link}}\n\nSi vous n'êtes pas à l'origine de cette demande, ignorez ce message.",
+  },
+
+  bmc: {
+    defaultFallbackQuestion: "Parlez-moi davantage de cet aspect de votre projet.",
+    fallbackQuestions: {
+      bmc: {
+        partners: "Quels partenaires clés vous faut-il pour réaliser votre projet ?",
+        activities: "Quelles activités clés devez-vous mener pour apporter de la valeur à vos clients ?",
+        resources: "De quelles ressources clés avez-vous besoin pour faire fonctionner le projet ?",
+        value: "Quelle valeur distinctive votre projet apporte-t-il à vos clients ?",
+        customers: "Qui sont les clients cibles de votre projet ?",
+        channels: "Comment allez-vous atteindre vos clients et leur fournir vos services ?",
+        relationships: "Comment allez-vous construire et entretenir la relation avec vos clients ?",
+        revenue: "Comment votre projet va-t-il générer des revenus ?",
+        costs: "Quels sont les principaux coûts que votre projet devra supporter ?",
+      },
+      lean: {
+        problem: "Quel problème principal votre projet résout-il, et comment les gens le gèrent-ils aujourd'hui ?",
+        customers: "Qui sont les premiers adoptants de votre projet ?",
+        uvp: "Résumez en une phrase pourquoi un client choisirait votre projet plutôt que les alternatives existantes.",
+        solution: "Comment votre projet résout-il chacun des problèmes que vous avez cités ?",
+        channels: "Quels canaux allez-vous utiliser pour atteindre vos premiers clients ?",
+        revenue: "Quel est votre modèle de prix, et combien le client paiera-t-il ?",
+        costs: "Quels sont les coûts fixes et variables pour lancer et faire tourner votre projet ?",
+        metrics: "Quels indicateurs clés allez-vous suivre pour savoir que votre projet grandit ?",
+        advantage: "Quel avantage rend votre projet difficile à copier pour vos concurrents ?",
+      },
+      vpc: {
+        jobs: "Quelles tâches ou quels besoins votre client essaie-t-il d'accomplir dans sa vie ou son travail ?",
+        pains: "Quelles difficultés, quels risques et quelles frustrations votre client rencontre-t-il ?",
+        gains: "Quels résultats et bénéfices votre client attend-il ou espère-t-il ?",
+        products: "Sur quels produits et services repose votre offre ?",
+        relievers: "Comment votre produit supprime-t-il ou réduit-il les difficultés de votre client ?",
+        creators: "Comment votre produit crée-t-il les bénéfices et résultats attendus par votre client ?",
+      },
+    },
+    summary: {
+      title: "📊 **Résumé du {{templateTitle}}**",
+      recommendationsTitle: "💡 **Recommandations :**",
+      insufficientData: "⚠️ Pas assez de données pour générer un résumé. Répondez à d'autres questions.",
+      fallbackOverview: "Voici une vue d'ensemble de votre {{templateTitle}} à partir des informations fournies.",
+      fallbackRecommendation: "Vous pouvez améliorer votre modèle en veillant à la cohérence de toutes les sections entre elles.",
+    },
+    pdf: {
+      untitledProject: "Projet sans titre",
+      notSpecified: "Non précisé",
+      meta: "Étudiant : {{studentName}}     Date : {{date}}",
+      dateLocale: "fr-FR",
+      summaryTitle: "Résumé du {{templateTitle}} (IA)",
+      noSummary: "Aucun résumé n'a encore été généré pour cette session.",
+      recommendations: "Recommandations",
+    },
+  },
+
+  review: {
+    empty: "La section est vide.",
+    skipped: "Cette section a été passée.",
+    tooShort: "La réponse est trop courte ({{words}} mots).",
+    vague: "Expressions vagues : {{terms}}",
+    completeSection: "Complétez la section « {{title}} ».",
+    addDetail: "Ajoutez plus de détails à « {{title}} » avec des exemples précis.",
+    replaceVague: "Remplacez les expressions vagues ({{terms}}) dans « {{title}} » par une description précise.",
+    links: {
+      bmc: {
+        revenue_without_segment: {
+          message: "Les sources de revenus citent des payeurs absents des segments de clientèle.",
+          suggestion: "Précisez quel segment de clientèle paie pour chaque source de revenus, et ajoutez les segments manquants.",
+        },
+        channels_without_cost: {
+          message: "Les canaux de distribution n'apparaissent pas dans la structure de coûts.",
+          suggestion: "Ajoutez à la structure de coûts le coût de chaque canal (marketing, livraison, commissions des plateformes...).",
+        },
+        resources_without_cost: {
+          message: "Les ressources clés ne sont pas couvertes par la structure de coûts.",
+          suggestion: "Estimez le coût des ressources clés (équipement, local, équipe) et ajoutez-le à la structure de coûts.",
+        },
+        value_without_segment: {
+          message: "La proposition de valeur n'est clairement liée à aucun segment de clientèle.",
+          suggestion: "Reliez la proposition de valeur à un segment précis et expliquez quel problème elle résout pour lui.",
+        },
+        relationships_without_segment: {
+          message: "Les relations clients ne mentionnent pas les segments concernés.",
+          suggestion: "Précisez le type de relation avec chaque segment (service personnalisé, communauté, self-service...).",
+        },
+      },
+      lean: {
+        problem_without_segment: {
+          message: "Le problème n'est pas lié au segment de clientèle indiqué.",
+          suggestion: "Précisez quel segment de clientèle souffre de chaque problème.",
+        },
+        solution_without_problem: {
+          message: "La solution proposée ne répond pas clairement aux problèmes cités.",
+          suggestion: "Reliez chaque élément de la solution à un problème précis de la section Problème.",
+        },
+        revenue_without_segment: {
+          message: "Les sources de revenus citent des payeurs absents des segments de clientèle.",
+          suggestion: "Précisez quel segment de clientèle paie pour chaque source de revenus.",
+        },
+        channels_without_cost: {
+          message: "Les canaux n'apparaissent pas dans la structure de coûts.",
+          suggestion: "Ajoutez le coût d'acquisition client de chaque canal à la structure de coûts.",
+        },
+      },
+      vpc: {
+        relievers_without_pain: {
+          message: "Les solutions aux problèmes ne traitent pas les problèmes cités.",
+          suggestion: "Reliez chaque solution à un problème précis de la section Problèmes.",
+        },
+        creators_without_gain: {
+          message: "Les créateurs de gains ne sont pas liés aux gains cités.",
+          suggestion: "Précisez quel gain produit chaque créateur de gains.",
+        },
+        products_without_job: {
+          message: "Les produits et services n'aident pas clairement aux tâches du client citées.",
+          suggestion: "Indiquez quelle tâche du client sert chaque produit ou service.",
+        },
+      },
+    },
+  },
+
+  design: {
+    welcome:
+      "🎨 **Bonjour ! Je suis votre assistant de design créatif**\n\nJe peux vous aider pour :\n• le logo et l'identité visuelle\n• les conseils de couleurs et de typographie\n• le design de sites web et de présentations\n• les outils de design gratuits\n\nSur quel design souhaitez-vous de l'aide ?",
+    generalContext: "général",
+    fallbackTitle: "🎨 **Assistant de design créatif**",
+    fallbackIntent: "Pour {{label}}, je vous conseille :",
+    fallbackMenu:
+      "Je peux vous aider pour :\n\n• le logo et l'identité visuelle\n• les sites web et applications\n• les présentations\n• les publications pour les réseaux sociaux\n• les conseils de couleurs et de typographie\n• les outils de design gratuits\n\nDe quel type de design avez-vous besoin ?",
+    fallbackTools: "💡 *Pour commencer, vous pouvez utiliser des outils comme Canva, Figma ou Adobe Express*",
+    fallbackSuggestions: `🎯 **Suggestions de design pour {{projectType}}**
+
+1. **Style simple et moderne**
+   - Couleurs : bleu professionnel + blanc + gris
+   - Typographie : sans-serif lisible
+   - Misez sur la simplicité et la clarté
+
+2. **Style créatif et audacieux**
+   - Couleurs : teintes vives et contrastées
+   - Typographie : mélange classique et moderne
+   - Favorisez la créativité et la différenciation
+
+3. **Style professionnel classique**
+   - Couleurs : tons neutres et sobres
+   - Typographie : serif classique
+   - Adapté aux projets traditionnels
+
+🛠️ **Outils gratuits** : Canva, Figma, Adobe Color, Google Fonts`,
+    identityName: "Identité visuelle",
+    identityLogoUsage: "Placez le logo sur un fond clair ou sombre avec un contraste suffisant\nLaissez autour du logo un espace libre d'au moins la hauteur d'une lettre de son nom\nN'étirez pas le logo et ne modifiez ni ses couleurs ni ses proportions",
+    paletteTitle: "🎨 **Palette proposée** :",
+  },
+
+  intents: {
+    logo: {
+      label: "le design du logo",
+      tips: [
+        "Choisissez des couleurs qui expriment l'identité de votre projet",
+        "Utilisez une typographie claire et lisible",
+        "Gardez un logo simple et mémorable",
+        "Vérifiez qu'il reste lisible à toutes les tailles",
+        "Pensez à la valeur qu'apporte votre projet",
+      ],
+    },
+    website: {
+      label: "le design du site web",
+      tips: [
+        "Privilégiez une expérience utilisateur simple",
+        "Utilisez des couleurs cohérentes avec l'identité",
+        "Assurez un chargement rapide",
+        "Vérifiez l'affichage sur mobile",
+        "Utilisez des images de bonne qualité",
+      ],
+    },
+    visual_identity: {
+      label: "l'identité visuelle",
+      tips: [
+        "Définissez une palette de couleurs fixe",
+        "Choisissez des polices cohérentes",
+        "Rédigez une charte graphique",
+        "Restez cohérent sur tous les supports",
+        "Pensez à votre public cible",
+      ],
+    },
+    cover: {
+      label: "le design de couverture",
+      tips: [
+        "Rendez le titre clair et lisible de loin",
+        "Utilisez une image ou une illustration forte plutôt que beaucoup d'éléments",
+        "Respectez les formats et marges d'impression",
+        "Choisissez des couleurs adaptées au sujet",
+      ],
+    },
+    social_posts: {
+      label: "les publications pour les réseaux sociaux",
+      tips: [
+        "Utilisez un modèle fixe qui reflète l'identité de votre projet",
+        "Rendez le message principal lisible en quelques secondes",
+        "Respectez les formats de chaque plateforme (carré pour les posts, vertical pour les stories)",
+        "Ajoutez un appel à l'action clair",
+      ],
+    },
+    presentation: {
+      label: "le design de présentations",
+      tips: [
+        "Une seule idée par diapositive",
+        "Utilisez une grande police et peu de texte",
+        "Reprenez les couleurs de votre identité sur toutes les diapositives",
+        "Préférez les graphiques aux longs tableaux",
+      ],
+    },
+    entrepreneurship: {
+      label: "l'entrepreneuriat et le développement du projet",
+      tips: [
+        "Identifiez un problème clair que vivent vos clients",
+        "Testez votre idée auprès de vrais clients avant d'investir",
+        "Commencez par une version simple (MVP) puis améliorez-la",
+        "Profitez de l'accompagnement et des ateliers de l'incubateur",
+      ],
+    },
+  },
+
+  uiux: {
+    questions: {
+      platform: "🎯 Quel type de projet est-ce (site web, application mobile, tableau de bord... ?)",
+      palette: "🎨 Quelles couleurs ou quel style préférez-vous pour le design ?",
+      style: "🧩 Préférez-vous une interface épurée ou riche en détails ?",
+      audience: "📱 Quel est le public cible de vos utilisateurs ?",
+      inspirations: "💡 Y a-t-il des sites ou applications dont vous aimez l'apparence ?",
+      keyScreens: "📐 Quels éléments essentiels voulez-vous sur la page d'accueil ?",
+    },
+    brief: {
+      unspecified: "Non précisé",
+      defaultStyle: "Moderne et simple",
+      defaultAudience: "Grand public",
+      notes:
+        "Le design proposera une interface {{style}} avec des couleurs {{palette}}, destinée à {{audience}}, en privilégiant une expérience fluide et une interface responsive sur tous les appareils.",
+      notesStyle: "moderne",
+      notesPalette: "neutres",
+    },
+  },
+};
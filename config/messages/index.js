@@ -0,0 +1,16 @@
+import dotenv from "dotenv";
+import ar from "./ar.js";
+import fr from "./fr.js";
+import en from "./en.js";
+
+dotenv.config();
+
+// 🌍 كتالوج رسائل الواجهة لكل لغة: errors (حسب رمز الخطأ الثابت)، messages، ونصوص الردود الاحتياطية
+// النصوص تقبل متغيرات {{name}} مثل قوالب الـ prompts؛ العربية هي المرجع عند نقص أي مفتاح
+export const MESSAGES = { ar, fr, en };
+
+export const SUPPORTED_LOCALES = Object.keys(MESSAGES);
+export const FALLBACK_LOCALE = "ar";
+export const DEFAULT_LOCALE = SUPPORTED_LOCALES.includes(process.env.DEFAULT_LOCALE)
+  ? process.env.DEFAULT_LOCALE
+  : FALLBACK_LOCALE;
@@ -0,0 +1,126 @@
+// 📋 قوالب prompts نموذج العمل (BMC / Lean / VPC)
+export default [
+  {
+    id: "bmc.nextQuestion",
+    version: 1,
+    text: {
+      ar: `
+أنت مستشار لمشاريع طلاب {{incubatorName}} في {{incubatorPlace}}.
+النموذج: "{{templateTitle}}" ({{templateTitleEn}}).
+قسم النموذج الحالي: "{{sectionTitle}}" (المفتاح: "{{sectionKey}}").
+مثال على سؤال مناسب: "{{starter}}"
+اكتب سؤالاً واحداً باللغة العربية لتوجيه الطالب في هذا القسم.
+يجب أن يكون السؤال واضحاً ومباشراً ويتعلق بـ {{sectionTitle}}.
+ضع السؤال في الحقل "question" ومفتاح القسم "{{sectionKey}}" في الحقل "section_key".
+`,
+      fr: `
+Tu es conseiller pour les projets étudiants de {{incubatorName}} ({{incubatorPlace}}).
+Canevas : « {{templateTitleEn}} ».
+Section actuelle : « {{sectionTitleEn}} » (clé : "{{sectionKey}}").
+Exemple de question adaptée (en arabe) : « {{starter}} »
+Rédige une seule question en français pour guider l'étudiant dans cette section.
+La question doit être claire, directe et porter sur {{sectionTitleEn}}.
+Mets la question dans le champ "question" et la clé "{{sectionKey}}" dans le champ "section_key".
+`,
+      en: `
+You are an advisor for student projects at {{incubatorName}} ({{incubatorPlace}}).
+Canvas: "{{templateTitleEn}}".
+Current section: "{{sectionTitleEn}}" (key: "{{sectionKey}}").
+Example of a suitable question (in Arabic): "{{starter}}"
+Write a single question in English to guide the student through this section.
+The question must be clear, direct and about {{sectionTitleEn}}.
+Put the question in the "question" field and the key "{{sectionKey}}" in the "section_key" field.
+`,
+    },
+  },
+  {
+    id: "bmc.summary",
+    version: 1,
+    text: {
+      ar: `
+قم بإنشاء ملخص واضح وشامل باللغة العربية لـ"{{templateTitle}}" الخاص بالطالب بناءً على البيانات التالية:
+{{canvasData}}
+
+مفاتيح الأقسام المطلوبة في "sections": {{sectionKeys}}
+
+الملخص يجب أن:
+- يكون باللغة العربية
+- يبدأ بنظرة عامة قصيرة عن نموذج العمل في "overview"
+- يلخص كل قسم في نقاط قصيرة وواضحة
+- يعطي توصيات عملية في "recommendations"
+`,
+      fr: `
+Rédige un résumé clair et complet en français du « {{templateTitleEn}} » de l'étudiant à partir des données suivantes :
+{{canvasData}}
+
+Clés de sections attendues dans "sections" : {{sectionKeys}}
+
+Le résumé doit :
+- être en français
+- commencer par une courte vue d'ensemble du modèle dans "overview"
+- résumer chaque section en points courts et clairs
+- donner des recommandations concrètes dans "recommendations"
+`,
+      en: `
+Write a clear and complete summary in English of the student's "{{templateTitleEn}}" based on the following data:
+{{canvasData}}
+
+Section keys expected in "sections": {{sectionKeys}}
+
+The summary must:
+- be in English
+- start with a short overview of the business model in "overview"
+- summarize each section as short, clear bullet points
+- give practical recommendations in "recommendations"
+`,
+    },
+  },
+  {
+    id: "bmc.review",
+    version: 1,
+    text: {
+      ar: `
+أنت مرشد في {{incubatorName}} بـ{{incubatorPlace}}، تراجع "{{templateTitle}}" لمشروع طالب.
+بيانات النموذج (مفتاح القسم واسمه: الإجابة):
+{{canvasData}}
+
+قيّم كل قسم من 0 إلى {{maxScore}} حسب المعايير التالية:
+{{criteria}}
+
+ابحث عن التناقضات بين الأقسام (مثلاً إيرادات من شريحة غير مذكورة في العملاء، أو قنوات بدون تكلفة).
+الملاحظات التالية تم اكتشافها مسبقاً فلا تكررها:
+{{knownIssues}}
+
+اكتب الملاحظات والاقتراحات باللغة العربية، واربط كل اقتراح بمفتاح القسم المعني.
+`,
+      fr: `
+Tu es mentor à {{incubatorName}} ({{incubatorPlace}}) et tu révises le « {{templateTitleEn}} » d'un projet étudiant.
+Données du canevas (clé et nom de section : réponse) :
+{{canvasData}}
+
+Note chaque section de 0 à {{maxScore}} selon les critères suivants :
+{{criteria}}
+
+Cherche les incohérences entre sections (par exemple des revenus provenant d'un segment absent des clients, ou des canaux sans coût).
+Les remarques suivantes ont déjà été détectées, ne les répète pas :
+{{knownIssues}}
+
+Rédige les remarques et suggestions en français et associe chaque suggestion à la clé de section concernée.
+`,
+      en: `
+You are a mentor at {{incubatorName}} ({{incubatorPlace}}) reviewing the "{{templateTitleEn}}" of a student project.
+Canvas data (section key and name: answer):
+{{canvasData}}
+
+Score each section from 0 to {{maxScore}} against the following criteria:
+{{criteria}}
+
+Look for inconsistencies between sections (for example revenue from a segment missing from customers, or channels with no cost).
+The following issues were already detected, do not repeat them:
+{{knownIssues}}
+
+Write feedback and suggestions in English and link each suggestion to the relevant section key.
+`,
+    },
+  },
+];
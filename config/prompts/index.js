@@ -0,0 +1,95 @@
+import dotenv from "dotenv";
+import { INCUBATORS, INCUBATOR_ID } from "../incubators.js";
+import bmcPrompts from "./bmc.js";
+import designPrompts from "./design.js";
+import systemPrompts from "./system.js";
+
+dotenv.config();
+
+// 🗂️ سجل قوالب الـ prompts: prompts[id][version] = { default, incubators: { [incubatorId]: override } }
+// عند تعديل قالب نضيف نسخة جديدة بدل تغيير القديمة؛ للرجوع إلى نسخة سابقة:
+// PROMPT_VERSION_BMC_NEXT_QUESTION=1 (اسم القالب بحروف كبيرة والنقاط والكلمات مفصولة بـ _)
+const prompts = {};
+
+export const PROMPT_LOCALES = ["ar", "fr", "en"];
+export const DEFAULT_PROMPT_LOCALE = PROMPT_LOCALES.includes(process.env.PROMPT_LOCALE)
+  ? process.env.PROMPT_LOCALE
+  : "ar";
+
+// ⬇️ تسجيل قالب (أو نسخة خاصة بحاضنة إذا احتوى على incubator)
+export function registerPromptTemplate(template) {
+  const versions = (prompts[template.id] ||= {});
+  const entry = (versions[template.version] ||= { incubators: {} });
+  if (template.incubator) {
+    entry.incubators[template.incubator] = template;
+  } else {
+    entry.default = template;
+  }
+}
+
+[...bmcPrompts, ...designPrompts, ...systemPrompts].forEach(registerPromptTemplate);
+
+function pinnedVersion(id) {
+  const name = `PROMPT_VERSION_${id.replace(/([a-z])([A-Z])/g, "$1_$2").replace(/\./g, "_").toUpperCase()}`;
+  return Number(process.env[name]) || null;
+}
+
+// ⬇️ جلب قالب حسب المعرّف: النسخة المطلوبة، أو المثبتة في البيئة، أو آخر نسخة؛ مع نصوص الحاضنة إن وُجدت
+export function getPromptTemplate(id, { version, incubator = INCUBATOR_ID } = {}) {
+  const versions = prompts[id];
+  if (!versions) return null;
+
+  const available = Object.keys(versions).filter(v => versions[v].default).map(Number);
+  const selected = version || pinnedVersion(id) || Math.max(...available);
+  const entry = versions[selected];
+  if (!entry?.default) return null;
+
+  const override = entry.incubators[incubator];
+  return {
+    id,
+    version: selected,
+    incubator: override ? incubator : null,
+    overriddenLocales: Object.keys(override?.text || {}),
+    text: { ...entry.default.text, ...override?.text },
+  };
+}
+
+// ⬇️ تعبئة قالب بالمتغيرات ({{name}}) وإرجاع النص مع مرجع النسخة (ref) لتسجيله مع كل طلب AI
+// {{incubatorName}} و {{incubatorPlace}} تُضافان تلقائياً حسب الحاضنة واللغة
+export function renderPrompt(id, variables = {}, { locale = DEFAULT_PROMPT_LOCALE, version, incubator = INCUBATOR_ID } = {}) {
+  const template = getPromptTemplate(id, { version, incubator });
+  if (!template) throw new Error(`Unknown prompt template: ${id}${version ? `@v${version}` : ""}`);
+
+  const resolvedLocale = template.text[locale] ? locale : "ar";
+  const overridden = template.overriddenLocales.includes(resolvedLocale);
+  const ref = `${id}@v${template.version}/${resolvedLocale}${overridden ? `+${template.incubator}` : ""}`;
+  const info = INCUBATORS[incubator] || INCUBATORS[INCUBATOR_ID];
+  const values = {
+    incubatorName: info.name[resolvedLocale],
+    incubatorPlace: info.place[resolvedLocale],
+    ...variables,
+  };
+
+  const text = template.text[resolvedLocale].replace(/\{\{\s*(\w+)\s*\}\}/g, (_, name) => {
+    if (values[name] === undefined || values[name] === null) {
+      throw new Error(`Missing prompt variable "${name}" for ${ref}`);
+    }
+    return String(values[name]);
+  });
+
+  return { id, version: template.version, locale: resolvedLocale, incubator: overridden ? template.incubator : null, ref, text };
+}
+
+// ⬇️ قائمة القوالب مع النسخ المتاحة والنسخة المستعملة حالياً
+export function listPromptTemplates() {
+  return Object.entries(prompts).map(([id, versions]) => {
+    const active = getPromptTemplate(id);
+    return {
+      id,
+      versions: Object.keys(versions).map(Number),
+      activeVersion: active?.version || null,
+      locales: active ? Object.keys(active.text) : [],
+      incubators: [...new Set(Object.values(versions).flatMap(v => Object.keys(v.incubators)))],
+    };
+  });
+}
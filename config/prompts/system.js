@@ -0,0 +1,141 @@
+// ⚙️ قوالب prompts مشتركة: تلخيص المحادثة وسياقها، وتعليمات JSON وإصلاح الردود المنظمة
+export default [
+  {
+    id: "chat.memorySummary",
+    version: 1,
+    text: {
+      ar: `
+لخّص المحادثة التالية بين طالب في {{incubatorName}} ومساعد التصميم في فقرة قصيرة باللغة العربية.
+احتفظ بالقرارات والتفضيلات المهمة (ألوان، أنماط، أسماء، أنواع التصميم المطلوبة) وتجاهل المجاملات.
+لا يتجاوز الملخص {{maxChars}} حرفاً.
+
+{{previousSummary}}الرسائل الجديدة:
+{{turns}}
+`,
+      fr: `
+Résume en un court paragraphe, en français, la conversation suivante entre un étudiant de {{incubatorName}} et l'assistant design.
+Garde les décisions et préférences importantes (couleurs, styles, noms, types de design demandés) et ignore les politesses.
+Le résumé ne doit pas dépasser {{maxChars}} caractères.
+
+{{previousSummary}}Nouveaux messages :
+{{turns}}
+`,
+      en: `
+Summarize the following conversation between a student at {{incubatorName}} and the design assistant in one short paragraph, in English.
+Keep important decisions and preferences (colors, styles, names, requested design types) and skip pleasantries.
+The summary must not exceed {{maxChars}} characters.
+
+{{previousSummary}}New messages:
+{{turns}}
+`,
+    },
+  },
+  {
+    id: "chat.context",
+    version: 1,
+    text: {
+      ar: `معلومات المشروع:
+المشروع: {{projectTitle}}
+الطالب: {{studentName}}
+بيانات "{{templateTitle}}":
+{{canvasData}}
+ملخص النموذج: {{canvasOverview}}
+
+ملخص المحادثة السابقة:
+{{summary}}
+
+آخر الرسائل:
+{{recent}}`,
+      fr: `Informations sur le projet :
+Projet : {{projectTitle}}
+Étudiant : {{studentName}}
+Données « {{templateTitle}} » :
+{{canvasData}}
+Résumé du canevas : {{canvasOverview}}
+
+Résumé de la conversation précédente :
+{{summary}}
+
+Derniers messages :
+{{recent}}`,
+      en: `Project information:
+Project: {{projectTitle}}
+Student: {{studentName}}
+"{{templateTitle}}" data:
+{{canvasData}}
+Canvas summary: {{canvasOverview}}
+
+Earlier conversation summary:
+{{summary}}
+
+Latest messages:
+{{recent}}`,
+    },
+  },
+  {
+    id: "chat.studentTurn",
+    version: 1,
+    text: {
+      ar: "الطالب: {{content}}",
+      fr: "Étudiant : {{content}}",
+      en: "Student: {{content}}",
+    },
+  },
+  {
+    id: "chat.assistantTurn",
+    version: 1,
+    text: {
+      ar: "المساعد: {{content}}",
+      fr: "Assistant : {{content}}",
+      en: "Assistant: {{content}}",
+    },
+  },
+  {
+    id: "system.jsonInstruction",
+    version: 1,
+    text: {
+      ar: `
+أجب بصيغة JSON فقط مطابقة لهذا المخطط (JSON Schema)، بدون Markdown أو أي نص إضافي:
+{{schema}}`,
+      fr: `
+Réponds uniquement en JSON conforme à ce schéma (JSON Schema), sans Markdown ni texte supplémentaire :
+{{schema}}`,
+      en: `
+Reply with JSON only, matching this JSON Schema, without Markdown or any extra text:
+{{schema}}`,
+    },
+  },
+  {
+    id: "system.jsonRepair",
+    version: 1,
+    text: {
+      ar: `
+
+ردك السابق لم يكن مطابقاً للمخطط المطلوب:
+{{previousOutput}}
+
+الأخطاء:
+{{errors}}
+
+أعد كتابة الرد كاملاً بصيغة JSON صحيحة ومطابقة للمخطط فقط، بدون أي نص إضافي.`,
+      fr: `
+
+Ta réponse précédente ne respectait pas le schéma demandé :
+{{previousOutput}}
+
+Erreurs :
+{{errors}}
+
+Réécris la réponse complète en JSON valide et conforme au schéma, sans aucun texte supplémentaire.`,
+      en: `
+
+Your previous reply did not match the required schema:
+{{previousOutput}}
+
+Errors:
+{{errors}}
+
+Rewrite the complete reply as valid JSON matching the schema, with no extra text.`,
+    },
+  },
+];
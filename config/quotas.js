@@ -0,0 +1,67 @@
+import dotenv from "dotenv";
+import { ROLES } from "./roles.js";
+
+dotenv.config();
+
+// ⬇️ قيمة رقمية من البيئة؛ "none" أو "unlimited" تعني بدون حد (null)
+function envLimit(name, fallback) {
+  const value = process.env[name];
+  if (value === undefined || value === "") return fallback;
+  if (["none", "unlimited"].includes(value.toLowerCase())) return null;
+  return Number(value) || fallback;
+}
+
+// 🌐 عدد البروكسيات أمام الخادم (Railway مثلاً) حتى يكون req.ip هو عنوان العميل الحقيقي
+export const TRUST_PROXY = /^\d+$/.test(process.env.TRUST_PROXY || "")
+  ? Number(process.env.TRUST_PROXY)
+  : process.env.TRUST_PROXY === "true";
+
+// 🚦 حدود معدل الطلبات (نافذة ثابتة في الذاكرة)
+// ip: كل مسارات /api، auth: تسجيل الدخول والتسجيل ونسيان كلمة المرور، aiUser: مسارات AI لكل مستخدم
+export const RATE_LIMITS = {
+  ip: {
+    windowMs: envLimit("RATE_LIMIT_IP_WINDOW_MS", 15 * 60 * 1000),
+    max: envLimit("RATE_LIMIT_IP_MAX", 300),
+  },
+  auth: {
+    windowMs: envLimit("RATE_LIMIT_AUTH_WINDOW_MS", 15 * 60 * 1000),
+    max: envLimit("RATE_LIMIT_AUTH_MAX", 20),
+  },
+  aiUser: {
+    windowMs: envLimit("RATE_LIMIT_AI_WINDOW_MS", 60 * 1000),
+    max: envLimit("RATE_LIMIT_AI_MAX", 10),
+  },
+};
+
+export const QUOTA_PERIODS = ["daily", "monthly"];
+export const QUOTA_METRICS = ["requests", "tokens"];
+
+// 📊 حصص AI لكل دور: عدد الطلبات والتوكنات (تقديرية) يومياً وشهرياً، null = بدون حد
+// يمكن تغييرها عبر البيئة مثل AI_QUOTA_STUDENT_DAILY_REQUESTS، وتجاوزها لمستخدم معيّن من لوحة المسؤول
+function roleQuota(role, defaults) {
+  const prefix = `AI_QUOTA_${role.toUpperCase()}`;
+  return Object.fromEntries(
+    QUOTA_PERIODS.map(period => [
+      period,
+      {
+        requests: envLimit(`${prefix}_${period.toUpperCase()}_REQUESTS`, defaults[period].requests),
+        tokens: envLimit(`${prefix}_${period.toUpperCase()}_TOKENS`, defaults[period].tokens),
+      },
+    ])
+  );
+}
+
+export const AI_QUOTAS = {
+  [ROLES.STUDENT]: roleQuota(ROLES.STUDENT, {
+    daily: { requests: 60, tokens: 100000 },
+    monthly: { requests: 1000, tokens: 1500000 },
+  }),
+  [ROLES.MENTOR]: roleQuota(ROLES.MENTOR, {
+    daily: { requests: 200, tokens: 400000 },
+    monthly: { requests: 3000, tokens: 6000000 },
+  }),
+  [ROLES.ADMIN]: roleQuota(ROLES.ADMIN, {
+    daily: { requests: null, tokens: null },
+    monthly: { requests: null, tokens: null },
+  }),
+};
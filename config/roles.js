@@ -0,0 +1,8 @@
+// 👥 أدوار المستخدمين في الحاضنة
+export const ROLES = {
+  STUDENT: "student",
+  MENTOR: "mentor",
+  ADMIN: "admin",
+};
+
+export const ALL_ROLES = Object.values(ROLES);
@@ -0,0 +1,41 @@
+import dotenv from "dotenv";
+dotenv.config();
+
+// 🗄️ مشغّل التخزين: local (نظام الملفات) أو s3 (أي خدمة متوافقة مع S3 مثل MinIO)
+export const STORAGE_DRIVER = process.env.STORAGE_DRIVER || "local";
+
+// 💾 في الإنتاج يجب أن تبقى الملفات بعد إعادة التشغيل أو النشر: UPLOAD_DIR على قرص دائم (volume) أو s3
+if (process.env.NODE_ENV === "production") {
+  if (STORAGE_DRIVER === "local" && !process.env.UPLOAD_DIR) {
+    throw new Error("UPLOAD_DIR (on a persistent volume) or STORAGE_DRIVER=s3 must be set in production");
+  }
+  if (STORAGE_DRIVER === "s3" && !process.env.S3_BUCKET) {
+    throw new Error("S3_BUCKET must be set in production for the s3 storage driver");
+  }
+}
+
+export const STORAGE_SETTINGS = {
+  local: {
+    root: process.env.UPLOAD_DIR || "./uploads",
+  },
+  s3: {
+    bucket: process.env.S3_BUCKET,
+    region: process.env.S3_REGION || "us-east-1",
+    endpoint: process.env.S3_ENDPOINT, // مثال: http://localhost:9000 لـ MinIO
+    forcePathStyle: process.env.S3_FORCE_PATH_STYLE !== "false",
+    accessKeyId: process.env.S3_ACCESS_KEY_ID,
+    secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+  },
+};
+
+// 📎 أنواع الملفات المسموح بها لكل حقل في المشاريع
+export const PROJECT_FILE_RULES = {
+  logo: {
+    maxSize: 2 * 1024 * 1024,
+    mimeTypes: ["image/png", "image/jpeg", "image/webp", "image/svg+xml"],
+  },
+  pdf_file: {
+    maxSize: 10 * 1024 * 1024,
+    mimeTypes: ["application/pdf"],
+  },
+};
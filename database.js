@@ -1,84 +1,132 @@
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath, pathToFileURL } from "url";
 import sqlite3 from "sqlite3";
 import { open } from "sqlite";
+import { DATABASE_PATH } from "./config/database.js";
 
-// 🔌 فتح الاتصال بقاعدة البيانات
+const MIGRATIONS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), "migrations");
+
+let connection = null;
+
+// 🔌 الاتصال الوحيد بقاعدة البيانات: يُفتح عند أول طلب ويُشارك بين كل المسارات والخدمات
 export async function openDb() {
-  return open({
-    filename: "./startups.db",
-    driver: sqlite3.Database
-  });
+  connection ||= open({ filename: DATABASE_PATH, driver: sqlite3.Database })
+    .then(async db => {
+      await db.exec("PRAGMA busy_timeout = 5000");
+      return db;
+    })
+    .catch(error => {
+      connection = null;
+      throw error;
+    });
+  return connection;
 }
 
-// 🧱 إنشاء جدول المشاريع
-export async function createProjectsTable() {
-  const db = await openDb();
-  await db.exec(`
-    CREATE TABLE IF NOT EXISTS projects (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      student_name TEXT,
-      project_title TEXT,
-      description TEXT,
-      phone TEXT, 
-      logo TEXT,
-      pdf_file TEXT,
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-    )
-  `);
-  console.log("✅ Table 'projects' ready!");
+// ⬇️ إغلاق الاتصال (لسكربتات سطر الأوامر)
+export async function closeDb() {
+  if (!connection) return;
+  const db = await connection;
+  connection = null;
+  await db.close();
 }
 
-// 🔐 إنشاء جدول المستخدمين (للمصادقة)
-export async function createUserTable() {
-  const db = await openDb();
+// ===================================================
+// 🧱 MIGRATIONS
+// ===================================================
+// كل ملف في migrations/ باسم NNN_name.js يصدّر up(db) و down(db)
+// ويُنفَّذ داخل معاملة، إلا إذا صدّر transaction = false (مثل ATTACH)
+// الخطوات المنفذة تُسجَّل في جدول schema_migrations
+
+async function loadMigrations() {
+  const files = (await fs.readdir(MIGRATIONS_DIR)).filter(file => /^\d+_\w+\.js$/.test(file)).sort();
+  return Promise.all(
+    files.map(async file => {
+      const [, version, name] = /^(\d+)_(\w+)\.js$/.exec(file);
+      const migration = await import(pathToFileURL(path.join(MIGRATIONS_DIR, file)).href);
+      return { version: Number(version), name, up: migration.up, down: migration.down, transaction: migration.transaction !== false };
+    })
+  );
+}
+
+async function appliedVersions(db) {
   await db.exec(`
-    CREATE TABLE IF NOT EXISTS users (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
       name TEXT NOT NULL,
-      email TEXT UNIQUE NOT NULL,
-      password TEXT NOT NULL,
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      applied_at DATETIME NOT NULL
     )
   `);
-  console.log("✅ Table 'users' ready!");
+  return db.all("SELECT version, name, applied_at FROM schema_migrations ORDER BY version");
+}
+
+// ⬇️ تنفيذ خطوة واحدة (up أو down) مع تحديث schema_migrations
+async function runMigration(db, migration, direction) {
+  if (migration.transaction) await db.exec("BEGIN");
+  try {
+    await migration[direction](db);
+    if (direction === "up") {
+      await db.run(
+        "INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)",
+        [migration.version, migration.name, new Date().toISOString()]
+      );
+    } else {
+      await db.run("DELETE FROM schema_migrations WHERE version = ?", [migration.version]);
+    }
+    if (migration.transaction) await db.exec("COMMIT");
+  } catch (error) {
+    if (migration.transaction) await db.exec("ROLLBACK");
+    error.message = `Migration ${migration.version}_${migration.name} (${direction}) failed: ${error.message}`;
+    throw error;
+  }
 }
 
-// 💡 جدول لجلسات BMC لكل طالب/مشروع
-export async function createBMCSessionsTable() {
+// ⬆️ تنفيذ كل الخطوات غير المنفذة بالترتيب؛ يعيد الخطوات المنفذة
+export async function migrate() {
   const db = await openDb();
-  await db.exec(`
-    CREATE TABLE IF NOT EXISTS bmc_sessions (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      student_name TEXT NOT NULL,
-      project_title TEXT,
-      current_section TEXT,
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-    )
-  `);
-  console.log("✅ Table 'bmc_sessions' ready!");
+  const applied = new Set((await appliedVersions(db)).map(row => row.version));
+  const pending = (await loadMigrations()).filter(m => !applied.has(m.version));
+
+  for (const migration of pending) {
+    await runMigration(db, migration, "up");
+    console.log(`⬆️ Migration ${migration.version}_${migration.name} applied`);
+  }
+  return pending.map(({ version, name }) => ({ version, name }));
 }
 
-// 💬 جدول لحفظ إجابات BMC
-export async function createBMCAnswersTable() {
+// ⬇️ التراجع عن آخر steps خطوات منفذة؛ يعيد الخطوات التي تم التراجع عنها
+export async function rollback(steps = 1) {
   const db = await openDb();
-  await db.exec(`
-    CREATE TABLE IF NOT EXISTS bmc_answers (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      session_id INTEGER NOT NULL,
-      section TEXT NOT NULL,
-      question TEXT NOT NULL,
-      answer TEXT,
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      FOREIGN KEY(session_id) REFERENCES bmc_sessions(id)
-    )
-  `);
-  console.log("✅ Table 'bmc_answers' ready!");
+  const applied = (await appliedVersions(db)).reverse().slice(0, steps);
+  const migrations = await loadMigrations();
+  const reverted = [];
+
+  for (const row of applied) {
+    const migration = migrations.find(m => m.version === row.version);
+    if (!migration) throw new Error(`Migration file for version ${row.version} (${row.name}) not found`);
+    await runMigration(db, migration, "down");
+    console.log(`⬇️ Migration ${migration.version}_${migration.name} rolled back`);
+    reverted.push({ version: migration.version, name: migration.name });
+  }
+  return reverted;
+}
+
+// ⬇️ حالة كل الخطوات: منفذة (مع وقت التنفيذ) أو معلّقة
+export async function migrationStatus() {
+  const db = await openDb();
+  const applied = await appliedVersions(db);
+  return (await loadMigrations()).map(({ version, name }) => {
+    const row = applied.find(r => r.version === version);
+    return { version, name, applied: Boolean(row), appliedAt: row?.applied_at || null };
+  });
 }
 
-// 🚀 تهيئة جميع الجداول مرة واحدة عند تشغيل السيرفر
+// 🚀 تهيئة قاعدة البيانات عند تشغيل السيرفر
 export async function initializeDatabase() {
-  await createProjectsTable();
-  await createUserTable();
-  await createBMCSessionsTable();
-  await createBMCAnswersTable();
-  console.log("🚀 All tables initialized successfully!");
+  const applied = await migrate();
+  console.log(
+    applied.length
+      ? `🚀 Database migrated (${applied.length} migrations) at ${DATABASE_PATH}`
+      : `🚀 Database up to date at ${DATABASE_PATH}`
+  );
 }
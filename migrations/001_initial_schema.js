@@ -0,0 +1,186 @@
+// 🧱 المخطط الموحّد: جداول القاعدتين القديمتين بأحدث أعمدتها، مع created_at للمستخدمين
+
+export async function up(db) {
+  await db.exec(`
+    CREATE TABLE users (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT,
+      email TEXT UNIQUE,
+      password TEXT,
+      role TEXT NOT NULL DEFAULT 'student',
+      cohort TEXT,
+      locale TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE projects (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER,
+      student_name TEXT,
+      project_title TEXT,
+      description TEXT,
+      phone TEXT,
+      logo TEXT,
+      logo_content_type TEXT,
+      logo_checksum TEXT,
+      logo_size INTEGER,
+      pdf_file TEXT,
+      pdf_content_type TEXT,
+      pdf_checksum TEXT,
+      pdf_size INTEGER,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+    CREATE INDEX idx_projects_user ON projects(user_id);
+
+    CREATE TABLE designs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      student_id TEXT,
+      user_id INTEGER,
+      project_id INTEGER,
+      design_type TEXT,
+      design_data TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+    CREATE INDEX idx_designs_user ON designs(user_id);
+
+    CREATE TABLE bmc_sessions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      student_id TEXT,
+      student_name TEXT NOT NULL,
+      project_title TEXT,
+      template_id TEXT DEFAULT 'bmc',
+      template_version INTEGER DEFAULT 1,
+      current_section TEXT,
+      mode TEXT DEFAULT 'bmc',
+      bmc_progress INTEGER DEFAULT 0,
+      status TEXT DEFAULT 'active',
+      last_activity DATETIME,
+      summary TEXT,
+      summary_json TEXT,
+      chat_summary TEXT,
+      chat_summary_until INTEGER DEFAULT 0,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+    CREATE INDEX idx_bmc_sessions_student ON bmc_sessions(student_id, status);
+
+    -- status: draft / complete / skipped
+    CREATE TABLE bmc_answers (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      session_id INTEGER NOT NULL,
+      section TEXT NOT NULL,
+      question TEXT NOT NULL,
+      answer TEXT,
+      status TEXT DEFAULT 'complete',
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME,
+      FOREIGN KEY(session_id) REFERENCES bmc_sessions(id)
+    );
+
+    CREATE TABLE chat_messages (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      session_id INTEGER NOT NULL,
+      role TEXT NOT NULL,
+      content TEXT NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY(session_id) REFERENCES bmc_sessions(id)
+    );
+
+    CREATE TABLE uiux_sessions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      student_id TEXT NOT NULL,
+      project_id INTEGER,
+      progress INTEGER DEFAULT 0,
+      status TEXT DEFAULT 'active',
+      brief TEXT,
+      design_id INTEGER,
+      last_activity DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+    CREATE INDEX idx_uiux_sessions_student ON uiux_sessions(student_id, status);
+
+    CREATE TABLE uiux_answers (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      session_id INTEGER NOT NULL,
+      question_key TEXT NOT NULL,
+      question TEXT NOT NULL,
+      answer TEXT NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY(session_id) REFERENCES uiux_sessions(id)
+    );
+
+    CREATE TABLE refresh_tokens (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      token_hash TEXT UNIQUE NOT NULL,
+      family_id TEXT NOT NULL,
+      expires_at DATETIME NOT NULL,
+      revoked_at DATETIME,
+      replaced_by TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE password_reset_tokens (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      token_hash TEXT UNIQUE NOT NULL,
+      expires_at DATETIME NOT NULL,
+      used_at DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE ai_usage (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER,
+      role TEXT,
+      feature TEXT NOT NULL,
+      provider TEXT,
+      model TEXT,
+      prompt_tokens INTEGER DEFAULT 0,
+      output_tokens INTEGER DEFAULT 0,
+      status TEXT DEFAULT 'ok',
+      created_at DATETIME NOT NULL
+    );
+    CREATE INDEX idx_ai_usage_user ON ai_usage(user_id, created_at);
+
+    CREATE TABLE ai_quota_overrides (
+      user_id INTEGER NOT NULL,
+      period TEXT NOT NULL,
+      max_requests INTEGER,
+      max_tokens INTEGER,
+      updated_at DATETIME,
+      PRIMARY KEY (user_id, period)
+    );
+
+    CREATE TABLE ai_cache (
+      key TEXT PRIMARY KEY,
+      feature TEXT NOT NULL,
+      prompt_ref TEXT,
+      template_id TEXT,
+      template_version INTEGER,
+      response TEXT NOT NULL,
+      hits INTEGER DEFAULT 0,
+      expires_at DATETIME NOT NULL,
+      last_used_at DATETIME NOT NULL,
+      created_at DATETIME NOT NULL
+    );
+    CREATE INDEX idx_ai_cache_template ON ai_cache(template_id, template_version);
+  `);
+}
+
+export async function down(db) {
+  await db.exec(`
+    DROP TABLE ai_cache;
+    DROP TABLE ai_quota_overrides;
+    DROP TABLE ai_usage;
+    DROP TABLE password_reset_tokens;
+    DROP TABLE refresh_tokens;
+    DROP TABLE uiux_answers;
+    DROP TABLE uiux_sessions;
+    DROP TABLE chat_messages;
+    DROP TABLE bmc_answers;
+    DROP TABLE bmc_sessions;
+    DROP TABLE designs;
+    DROP TABLE projects;
+    DROP TABLE users;
+  `);
+}
@@ -0,0 +1,108 @@
+import fs from "fs";
+import { LEGACY_DATABASE_PATHS } from "../config/database.js";
+import { LEGACY_BMC_SECTION_KEYS } from "../config/canvasTemplates/index.js";
+
+// 🧳 دمج بيانات القاعدتين القديمتين (database.sqlite و startups.db) في القاعدة الموحّدة، مرة واحدة
+// الملفات القديمة لا تُعدَّل ولا تُحذف؛ الملف غير الموجود يُتجاوز (تثبيت جديد)
+// ATTACH غير مسموح داخل معاملة، لذا تفتح هذه الخطوة معاملتها بنفسها
+export const transaction = false;
+
+// ⬇️ جداول كل ملف تُنسخ بأرقامها (id) كما هي، لأن الجداول الأخرى تشير إليها
+const PRESERVED_TABLES = {
+  app: ["users", "projects", "designs"],
+  startups: [
+    "bmc_sessions",
+    "bmc_answers",
+    "chat_messages",
+    "uiux_sessions",
+    "uiux_answers",
+    "refresh_tokens",
+    "password_reset_tokens",
+    "ai_usage",
+    "ai_quota_overrides",
+    "ai_cache",
+  ],
+};
+
+// ⬇️ الأعمدة المشتركة بين الجدول القديم والجديد (القواعد القديمة قد تنقصها أعمدة أُضيفت لاحقاً)
+async function sharedColumns(db, schema, table, { exclude = [] } = {}) {
+  const legacy = await db.all(`PRAGMA ${schema}.table_info(${table})`);
+  const current = new Set((await db.all(`PRAGMA main.table_info(${table})`)).map(c => c.name));
+  return legacy.map(c => c.name).filter(name => current.has(name) && !exclude.includes(name));
+}
+
+async function hasTable(db, schema, table) {
+  return Boolean(await db.get(`SELECT name FROM ${schema}.sqlite_master WHERE type = 'table' AND name = ?`, [table]));
+}
+
+async function copyTable(db, schema, table) {
+  if (!(await hasTable(db, schema, table))) return 0;
+  const columns = (await sharedColumns(db, schema, table)).join(", ");
+  const result = await db.run(`INSERT OR IGNORE INTO main.${table} (${columns}) SELECT ${columns} FROM ${schema}.${table}`);
+  return result.changes;
+}
+
+// ⬇️ startups.db كان يحتوي أيضاً على جدولي users و projects (غير مستعملين في المسارات):
+// يُضافان بأرقام جديدة، والمستخدم الموجود بنفس البريد يُتجاوز
+async function appendStartupsUsersAndProjects(db) {
+  let changes = 0;
+  if (await hasTable(db, "startups", "users")) {
+    const columns = (await sharedColumns(db, "startups", "users", { exclude: ["id"] })).join(", ");
+    const result = await db.run(
+      `INSERT INTO main.users (${columns}) SELECT ${columns} FROM startups.users
+       WHERE email NOT IN (SELECT email FROM main.users WHERE email IS NOT NULL)`
+    );
+    changes += result.changes;
+  }
+  if (await hasTable(db, "startups", "projects")) {
+    const columns = await sharedColumns(db, "startups", "projects", { exclude: ["id"] });
+    const result = await db.run(
+      `INSERT INTO main.projects (${columns.join(", ")}) SELECT ${columns.map(c => `legacy.${c}`).join(", ")}
+       FROM startups.projects AS legacy
+       WHERE NOT EXISTS (
+         SELECT 1 FROM main.projects AS p
+         WHERE p.project_title IS legacy.project_title AND p.student_name IS legacy.student_name AND p.created_at IS legacy.created_at
+       )`
+    );
+    changes += result.changes;
+  }
+  return changes;
+}
+
+export async function up(db) {
+  const attached = Object.entries(LEGACY_DATABASE_PATHS).filter(([, file]) => fs.existsSync(file));
+  if (attached.length === 0) return;
+
+  for (const [schema, file] of attached) {
+    await db.run(`ATTACH DATABASE ? AS ${schema}`, [file]);
+  }
+
+  try {
+    await db.exec("BEGIN");
+    for (const [schema, file] of attached) {
+      let copied = 0;
+      for (const table of PRESERVED_TABLES[schema]) {
+        copied += await copyTable(db, schema, table);
+      }
+      if (schema === "startups") copied += await appendStartupsUsersAndProjects(db);
+      console.log(`🧳 تم دمج ${copied} سطراً من ${file}`);
+    }
+
+    // أسماء أقسام BMC القديمة ("Key Partners") → مفاتيح القالب ("partners")
+    for (const [legacyName, key] of Object.entries(LEGACY_BMC_SECTION_KEYS)) {
+      await db.run("UPDATE bmc_answers SET section = ? WHERE section = ?", [key, legacyName]);
+      await db.run("UPDATE bmc_sessions SET current_section = ? WHERE current_section = ?", [key, legacyName]);
+    }
+    await db.exec("COMMIT");
+  } catch (error) {
+    await db.exec("ROLLBACK");
+    throw error;
+  } finally {
+    for (const [schema] of attached) {
+      await db.exec(`DETACH DATABASE ${schema}`);
+    }
+  }
+}
+
+// ⬇️ البيانات المدموجة لا يمكن فصلها عن البيانات الجديدة، والملفات القديمة باقية كما هي
+export async function down() {}
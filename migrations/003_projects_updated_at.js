@@ -0,0 +1,9 @@
+// 🕒 وقت آخر تعديل للمشروع (PATCH /api/projects/:id)
+
+export async function up(db) {
+  await db.exec("ALTER TABLE projects ADD COLUMN updated_at DATETIME");
+}
+
+export async function down(db) {
+  await db.exec("ALTER TABLE projects DROP COLUMN updated_at");
+}
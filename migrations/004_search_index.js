@@ -0,0 +1,56 @@
+// 🔎 فهرس البحث النصي (FTS5) للمشاريع والتصميمات ونماذج BMC (الإجابات والملخص)
+// title و body يحملان النص بعد التوحيد العربي (services/textNormalization.js) لأن FTS لا يعرفه،
+// والنص الأصلي محفوظ في raw_title و raw_body لبناء المقتطفات
+// المحفزات (triggers) تضيف كل سطر متغيّر إلى search_queue، ويُحدَّث الفهرس منه قبل كل بحث
+
+const SOURCES = [
+  { table: "projects", type: "project", id: "id" },
+  { table: "designs", type: "design", id: "id" },
+  // تحديث آخر نشاط للجلسة لا يغيّر نصها
+  { table: "bmc_sessions", type: "bmc", id: "id", updateOf: "project_title, summary" },
+  { table: "bmc_answers", type: "bmc", id: "session_id" },
+];
+
+export async function up(db) {
+  await db.exec(`
+    CREATE VIRTUAL TABLE search_index USING fts5(
+      title,
+      body,
+      raw_title UNINDEXED,
+      raw_body UNINDEXED,
+      doc_type UNINDEXED,
+      doc_id UNINDEXED,
+      owner_id UNINDEXED,
+      created_at UNINDEXED,
+      tokenize = 'unicode61 remove_diacritics 2'
+    );
+
+    CREATE TABLE search_queue (
+      doc_type TEXT NOT NULL,
+      doc_id INTEGER NOT NULL,
+      PRIMARY KEY (doc_type, doc_id)
+    );
+  `);
+
+  for (const { table, type, id, updateOf } of SOURCES) {
+    for (const [event, row] of [["INSERT", "NEW"], ["UPDATE", "NEW"], ["DELETE", "OLD"]]) {
+      const columns = event === "UPDATE" && updateOf ? ` OF ${updateOf}` : "";
+      await db.exec(`
+        CREATE TRIGGER search_${table}_${event.toLowerCase()} AFTER ${event}${columns} ON ${table} BEGIN
+          INSERT OR IGNORE INTO search_queue (doc_type, doc_id) VALUES ('${type}', ${row}.${id});
+        END
+      `);
+    }
+    // فهرسة البيانات الموجودة عند أول بحث
+    await db.exec(`INSERT OR IGNORE INTO search_queue (doc_type, doc_id) SELECT '${type}', ${id} FROM ${table}`);
+  }
+}
+
+export async function down(db) {
+  for (const { table } of SOURCES) {
+    for (const event of ["insert", "update", "delete"]) {
+      await db.exec(`DROP TRIGGER search_${table}_${event}`);
+    }
+  }
+  await db.exec("DROP TABLE search_queue; DROP TABLE search_index;");
+}
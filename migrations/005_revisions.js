@@ -0,0 +1,53 @@
+// 🕓 سجل النسخ للتصميمات (doc_type = 'design') ونماذج BMC (doc_type = 'bmc'، doc_id = رقم الجلسة)
+// snapshot: نسخة JSON كاملة من المستند (services/revisionService.js)، و revision رقم متسلسل لكل مستند
+// النسخة الحالية الموجودة تصبح النسخة 1
+
+export async function up(db) {
+  await db.exec(`
+    CREATE TABLE revisions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      doc_type TEXT NOT NULL,
+      doc_id INTEGER NOT NULL,
+      revision INTEGER NOT NULL,
+      snapshot TEXT NOT NULL,
+      source TEXT,
+      restored_from INTEGER,
+      label TEXT,
+      labeled_at DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (doc_type, doc_id, revision)
+    );
+
+    CREATE TRIGGER revisions_designs_delete AFTER DELETE ON designs BEGIN
+      DELETE FROM revisions WHERE doc_type = 'design' AND doc_id = OLD.id;
+    END;
+    CREATE TRIGGER revisions_bmc_sessions_delete AFTER DELETE ON bmc_sessions BEGIN
+      DELETE FROM revisions WHERE doc_type = 'bmc' AND doc_id = OLD.id;
+    END;
+
+    INSERT INTO revisions (doc_type, doc_id, revision, snapshot, source, created_at)
+    SELECT 'design', id, 1, json_object('designType', design_type, 'designData', design_data), 'initial', created_at
+    FROM designs;
+  `);
+
+  const answers = await db.all("SELECT session_id, section, question, answer, status FROM bmc_answers ORDER BY session_id, id");
+  const canvases = new Map();
+  for (const { session_id: sessionId, section, question, answer, status } of answers) {
+    if (!canvases.has(sessionId)) canvases.set(sessionId, {});
+    canvases.get(sessionId)[section] = { question, answer, status };
+  }
+  for (const [sessionId, sections] of canvases) {
+    await db.run(
+      "INSERT INTO revisions (doc_type, doc_id, revision, snapshot, source) VALUES ('bmc', ?, 1, ?, 'initial')",
+      [sessionId, JSON.stringify({ sections })]
+    );
+  }
+}
+
+export async function down(db) {
+  await db.exec(`
+    DROP TRIGGER revisions_designs_delete;
+    DROP TRIGGER revisions_bmc_sessions_delete;
+    DROP TABLE revisions;
+  `);
+}
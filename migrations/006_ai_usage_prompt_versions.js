@@ -0,0 +1,20 @@
+// 🗂️ نسخة قالب الـ prompt لكل طلب AI في ai_usage، لمقارنة النسخ (الاستهلاك والأخطاء) في تقرير المسؤول
+// prompt_ref: المرجع الكامل (مثل bmc.nextQuestion@v2/fr + system.jsonRepair@v1/fr)
+
+export async function up(db) {
+  await db.exec(`
+    ALTER TABLE ai_usage ADD COLUMN prompt_id TEXT;
+    ALTER TABLE ai_usage ADD COLUMN prompt_version INTEGER;
+    ALTER TABLE ai_usage ADD COLUMN prompt_ref TEXT;
+    CREATE INDEX idx_ai_usage_prompt ON ai_usage(prompt_id, prompt_version);
+  `);
+}
+
+export async function down(db) {
+  await db.exec(`
+    DROP INDEX idx_ai_usage_prompt;
+    ALTER TABLE ai_usage DROP COLUMN prompt_ref;
+    ALTER TABLE ai_usage DROP COLUMN prompt_version;
+    ALTER TABLE ai_usage DROP COLUMN prompt_id;
+  `);
+}
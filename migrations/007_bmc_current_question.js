@@ -0,0 +1,9 @@
+// ❓ نص آخر سؤال طُرح عن القسم الحالي (يُحفظ مع إجابته بدل قراءته من سجل المحادثة المشترك مع مساعد التصميم)
+
+export async function up(db) {
+  await db.exec("ALTER TABLE bmc_sessions ADD COLUMN current_question TEXT");
+}
+
+export async function down(db) {
+  await db.exec("ALTER TABLE bmc_sessions DROP COLUMN current_question");
+}
@@ -0,0 +1,29 @@
+import { openDb, migrate, closeDb } from "../database.js";
+import { ROLES } from "../config/roles.js";
+
+// 🔑 منح دور admin من سطر الأوامر (لمن يملك الوصول إلى الخادم فقط، وليس عبر التسجيل):
+//   npm run admin:grant -- user@example.com   → ترقية حساب مسجَّل إلى admin
+//   npm run admin:revoke -- user@example.com  → إعادته إلى student
+// يسجّل المستخدم الدخول من جديد ليحمل التوكن الدور الجديد
+const [command, email] = process.argv.slice(2);
+
+const COMMAND_ROLES = { grant: ROLES.ADMIN, revoke: ROLES.STUDENT };
+
+async function main() {
+  const role = COMMAND_ROLES[command];
+  if (!role) throw new Error(`Unknown command: ${command} (use grant or revoke)`);
+  if (!email) throw new Error("Email is required");
+
+  await migrate();
+  const db = await openDb();
+  const result = await db.run("UPDATE users SET role = ? WHERE lower(email) = lower(?)", [role, email.trim()]);
+  if (result.changes === 0) throw new Error(`User not found: ${email}`);
+  console.log(`✅ ${email} is now ${role}`);
+}
+
+main()
+  .catch(error => {
+    console.error("❌", error.message);
+    process.exitCode = 1;
+  })
+  .finally(closeDb);
@@ -0,0 +1,39 @@
+import { migrate, rollback, migrationStatus, closeDb } from "../database.js";
+
+// 🧱 إدارة migrations من سطر الأوامر:
+//   npm run migrate                → تنفيذ الخطوات المعلّقة
+//   npm run migrate:rollback [-- N] → التراجع عن آخر N خطوات (افتراضياً 1)
+//   npm run migrate:status         → حالة كل خطوة
+const [command = "up", steps = "1"] = process.argv.slice(2);
+
+async function main() {
+  switch (command) {
+    case "up": {
+      const applied = await migrate();
+      if (applied.length === 0) console.log("✅ No pending migrations");
+      break;
+    }
+    case "down":
+    case "rollback": {
+      const count = Number(steps);
+      if (!Number.isInteger(count) || count < 1) throw new Error(`Invalid number of steps: ${steps}`);
+      const reverted = await rollback(count);
+      if (reverted.length === 0) console.log("✅ Nothing to roll back");
+      break;
+    }
+    case "status":
+      for (const { version, name, applied, appliedAt } of await migrationStatus()) {
+        console.log(`${applied ? "✅" : "⏳"} ${String(version).padStart(3, "0")}_${name}${appliedAt ? ` (${appliedAt})` : ""}`);
+      }
+      break;
+    default:
+      throw new Error(`Unknown command: ${command} (use up, down or status)`);
+  }
+}
+
+main()
+  .catch(error => {
+    console.error("❌", error.message);
+    process.exitCode = 1;
+  })
+  .finally(closeDb);
@@ -1,90 +1,240 @@
-import fetch from "node-fetch";
-import { openDb } from "../database.js";
-import { BMC_SECTIONS } from "../config/bmcSections.js";
-import dotenv from "dotenv";
-dotenv.config();
-
-async function getSessionAnswers(session_id) {
-  const db = await openDb();
-  const rows = await db.all(
-    "SELECT section, question, answer FROM bmc_answers WHERE session_id = ?",
-    [session_id]
+import { generateStructured } from "./llm/structured.js";
+import { renderPrompt } from "../config/prompts/index.js";
+import { appendChatMessage, setCurrentSection } from "./bmcSessionService.js";
+import { getCanvasTemplate } from "../config/canvasTemplates/index.js";
+import { translate, hasMessage, localizedTitle, normalizeLocale } from "./i18n.js";
+import { DEFAULT_LOCALE } from "../config/messages/index.js";
+
+// ⬇️ قالب النموذج الخاص بالجلسة (BMC افتراضياً للجلسات القديمة)
+export function getSessionTemplate(session) {
+  return getCanvasTemplate(session.templateId, session.templateVersion) || getCanvasTemplate();
+}
+
+// ⬇️ البحث عن قسم في قالب الجلسة بالمفتاح ("partners") أو الاسم الإنجليزي ("Key Partners" / "key-partners") أو العربي
+export function findSection(session, input) {
+  const slug = value => String(value || "").trim().toLowerCase().replace(/[^a-z0-9]+/g, "-");
+  const section = getSessionTemplate(session).sections.find(
+    s => s.key === input || slug(s.titleEn) === slug(input) || s.title === String(input).trim()
+  );
+  return section ? section.key : null;
+}
+
+// ⬇️ حالة القسم: empty / draft / complete (القسم المتخطّى يبقى empty مع skipped: true)
+function sectionStatus(session, key) {
+  const state = session.sectionStates?.[key];
+  if (state === "draft" || state === "complete") return state;
+  return "empty";
+}
+
+// ⬇️ القسم التالي للعمل عليه: الفارغ أولاً، ثم المتخطّى، ثم المسودة (null إذا اكتمل النموذج)
+export function nextPendingSection(session) {
+  const states = session.sectionStates || {};
+  const keys = getSessionTemplate(session).sections.map(s => s.key);
+  return (
+    keys.find(key => !states[key]) ||
+    keys.find(key => states[key] === "skipped") ||
+    keys.find(key => states[key] === "draft") ||
+    null
   );
-  return rows;
 }
 
-export async function generateNextQuestion(session_id) {
-  const db = await openDb();
-  const session = await db.get("SELECT * FROM bmc_sessions WHERE id = ?", [session_id]);
-  if (!session) throw new Error("Session not found");
+// ⬇️ ملخص حالة النموذج لكل الأقسام
+export function describeCanvas(session) {
+  const template = getSessionTemplate(session);
+  const sections = template.sections.map(({ key, title, titleEn }) => ({
+    key,
+    title,
+    titleEn,
+    status: sectionStatus(session, key),
+    skipped: session.sectionStates?.[key] === "skipped",
+    answer: session.bmcData?.[key] ?? null,
+  }));
+  const progress = sections.filter(s => s.status === "complete").length;
 
-  const answers = await getSessionAnswers(session_id);
-  const context = answers.map(a => `- ${a.section}: ${a.answer}`).join("\n");
+  return {
+    template: { id: template.id, version: template.version, title: template.title },
+    sections,
+    progress,
+    totalSections: template.sections.length,
+    canvasComplete: progress === template.sections.length,
+    currentSection: session.currentSection || null,
+    nextSection: nextPendingSection(session),
+  };
+}
+
+// ⬇️ بيانات النموذج بأسماء الأقسام بدل المفاتيح (للـ prompts والملخصات)
+export function titledCanvasData(session) {
+  return Object.fromEntries(
+    getSessionTemplate(session).sections
+      .filter(s => session.bmcData?.[s.key] !== undefined)
+      .map(s => [s.title, session.bmcData[s.key]])
+  );
+}
 
-  const prompt = `
-أنت مساعد ذكي لمساعدة الطلاب في بناء نموذج BMC.
-المشروع: ${session.project_title || "غير محدد"}
-الإجابات السابقة:
-${context || "(لا توجد إجابات بعد)"}
+// ⬇️ وصف خطأ AI للواجهة (رمز ثابت بدل fallback صامت)
+function describeAiError(error) {
+  return {
+    code: error.code || (error.status === 429 ? "rate_limited" : "ai_unavailable"),
+    message: error.message,
+    ...(error.details ? { details: error.details } : {}),
+  };
+}
 
-اقترح سؤالًا جديدًا مناسبًا للمرحلة التالية، بصيغة JSON فقط:
-{
-  "question": "السؤال التالي",
-  "section_key": "<section_key>"
+// 🧱 مخطط سؤال القسم: السؤال + مفتاح القسم المطلوب بالضبط
+function nextQuestionSchema(sectionKey) {
+  return {
+    type: "object",
+    required: ["question", "section_key"],
+    additionalProperties: false,
+    properties: {
+      question: { type: "string", minLength: 5 },
+      section_key: { type: "string", enum: [sectionKey] },
+    },
+  };
 }
-`;
 
-  const resp = await fetch("https://api.groq.com/openai/v1/chat/completions", {
-    method: "POST",
-    headers: {
-      "Authorization": `Bearer ${process.env.GROQ_API_KEY}`,
-      "Content-Type": "application/json"
+// 🧱 مخطط الملخص: نظرة عامة + قائمة نقاط لكل قسم مُجاب + توصيات
+function summarySchema(sectionKeys) {
+  const bullets = { type: "array", minItems: 1, items: { type: "string", minLength: 1 } };
+  return {
+    type: "object",
+    required: ["overview", "sections", "recommendations"],
+    additionalProperties: false,
+    properties: {
+      overview: { type: "string", minLength: 1 },
+      sections: {
+        type: "object",
+        required: sectionKeys,
+        additionalProperties: false,
+        properties: Object.fromEntries(sectionKeys.map(key => [key, bullets])),
+      },
+      recommendations: { type: "array", items: { type: "string", minLength: 1 } },
     },
-    body: JSON.stringify({
-      model: "openai/gpt-oss-120b",
-      messages: [{ role: "user", content: prompt }]
-    })
-  });
-
-  const data = await resp.json();
-  let responseText = data.choices?.[0]?.message?.content || "";
-  let parsed;
+  };
+}
+
+// ⬇️ تحويل الملخص المنظم إلى Markdown (للواجهات القديمة وسجل المحادثة)
+function summaryToMarkdown(template, structured, locale) {
+  const titles = Object.fromEntries(template.sections.map(s => [s.key, localizedTitle(s, locale)]));
+  return [
+    translate(locale, "bmc.summary.title", { templateTitle: localizedTitle(template, locale) }),
+    structured.overview,
+    ...structured.sections.map(s => `**${titles[s.key] || s.title}:**\n${s.bullets.map(b => `- ${b}`).join("\n")}`),
+    ...(structured.recommendations.length > 0
+      ? [`${translate(locale, "bmc.summary.recommendationsTitle")}\n${structured.recommendations.map(r => `- ${r}`).join("\n")}`]
+      : []),
+  ].join("\n\n");
+}
+
+// ⬇️ سؤال القسم الاحتياطي من كتالوج الرسائل حسب اللغة
+function fallbackQuestion(template, section, locale) {
+  const key = `bmc.fallbackQuestions.${template.id}.${section.key}`;
+  return translate(locale, hasMessage(key) ? key : "bmc.defaultFallbackQuestion");
+}
+
+// ⬇️ السؤال الذي تُحفظ معه إجابة القسم: السؤال المحفوظ مع القسم الحالي إذا كان هو نفسه
+// (وليس آخر رد في المحادثة، فقد يكون من مساعد التصميم)، وإلا سؤال القسم من القالب لقسم جديد،
+// أو undefined للإبقاء على السؤال المحفوظ سابقاً
+export function sectionQuestion(session, sectionKey, { locale } = {}) {
+  if (session.currentSection === sectionKey && session.currentQuestion) return session.currentQuestion;
+  if (session.sectionStates[sectionKey] !== undefined) return undefined;
+
+  const template = getSessionTemplate(session);
+  return fallbackQuestion(template, template.sections.find(s => s.key === sectionKey), locale);
+}
+
+// ⬇️ توليد سؤال لقسم محدد في النموذج (يصبح هذا القسم هو القسم الحالي)
+// يعيد { question, section, source: "ai" | "fallback", error? }
+// options: { onStatus } اختياري لأحداث المحاولات (SSE)، و locale للغة السؤال
+export async function generateNextQuestion(session, sectionKey, { onStatus, locale } = {}) {
+  const template = getSessionTemplate(session);
+  const section = template.sections.find(s => s.key === sectionKey);
+  
+  const prompt = renderPrompt("bmc.nextQuestion", {
+    templateTitle: template.title,
+    templateTitleEn: template.titleEn,
+    sectionTitle: section.title,
+    sectionTitleEn: section.titleEn,
+    sectionKey: section.key,
+    starter: section.starter,
+  }, { locale });
+
+  let result;
   try {
-    parsed = JSON.parse(responseText);
-  } catch {
-    parsed = { question: "ما هو اسم مشروعك؟", section_key: "value" };
+    const output = await generateStructured("bmcQuestion", prompt, nextQuestionSchema(section.key), { onStatus });
+    result = { question: output.question, section: output.section_key, source: "ai" };
+  } catch (error) {
+    console.error("Error generating BMC question:", error);
+
+    // سؤال القسم الاحتياطي من القالب، مع إبلاغ الواجهة بسبب الفشل
+    result = {
+      question: fallbackQuestion(template, section, locale),
+      section: section.key,
+      source: "fallback",
+      error: describeAiError(error),
+    };
   }
-  return parsed;
+
+  await setCurrentSection(session.id, sectionKey, result.question);
+  await appendChatMessage(session.id, "assistant", result.question);
+  return result;
+}
+
+// ⬇️ تقسيم إجابة الطالب إلى نقاط (للملخص الاحتياطي)
+function answerToBullets(answer) {
+  const bullets = String(answer)
+    .split(/\n|[.؛;،]\s+|\s+-\s+/)
+    .map(part => part.replace(/^\s*[-*•]\s*/, "").trim())
+    .filter(Boolean);
+  return bullets.length > 0 ? bullets : [String(answer).trim()];
 }
 
-export async function produceFinalSummary(session_id) {
-  const answers = await getSessionAnswers(session_id);
-  const db = await openDb();
-  const session = await db.get("SELECT * FROM bmc_sessions WHERE id = ?", [session_id]);
+// ⬇️ إنتاج ملخص نهائي منظم: { summary (Markdown), structured } أو structured: null إذا لا توجد بيانات
+// structured: { overview, sections: [{ key, title, bullets }], recommendations, source, locale, error? }
+// (العناوين بلغة locale، و locale محفوظ ليُعاد توليد الملخص عند التصدير بلغة أخرى)
+export async function produceFinalSummary(session, { onStatus, locale } = {}) {
+  const template = getSessionTemplate(session);
+  const bmcData = titledCanvasData(session);
+  const answered = template.sections.filter(s => session.bmcData?.[s.key] !== undefined);
+  const summaryLocale = normalizeLocale(locale) || DEFAULT_LOCALE;
+  
+  if (answered.length === 0) {
+    return {
+      summary: translate(locale, "bmc.summary.insufficientData"),
+      structured: null,
+    };
+  }
 
-  const context = answers.map(a => `- ${a.section}: ${a.answer}`).join("\n");
+  const prompt = renderPrompt("bmc.summary", {
+    templateTitle: template.title,
+    templateTitleEn: template.titleEn,
+    canvasData: JSON.stringify(bmcData, null, 2),
+    sectionKeys: answered.map(s => `"${s.key}" (${s.title})`).join("، "),
+  }, { locale });
 
-  const prompt = `
-الطالب: ${session.student_name}
-المشروع: ${session.project_title}
-الإجابات:
-${context}
+  let structured;
+  try {
+    const output = await generateStructured("bmcSummary", prompt, summarySchema(answered.map(s => s.key)), { onStatus });
+    structured = {
+      overview: output.overview,
+      sections: answered.map(s => ({ key: s.key, title: localizedTitle(s, locale), bullets: output.sections[s.key] })),
+      recommendations: output.recommendations,
+      source: "ai",
+      locale: summaryLocale,
+    };
+  } catch (error) {
+    console.error("Error generating summary:", error);
 
-أعد صياغة نموذج BMC منظم بالعربية مع كل قسم وعناصره.
-`;
+    // ملخص احتياطي من إجابات الطالب مباشرة
+    structured = {
+      overview: translate(locale, "bmc.summary.fallbackOverview", { templateTitle: localizedTitle(template, locale) }),
+      sections: answered.map(s => ({ key: s.key, title: localizedTitle(s, locale), bullets: answerToBullets(session.bmcData[s.key]) })),
+      recommendations: [translate(locale, "bmc.summary.fallbackRecommendation")],
+      source: "fallback",
+      locale: summaryLocale,
+      error: describeAiError(error),
+    };
+  }
 
-  const resp = await fetch("https://api.groq.com/openai/v1/chat/completions", {
-    method: "POST",
-    headers: {
-      "Authorization": `Bearer ${process.env.GROQ_API_KEY}`,
-      "Content-Type": "application/json"
-    },
-    body: JSON.stringify({
-      model: "openai/gpt-oss-120b",
-      messages: [{ role: "user", content: prompt }]
-    })
-  });
-
-  const data = await resp.json();
-  return data.choices?.[0]?.message?.content || "تعذر إنشاء الملخص.";
+  return { summary: summaryToMarkdown(template, structured, locale), structured };
 }
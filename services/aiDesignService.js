@@ -0,0 +1,109 @@
+import { generateText } from "./llm/index.js";
+import { generateStructured } from "./llm/structured.js";
+import { renderPrompt } from "../config/prompts/index.js";
+import { appendChatMessage } from "./bmcSessionService.js";
+import { UIUX_QUESTIONS, uiuxQuestionText, summarizeUIUXDesign } from "../ai-uiux-logic.js";
+import { classifyIntents, intentTips } from "./intentClassifier.js";
+import { buildConversationContext } from "./chatMemoryService.js";
+import { translate } from "./i18n.js";
+
+// ⬇️ وظيفة مساعدة في إنشاء التصميم مع دعم المحادثة الحرة
+// options: { onToken, onStatus } للبث (SSE)، و locale للغة الرد والرد الاحتياطي
+export async function handleDesignAssistant(session, userMessage, { locale, ...streaming } = {}) {
+  // سياق المحادثة السابقة وبيانات المشروع (قبل إضافة الرسالة الجديدة)
+  const conversationContext = await buildConversationContext(session, { locale });
+
+  // إضافة سؤال المستخدم إلى السجل
+  await appendChatMessage(session.id, "user", userMessage);
+
+  // تحديد أنواع المساعدة المطلوبة (عدة نوايا مرتبة حسب الثقة)
+  const intents = classifyIntents(userMessage, { locale });
+  const designContext = intents.length > 0
+    ? intents.map(i => `${i.label} (${Math.round(i.confidence * 100)}%)`).join(translate(locale, "listSeparator"))
+    : translate(locale, "design.generalContext");
+
+  const prompt = renderPrompt("design.chat", { designContext, conversationContext, userMessage }, { locale });
+
+  try {
+    const aiResponse = await generateText("designChat", prompt, streaming);
+    
+    // حفظ رد المساعد في السجل
+    await appendChatMessage(session.id, "assistant", aiResponse);
+    
+    return aiResponse;
+    
+  } catch (error) {
+    console.error("AI Error in design assistant:", error);
+    
+    // Fallback responses للتصميم حسب أهم نيتين
+    let fallbackResponse = `${translate(locale, "design.fallbackTitle")}\n\n`;
+    
+    if (intents.length > 0) {
+      fallbackResponse += intents.slice(0, 2).map(intent =>
+        `${translate(locale, "design.fallbackIntent", { label: intent.label })}\n\n${intentTips(intent.intent, locale).map(tip => `• ${tip}`).join("\n")}`
+      ).join("\n\n");
+    } else {
+      fallbackResponse += translate(locale, "design.fallbackMenu");
+    }
+    
+    fallbackResponse += `\n\n${translate(locale, "design.fallbackTools")}`;
+    
+    await appendChatMessage(session.id, "assistant", fallbackResponse);
+    return fallbackResponse;
+  }
+}
+
+// ⬇️ وظيفة متقدمة لإنشاء تصاميم مقترحة حول لوحة ألوان (من generatePalette)
+export async function generateDesignSuggestions(projectType, { locale, palette = [] } = {}) {
+  const prompt = renderPrompt("design.suggestions", {
+    projectType,
+    palette: palette.map(color => `- ${color.role}: ${color.hex} (${color.name})`).join("\n"),
+  }, { locale });
+
+  try {
+    const suggestions = await generateText("designSuggestions", prompt);
+    return suggestions;
+  } catch (error) {
+    console.error("Error generating design suggestions:", error);
+    const fallback = translate(locale, "design.fallbackSuggestions", { projectType });
+    if (palette.length === 0) return fallback;
+    return `${fallback}\n\n${translate(locale, "design.paletteTitle")}\n${palette.map(color => `- ${color.role}: ${color.hex}`).join("\n")}`;
+  }
+}
+
+// 🧱 مخطط ملخص تصميم UI/UX
+const DESIGN_BRIEF_SCHEMA = {
+  type: "object",
+  required: ["platform", "palette", "style", "audience", "inspirations", "keyScreens", "notes"],
+  additionalProperties: false,
+  properties: {
+    platform: { type: "string", minLength: 1 },
+    palette: { type: "array", items: { type: "string", minLength: 1 } },
+    style: { type: "string", minLength: 1 },
+    audience: { type: "string", minLength: 1 },
+    inspirations: { type: "array", items: { type: "string", minLength: 1 } },
+    keyScreens: { type: "array", items: { type: "string", minLength: 1 } },
+    notes: { type: "string" },
+  },
+};
+
+// ⬇️ تحويل إجابات استبيان UI/UX إلى ملخص تصميم منظم، مع fallback من الإجابات مباشرة
+// يعيد { brief, source: "ai" | "fallback", error? }
+export async function generateDesignBrief(answers, projectTitle, { locale } = {}) {
+  const prompt = renderPrompt("design.brief", {
+    projectTitle: projectTitle || "-",
+    answers: UIUX_QUESTIONS.map(q => `- ${uiuxQuestionText(q.key, locale)} (${q.key}): ${answers[q.key] || "-"}`).join("\n"),
+  }, { locale });
+
+  try {
+    const brief = await generateStructured("designBrief", prompt, DESIGN_BRIEF_SCHEMA);
+    return { brief, source: "ai" };
+  } catch (error) {
+    console.error("Error generating design brief:", error);
+    return {
+      brief: summarizeUIUXDesign(answers, locale),
+      source: "fallback",
+      error: { code: error.code || "ai_unavailable", message: error.message },
+    };
+  }
+}
@@ -0,0 +1,194 @@
+import { AsyncLocalStorage } from "async_hooks";
+import { openDb } from "../database.js";
+import { AI_QUOTAS, QUOTA_PERIODS, QUOTA_METRICS } from "../config/quotas.js";
+
+// 👤 المستخدم صاحب طلبات AI الحالية: يُربط في المسار (runWithAiUser) ويُقرأ في generateText
+// بدل تمرير رقم المستخدم عبر كل خدمة (الملخص داخل التصدير، ذاكرة المحادثة داخل الدردشة...)
+const usageContext = new AsyncLocalStorage();
+
+export function runWithAiUser(user, fn) {
+  return usageContext.run({ userId: user.id, role: user.role }, fn);
+}
+
+// ⬇️ تسجيل طلب AI واحد (status: pending / ok / error / cached) ويعيد رقم السجل؛ الطلبات خارج سياق مستخدم تُسجَّل بدون user_id
+// prompt: القالب المعبأ من renderPrompt ({ id, version, ref }) إن وُجد، لمقارنة نسخ القوالب
+export async function recordAiUsage({ feature, provider, model, prompt, promptTokens = 0, outputTokens = 0, status = "ok" }) {
+  const context = usageContext.getStore();
+  const db = await openDb();
+  const result = await db.run(
+    `INSERT INTO ai_usage (user_id, role, feature, provider, model, prompt_id, prompt_version, prompt_ref,
+                           prompt_tokens, output_tokens, status, created_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      context?.userId ?? null, context?.role ?? null, feature, provider, model,
+      prompt?.id ?? null, prompt?.version ?? null, prompt?.ref ?? null,
+      promptTokens, outputTokens, status, new Date().toISOString(),
+    ]
+  );
+  return result.lastID;
+}
+
+// ⬇️ إكمال طلب سُجّل عند إرساله (pending) بنتيجته وتوكنات الرد (أو ما وصل منه قبل الفشل)
+export async function finishAiUsage(id, { status, outputTokens = 0 }) {
+  const db = await openDb();
+  await db.run("UPDATE ai_usage SET status = ?, output_tokens = ? WHERE id = ?", [status, outputTokens, id]);
+}
+
+// ⬇️ بداية الفترة الحالية ووقت تجددها (بتوقيت UTC)
+export function quotaWindow(period, now = new Date()) {
+  const [year, month, day] = [now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()];
+  return period === "daily"
+    ? { start: new Date(Date.UTC(year, month, day)), resetAt: new Date(Date.UTC(year, month, day + 1)) }
+    : { start: new Date(Date.UTC(year, month, 1)), resetAt: new Date(Date.UTC(year, month + 1, 1)) };
+}
+
+// ⬇️ حصص المستخدم: حصة دوره مع ما يطغى عليها من ai_quota_overrides
+export async function getUserQuotas(userId, role) {
+  const db = await openDb();
+  const overrides = await db.all("SELECT * FROM ai_quota_overrides WHERE user_id = ?", [userId]);
+  const roleQuotas = AI_QUOTAS[role] || AI_QUOTAS.student;
+
+  return Object.fromEntries(
+    QUOTA_PERIODS.map(period => {
+      const override = overrides.find(o => o.period === period);
+      return [
+        period,
+        {
+          requests: override?.max_requests ?? roleQuotas[period].requests,
+          tokens: override?.max_tokens ?? roleQuotas[period].tokens,
+          overridden: Boolean(override),
+        },
+      ];
+    })
+  );
+}
+
+// ⬇️ الاستهلاك الحالي للمستخدم لكل فترة مع الحدود ووقت التجدد
+// كل طلب أُرسل إلى الموفّر يُحتسب (حتى الفاشل أو الذي لم يكتمل، فقد استهلك توكنات)؛ الردود من الكاش لا تُحتسب
+export async function getUserUsage(userId, role, now = new Date()) {
+  const db = await openDb();
+  const quotas = await getUserQuotas(userId, role);
+  const usage = {};
+
+  for (const period of QUOTA_PERIODS) {
+    const { start, resetAt } = quotaWindow(period, now);
+    const row = await db.get(
+      `SELECT COUNT(*) AS requests, COALESCE(SUM(prompt_tokens + output_tokens), 0) AS tokens
+       FROM ai_usage WHERE user_id = ? AND status != 'cached' AND created_at >= ?`,
+      [userId, start.toISOString()]
+    );
+    const { overridden, ...limits } = quotas[period];
+    usage[period] = {
+      used: { requests: row.requests, tokens: row.tokens },
+      limits,
+      overridden,
+      resetAt: resetAt.toISOString(),
+    };
+  }
+  return usage;
+}
+
+// ⬇️ أول حصة مستنفدة (أو null): { period, metric, limit, used, resetAt }
+export function findExceededQuota(usage) {
+  for (const period of QUOTA_PERIODS) {
+    for (const metric of QUOTA_METRICS) {
+      const limit = usage[period].limits[metric];
+      const used = usage[period].used[metric];
+      if (limit !== null && used >= limit) {
+        return { period, metric, limit, used, resetAt: usage[period].resetAt };
+      }
+    }
+  }
+  return null;
+}
+
+// ⬇️ تعيين حصة خاصة لمستخدم في فترة (null لكل القيم = الرجوع إلى حصة الدور)
+export async function setUserQuota(userId, period, { requests = null, tokens = null }) {
+  const db = await openDb();
+  if (requests === null && tokens === null) {
+    await db.run("DELETE FROM ai_quota_overrides WHERE user_id = ? AND period = ?", [userId, period]);
+    return;
+  }
+  await db.run(
+    `INSERT INTO ai_quota_overrides (user_id, period, max_requests, max_tokens, updated_at)
+     VALUES (?, ?, ?, ?, ?)
+     ON CONFLICT(user_id, period) DO UPDATE SET
+       max_requests = excluded.max_requests, max_tokens = excluded.max_tokens, updated_at = excluded.updated_at`,
+    [userId, period, requests, tokens, new Date().toISOString()]
+  );
+}
+
+// 📈 تقرير الاستهلاك لكل مستخدم ولكل ميزة بين تاريخين (userId اختياري)
+export async function getUsageReport({ from, to, userId } = {}) {
+  const db = await openDb();
+  const conditions = ["created_at >= ?", "created_at < ?"];
+  const params = [from.toISOString(), to.toISOString()];
+  if (userId) {
+    conditions.push("user_id = ?");
+    params.push(userId);
+  }
+
+  const rows = await db.all(
+    `SELECT user_id, feature,
+            SUM(CASE WHEN status = 'ok' THEN 1 ELSE 0 END) AS requests,
+            SUM(CASE WHEN status = 'error' THEN 1 ELSE 0 END) AS errors,
+            SUM(CASE WHEN status = 'cached' THEN 1 ELSE 0 END) AS cached,
+            COALESCE(SUM(prompt_tokens), 0) AS prompt_tokens,
+            COALESCE(SUM(output_tokens), 0) AS output_tokens
+     FROM ai_usage WHERE ${conditions.join(" AND ")}
+     GROUP BY user_id, feature
+     ORDER BY user_id, feature`,
+    params
+  );
+
+  const users = new Map();
+  for (const row of rows) {
+    if (!users.has(row.user_id)) {
+      users.set(row.user_id, { userId: row.user_id, totals: { requests: 0, errors: 0, cached: 0, tokens: 0 }, features: {} });
+    }
+    const entry = users.get(row.user_id);
+    const tokens = row.prompt_tokens + row.output_tokens;
+    entry.features[row.feature] = {
+      requests: row.requests,
+      errors: row.errors,
+      cached: row.cached,
+      promptTokens: row.prompt_tokens,
+      outputTokens: row.output_tokens,
+      tokens,
+    };
+    entry.totals.requests += row.requests;
+    entry.totals.errors += row.errors;
+    entry.totals.cached += row.cached;
+    entry.totals.tokens += tokens;
+  }
+  return [...users.values()];
+}
+
+// 🗂️ الاستهلاك لكل نسخة قالب prompt بين تاريخين (لمقارنة النسخ: الأخطاء ومتوسط طول الرد)
+export async function getPromptUsageReport({ from, to } = {}) {
+  const db = await openDb();
+  const rows = await db.all(
+    `SELECT prompt_id, prompt_version,
+            SUM(CASE WHEN status = 'ok' THEN 1 ELSE 0 END) AS requests,
+            SUM(CASE WHEN status = 'error' THEN 1 ELSE 0 END) AS errors,
+            SUM(CASE WHEN status = 'cached' THEN 1 ELSE 0 END) AS cached,
+            COALESCE(SUM(prompt_tokens), 0) AS prompt_tokens,
+            COALESCE(SUM(output_tokens), 0) AS output_tokens
+     FROM ai_usage
+     WHERE created_at >= ? AND created_at < ? AND prompt_id IS NOT NULL
+     GROUP BY prompt_id, prompt_version
+     ORDER BY prompt_id, prompt_version`,
+    [from.toISOString(), to.toISOString()]
+  );
+
+  return rows.map(row => ({
+    promptId: row.prompt_id,
+    version: row.prompt_version,
+    requests: row.requests,
+    errors: row.errors,
+    cached: row.cached,
+    promptTokens: row.prompt_tokens,
+    outputTokens: row.output_tokens,
+    averageOutputTokens: row.requests ? Math.round(row.output_tokens / row.requests) : 0,
+  }));
+}
@@ -0,0 +1,113 @@
+import crypto from "crypto";
+import { openDb } from "../database.js";
+import { REFRESH_TOKEN_TTL_DAYS, PASSWORD_RESET_TTL_MINUTES } from "../config/auth.js";
+
+// 🔒 نحفظ فقط بصمة التوكن في قاعدة البيانات وليس التوكن نفسه
+function hashToken(token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
+
+function randomToken() {
+  return crypto.randomBytes(48).toString("base64url");
+}
+
+// ⬇️ خطأ 401 مع رمز ثابت (code) تترجمه المسارات حسب لغة الطلب
+function authError(code, message) {
+  const error = new Error(message);
+  error.status = 401;
+  error.code = code;
+  return error;
+}
+
+// ⬇️ إصدار توكن تحديث جديد (familyId يربط كل التوكنات الناتجة عن نفس تسجيل الدخول)
+export async function issueRefreshToken(userId, familyId = crypto.randomUUID()) {
+  const db = await openDb();
+  const token = randomToken();
+  const expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+  await db.run(
+    "INSERT INTO refresh_tokens (user_id, token_hash, family_id, expires_at) VALUES (?, ?, ?, ?)",
+    [userId, hashToken(token), familyId, expiresAt.toISOString()]
+  );
+  return token;
+}
+
+// ⬇️ تدوير توكن التحديث: يُلغى القديم ويُصدر جديد من نفس العائلة
+// إعادة استعمال توكن ملغى تعني سرقة محتملة، فتُلغى العائلة كاملة
+export async function rotateRefreshToken(token) {
+  const db = await openDb();
+  const row = await db.get("SELECT * FROM refresh_tokens WHERE token_hash = ?", [hashToken(token)]);
+  if (!row) throw authError("REFRESH_TOKEN_INVALID", "Invalid refresh token");
+
+  if (row.revoked_at) {
+    await revokeTokenFamily(row.family_id);
+    throw authError("REFRESH_TOKEN_REVOKED", "Refresh token has been revoked");
+  }
+  if (row.expires_at < new Date().toISOString()) {
+    throw authError("REFRESH_TOKEN_EXPIRED", "Refresh token has expired");
+  }
+
+  const refreshToken = await issueRefreshToken(row.user_id, row.family_id);
+  await db.run(
+    "UPDATE refresh_tokens SET revoked_at = ?, replaced_by = ? WHERE id = ?",
+    [new Date().toISOString(), hashToken(refreshToken), row.id]
+  );
+  return { userId: row.user_id, refreshToken };
+}
+
+async function revokeTokenFamily(familyId) {
+  const db = await openDb();
+  await db.run(
+    "UPDATE refresh_tokens SET revoked_at = ? WHERE family_id = ? AND revoked_at IS NULL",
+    [new Date().toISOString(), familyId]
+  );
+}
+
+// ⬇️ تسجيل الخروج: إلغاء توكن التحديث وكل ما صدر عن نفس تسجيل الدخول
+export async function revokeRefreshToken(token) {
+  const db = await openDb();
+  const row = await db.get("SELECT family_id FROM refresh_tokens WHERE token_hash = ?", [hashToken(token)]);
+  if (row) await revokeTokenFamily(row.family_id);
+  return Boolean(row);
+}
+
+// ⬇️ إلغاء كل توكنات التحديث للمستخدم (تسجيل خروج من كل الأجهزة)
+export async function revokeAllUserTokens(userId) {
+  const db = await openDb();
+  await db.run(
+    "UPDATE refresh_tokens SET revoked_at = ? WHERE user_id = ? AND revoked_at IS NULL",
+    [new Date().toISOString(), userId]
+  );
+}
+
+// ⬇️ إنشاء توكن إعادة تعيين كلمة المرور (صالح لمرة واحدة ولمدة محدودة)
+export async function createPasswordResetToken(userId) {
+  const db = await openDb();
+  const token = randomToken();
+  const expiresAt = new Date(Date.now() + PASSWORD_RESET_TTL_MINUTES * 60 * 1000);
+
+  await db.run(
+    "INSERT INTO password_reset_tokens (user_id, token_hash, expires_at) VALUES (?, ?, ?)",
+    [userId, hashToken(token), expiresAt.toISOString()]
+  );
+  return token;
+}
+
+// ⬇️ استهلاك توكن إعادة التعيين: يُرجع رقم المستخدم أو null إذا كان غير صالح
+export async function consumePasswordResetToken(token) {
+  const db = await openDb();
+  const now = new Date().toISOString();
+  const row = await db.get(
+    `SELECT * FROM password_reset_tokens
+     WHERE token_hash = ? AND used_at IS NULL AND expires_at >= ?`,
+    [hashToken(token), now]
+  );
+  if (!row) return null;
+
+  // used_at IS NULL في شرط التحديث يمنع استعمال نفس التوكن مرتين بالتوازي
+  const result = await db.run(
+    "UPDATE password_reset_tokens SET used_at = ? WHERE id = ? AND used_at IS NULL",
+    [now, row.id]
+  );
+  return result.changes === 1 ? row.user_id : null;
+}
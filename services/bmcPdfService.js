@@ -0,0 +1,234 @@
+import { createRequire } from "module";
+import PDFDocument from "pdfkit";
+import { translate, localizedTitle } from "./i18n.js";
+
+const require = createRequire(import.meta.url);
+
+// 🔤 خط Cairo مضمّن في الملف (يدعم العربية واللاتينية)
+const FONTS = {
+  regular: require.resolve("@expo-google-fonts/cairo/400Regular/Cairo_400Regular.ttf"),
+  bold: require.resolve("@expo-google-fonts/cairo/700Bold/Cairo_700Bold.ttf"),
+};
+
+const ARABIC_CHAR = /[\u0600-\u06FF\u0750-\u077F\u08A0-\u08FF\uFB50-\uFDFF\uFE70-\uFEFF]/;
+const MARGIN = 30;
+
+// ⬇️ تنظيف نص Markdown والرموز التعبيرية التي لا يدعمها الخط
+function toPlainText(text) {
+  return String(text || "")
+    .replace(/[\p{Extended_Pictographic}\uFE0F\u200D]/gu, "")
+    .replace(/\*\*|__|`/g, "")
+    .replace(/^\s*#+\s*/gm, "")
+    .replace(/^\s*[-*]\s+/gm, "• ");
+}
+
+// ⬇️ تقسيم السطر إلى مقاطع عربية (RTL) ومقاطع لاتينية/أرقام (LTR) بالترتيب المنطقي
+function splitDirectionalRuns(words) {
+  const runs = [];
+  for (const word of words) {
+    const rtl = ARABIC_CHAR.test(word);
+    const last = runs[runs.length - 1];
+    if (last && last.rtl === rtl) {
+      last.words.push(word);
+    } else {
+      runs.push({ rtl, words: [word] });
+    }
+  }
+  return runs.map(run => ({ ...run, text: run.words.join(" ") }));
+}
+
+// ⬇️ رسم سطر من اليمين إلى اليسار: fontkit يشكّل ويعكس المقاطع العربية، ونحن نرتب المقاطع
+function drawRtlLine(doc, words, right, y) {
+  const spaceWidth = doc.widthOfString(" ");
+  let cursor = right;
+  for (const run of splitDirectionalRuns(words)) {
+    const width = doc.widthOfString(run.text);
+    cursor -= width;
+    doc.text(run.text, cursor, y, { lineBreak: false });
+    cursor -= spaceWidth;
+  }
+}
+
+// ⬇️ كتابة نص عربي ملتف داخل عرض محدد، مع إرجاع الموضع العمودي التالي
+// onOverflow: "truncate" للخلايا، أو دالة تُستدعى لإضافة صفحة جديدة
+function drawRtlParagraphs(doc, text, { x, y, width, maxY, onOverflow = "truncate" }) {
+  const lineHeight = doc.currentLineHeight(true);
+  const spaceWidth = doc.widthOfString(" ");
+
+  for (const paragraph of toPlainText(text).split("\n")) {
+    const words = paragraph.split(/\s+/).filter(Boolean);
+    if (words.length === 0) {
+      y += lineHeight / 2;
+      continue;
+    }
+
+    let line = [];
+    let lineWidth = 0;
+    const flush = () => {
+      if (y + lineHeight > maxY) {
+        if (onOverflow === "truncate") return false;
+        y = onOverflow();
+      }
+      drawRtlLine(doc, line, x + width, y);
+      y += lineHeight;
+      line = [];
+      lineWidth = 0;
+      return true;
+    };
+
+    for (const word of words) {
+      const wordWidth = doc.widthOfString(word);
+      if (line.length > 0 && lineWidth + spaceWidth + wordWidth > width) {
+        if (!flush()) return { y, truncated: true };
+      }
+      lineWidth += (line.length > 0 ? spaceWidth : 0) + wordWidth;
+      line.push(word);
+    }
+    if (line.length > 0 && !flush()) return { y, truncated: true };
+  }
+
+  return { y, truncated: false };
+}
+
+function drawHeader(doc, { template, projectTitle, studentName, date, locale }) {
+  const width = doc.page.width - MARGIN * 2;
+
+  doc.font("bold").fontSize(18);
+  const title = `${localizedTitle(template, locale)}: ${projectTitle || translate(locale, "bmc.pdf.untitledProject")}`;
+  let { y } = drawRtlParagraphs(doc, title, {
+    x: MARGIN, y: MARGIN, width, maxY: doc.page.height,
+  });
+
+  doc.font("regular").fontSize(10).fillColor("#555555");
+  const meta = translate(locale, "bmc.pdf.meta", {
+    studentName: studentName || translate(locale, "bmc.pdf.notSpecified"),
+    date: date.toLocaleDateString(translate(locale, "bmc.pdf.dateLocale")),
+  });
+  ({ y } = drawRtlParagraphs(doc, meta, {
+    x: MARGIN, y, width, maxY: doc.page.height,
+  }));
+  doc.fillColor("#000000");
+
+  return y + 6;
+}
+
+function drawCell(doc, { x, y, width, height, title, content }) {
+  const padding = 6;
+  doc.lineWidth(0.8).strokeColor("#2c3e50").rect(x, y, width, height).stroke();
+
+  doc.font("bold").fontSize(10).fillColor("#2c3e50");
+  const titleEnd = drawRtlParagraphs(doc, title, {
+    x: x + padding, y: y + padding / 2, width: width - padding * 2, maxY: y + height,
+  });
+
+  doc.font("regular").fontSize(8.5).fillColor("#000000");
+  const body = drawRtlParagraphs(doc, content || "—", {
+    x: x + padding, y: titleEnd.y + 2, width: width - padding * 2, maxY: y + height - padding,
+  });
+  if (body.truncated) {
+    doc.text("…", x + padding, y + height - padding - doc.currentLineHeight(true), { lineBreak: false });
+  }
+}
+
+// ⬇️ رسم شبكة النموذج حسب مواقع الأقسام في القالب (معكوسة أفقياً من اليمين إلى اليسار)
+function drawCanvasPage(doc, template, bmcData, locale) {
+  const top = doc.y;
+  const left = MARGIN;
+  const width = doc.page.width - MARGIN * 2;
+  const height = doc.page.height - MARGIN - top;
+  const unitX = width / template.grid.columns;
+  const unitY = height / template.grid.rows;
+
+  for (const section of template.sections) {
+    const { x, y, w, h } = section.cell;
+    drawCell(doc, {
+      x: left + width - (x + w) * unitX,
+      y: top + y * unitY,
+      width: w * unitX,
+      height: h * unitY,
+      title: localizedTitle(section, locale),
+      content: bmcData[section.key],
+    });
+  }
+}
+
+// ⬇️ فقرات صفحة الملخص: من الملخص المنظم (عنوان غامق + نقاط لكل قسم) أو نص الملخص القديم
+// عنوان القسم من القالب حسب المفتاح (الملخصات المحفوظة قد تحمل العنوان العربي)
+function summaryBlocks(template, summary, structuredSummary, locale) {
+  if (!structuredSummary) {
+    return [{ font: "regular", text: summary || translate(locale, "bmc.pdf.noSummary") }];
+  }
+
+  const bullets = items => items.map(item => `• ${item}`).join("\n");
+  const sectionTitle = section => {
+    const templateSection = template.sections.find(s => s.key === section.key);
+    return templateSection ? localizedTitle(templateSection, locale) : section.title;
+  };
+  return [
+    { font: "regular", text: structuredSummary.overview },
+    ...structuredSummary.sections.flatMap(section => [
+      { font: "bold", text: sectionTitle(section) },
+      { font: "regular", text: bullets(section.bullets) },
+    ]),
+    ...(structuredSummary.recommendations.length > 0
+      ? [
+          { font: "bold", text: translate(locale, "bmc.pdf.recommendations") },
+          { font: "regular", text: bullets(structuredSummary.recommendations) },
+        ]
+      : []),
+  ];
+}
+
+function drawSummaryPage(doc, template, summary, structuredSummary, locale) {
+  doc.addPage({ size: "A4", layout: "portrait", margin: MARGIN });
+  const width = doc.page.width - MARGIN * 2;
+  const maxY = doc.page.height - MARGIN;
+
+  doc.font("bold").fontSize(16);
+  const title = translate(locale, "bmc.pdf.summaryTitle", { templateTitle: localizedTitle(template, locale) });
+  let { y } = drawRtlParagraphs(doc, title, {
+    x: MARGIN, y: MARGIN, width, maxY,
+  });
+  y += 8;
+
+  for (const block of summaryBlocks(template, summary, structuredSummary, locale)) {
+    doc.font(block.font).fontSize(11);
+    ({ y } = drawRtlParagraphs(doc, block.text, {
+      x: MARGIN,
+      y,
+      width,
+      maxY,
+      onOverflow: () => {
+        doc.addPage({ size: "A4", layout: "portrait", margin: MARGIN });
+        doc.font(block.font).fontSize(11);
+        return MARGIN;
+      },
+    }));
+    y += block.font === "regular" ? 6 : 0;
+  }
+}
+
+// ⬇️ توليد ملف PDF لنموذج حسب قالبه (الصفحة الأولى: الشبكة، الثانية: ملخص AI)
+// locale: لغة العناوين والتسميات (عنوان القالب والأقسام، الطالب، التاريخ، التوصيات)
+export function renderCanvasPdf({ template, bmcData = {}, summary, structuredSummary, projectTitle, studentName, date = new Date(), locale }) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({
+      size: "A4",
+      layout: "landscape",
+      margin: MARGIN,
+      info: { Title: `${template.titleEn} - ${projectTitle || ""}`, Author: studentName || "" },
+    });
+    doc.registerFont("regular", FONTS.regular);
+    doc.registerFont("bold", FONTS.bold);
+
+    const chunks = [];
+    doc.on("data", chunk => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    doc.y = drawHeader(doc, { template, projectTitle, studentName, date, locale });
+    drawCanvasPage(doc, template, bmcData, locale);
+    drawSummaryPage(doc, template, summary, structuredSummary, locale);
+    doc.end();
+  });
+}
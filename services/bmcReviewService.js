@@ -0,0 +1,212 @@
+import { generateStructured } from "./llm/structured.js";
+import { renderPrompt } from "../config/prompts/index.js";
+import { getSessionTemplate } from "./aiBmcService.js";
+import { normalizeText, tokenize } from "./textNormalization.js";
+import { translate, localizedTitle } from "./i18n.js";
+import { ANSWER_LENGTH, VAGUE_TERMS, RUBRIC_CRITERIA, SECTION_LINKS } from "../config/bmcReviewRubric.js";
+
+const MAX_SCORE = 5;
+
+// ⬇️ النص الموحّد محاطاً بمسافات (للبحث عن عبارة كاملة وليس جزءاً من كلمة)
+function paddedWords(text) {
+  return ` ${normalizeText(text).replace(/[^\p{L}\p{N}']+/gu, " ").trim()} `;
+}
+
+function findVagueTerms(answer) {
+  const words = paddedWords(answer);
+  return VAGUE_TERMS.filter(term => words.includes(paddedWords(term)));
+}
+
+// ⬇️ تفاصيل ملموسة: أرقام/أسعار، أو قائمة من عنصرين فأكثر
+function hasConcreteDetail(answer) {
+  return /\d/.test(answer) || String(answer).split(/\n|[،,;؛]/).filter(part => part.trim()).length >= 2;
+}
+
+// ⬇️ هل يشير القسم from إلى شيء موجود في القسم to؟ (كلمات مشتركة أو كلمة مفتاحية من القاعدة)
+function isLinked(fromAnswer, toAnswer, keywords = []) {
+  const toTokens = new Set(tokenize(toAnswer));
+  if (tokenize(fromAnswer).some(token => toTokens.has(token))) return true;
+  const toWords = paddedWords(toAnswer);
+  return keywords.some(keyword => toWords.includes(paddedWords(keyword)));
+}
+
+// 📏 الفحوص الثابتة (بدون AI): أقسام فارغة أو قصيرة أو غامضة، وروابط ناقصة بين الأقسام
+function ruleReview(template, session, locale) {
+  const bmcData = session.bmcData || {};
+  const inconsistencies = [];
+  const suggestions = [];
+
+  const sections = template.sections.map(section => {
+    const answer = bmcData[section.key];
+    const title = localizedTitle(section, locale);
+    const issues = [];
+    let score;
+
+    if (answer === undefined || !String(answer).trim()) {
+      const skipped = session.sectionStates?.[section.key] === "skipped";
+      issues.push({
+        code: skipped ? "skipped" : "empty",
+        severity: "error",
+        message: translate(locale, skipped ? "review.skipped" : "review.empty"),
+      });
+      suggestions.push({
+        section: section.key,
+        message: translate(locale, "review.completeSection", { title, starter: section.starter }),
+        source: "rules",
+      });
+      score = 0;
+    } else {
+      const words = String(answer).trim().split(/\s+/).length;
+      if (words < ANSWER_LENGTH.minWords) {
+        issues.push({ code: "too_short", severity: "warning", message: translate(locale, "review.tooShort", { words }) });
+        suggestions.push({ section: section.key, message: translate(locale, "review.addDetail", { title }), source: "rules" });
+        score = 1;
+      } else {
+        score = (words >= ANSWER_LENGTH.goodWords ? 4 : 3) + (hasConcreteDetail(answer) ? 1 : 0);
+      }
+
+      const vague = findVagueTerms(answer);
+      if (vague.length > 0) {
+        const terms = vague.join(translate(locale, "listSeparator"));
+        issues.push({ code: "vague", severity: "warning", message: translate(locale, "review.vague", { terms }) });
+        suggestions.push({
+          section: section.key,
+          message: translate(locale, "review.replaceVague", { terms, title }),
+          source: "rules",
+        });
+        score -= 1;
+      }
+    }
+
+    return { key: section.key, title, score: Math.max(score, answer ? 1 : 0), issues };
+  });
+
+  const byKey = Object.fromEntries(sections.map(s => [s.key, s]));
+  for (const link of SECTION_LINKS[template.id] || []) {
+    const fromAnswer = bmcData[link.from];
+    const toAnswer = bmcData[link.to];
+    if (!fromAnswer || !toAnswer || isLinked(fromAnswer, toAnswer, link.keywords)) continue;
+
+    const message = translate(locale, `review.links.${template.id}.${link.code}.message`);
+    const suggestion = translate(locale, `review.links.${template.id}.${link.code}.suggestion`);
+    inconsistencies.push({ code: link.code, sections: [link.from, link.to], message, source: "rules" });
+    suggestions.push({ section: link.from, message: suggestion, source: "rules" });
+    byKey[link.from].issues.push({ code: link.code, severity: "warning", message });
+    byKey[link.from].score = Math.max(byKey[link.from].score - 1, 1);
+  }
+
+  return { sections, inconsistencies, suggestions };
+}
+
+// 🧱 مخطط مراجعة AI: تقييم لكل قسم مُجاب + تناقضات + اقتراحات مرتبطة بالأقسام
+function reviewSchema(template, answeredKeys) {
+  const sectionKey = { type: "string", enum: template.sections.map(s => s.key) };
+  return {
+    type: "object",
+    required: ["sections", "inconsistencies", "suggestions"],
+    additionalProperties: false,
+    properties: {
+      sections: {
+        type: "object",
+        required: answeredKeys,
+        additionalProperties: false,
+        properties: Object.fromEntries(answeredKeys.map(key => [key, {
+          type: "object",
+          required: ["score", "feedback"],
+          properties: {
+            score: { type: "integer", minimum: 0, maximum: MAX_SCORE },
+            feedback: { type: "string", minLength: 1 },
+          },
+        }])),
+      },
+      inconsistencies: {
+        type: "array",
+        items: {
+          type: "object",
+          required: ["sections", "message"],
+          properties: {
+            sections: { type: "array", minItems: 1, items: sectionKey },
+            message: { type: "string", minLength: 1 },
+          },
+        },
+      },
+      suggestions: {
+        type: "array",
+        items: {
+          type: "object",
+          required: ["section", "message"],
+          properties: {
+            section: sectionKey,
+            message: { type: "string", minLength: 1 },
+          },
+        },
+      },
+    },
+  };
+}
+
+// 🤖 المراجعة بالذكاء الاصطناعي (تقييم حسب المعايير + تناقضات لا تكشفها الفحوص الثابتة)
+async function aiReview(template, session, rules, locale) {
+  const answered = template.sections.filter(s => session.bmcData?.[s.key] !== undefined);
+  const canvas = Object.fromEntries(answered.map(s => [`${s.key} (${s.title})`, session.bmcData[s.key]]));
+
+  const prompt = renderPrompt("bmc.review", {
+    templateTitle: template.title,
+    templateTitleEn: template.titleEn,
+    canvasData: JSON.stringify(canvas, null, 2),
+    maxScore: MAX_SCORE,
+    criteria: RUBRIC_CRITERIA.map(c => `- ${c}`).join("\n"),
+    knownIssues: rules.inconsistencies.map(i => `- ${i.message}`).join("\n") || "-",
+  }, { locale });
+
+  return generateStructured("bmcReview", prompt, reviewSchema(template, answered.map(s => s.key)));
+}
+
+// ⬇️ مراجعة نموذج الجلسة: تقييم كل قسم، التناقضات، واقتراحات التحسين
+// useAi: false للفحوص الثابتة فقط؛ عند فشل AI تُعاد نتيجة الفحوص الثابتة مع ai.error
+// locale: لغة الملاحظات والاقتراحات (الثابتة وردود AI)
+export async function reviewCanvas(session, { useAi = true, locale } = {}) {
+  const template = getSessionTemplate(session);
+  const rules = ruleReview(template, session, locale);
+  const answeredCount = rules.sections.filter(s => session.bmcData?.[s.key] !== undefined).length;
+
+  let ai = null;
+  const aiStatus = { used: false };
+  if (useAi && answeredCount > 0) {
+    try {
+      ai = await aiReview(template, session, rules, locale);
+      aiStatus.used = true;
+    } catch (error) {
+      console.error("Error in AI canvas review:", error);
+      aiStatus.error = { code: error.code || "ai_unavailable", message: error.message };
+    }
+  }
+
+  const sections = rules.sections.map(section => {
+    const aiSection = ai?.sections[section.key];
+    return {
+      ...section,
+      ruleScore: section.score,
+      aiScore: aiSection ? aiSection.score : null,
+      score: aiSection ? Math.round((section.score + aiSection.score) / 2) : section.score,
+      feedback: aiSection?.feedback || null,
+    };
+  });
+  const total = sections.reduce((sum, s) => sum + s.score, 0);
+
+  return {
+    template: { id: template.id, version: template.version, title: localizedTitle(template, locale) },
+    overallScore: Math.round((total / (sections.length * MAX_SCORE)) * 100),
+    maxSectionScore: MAX_SCORE,
+    sections,
+    inconsistencies: [
+      ...rules.inconsistencies,
+      ...(ai?.inconsistencies || []).map(i => ({ code: "ai_inconsistency", ...i, source: "ai" })),
+    ],
+    suggestions: [
+      ...rules.suggestions,
+      ...(ai?.suggestions || []).map(s => ({ ...s, source: "ai" })),
+    ],
+    ai: aiStatus,
+  };
+}
@@ -0,0 +1,282 @@
+import { openDb } from "../database.js";
+import { recordRevision } from "./revisionService.js";
+
+// 🔀 أوضاع الجلسة: نموذج BMC، مساعد التصميم، واستبيان UI/UX
+export const SESSION_MODES = ["bmc", "design", "uiux"];
+
+// ⏳ مدة الخمول قبل انتهاء صلاحية الجلسة (افتراضياً ساعتان من آخر نشاط)
+export const SESSION_IDLE_TIMEOUT_MS =
+  Number(process.env.SESSION_IDLE_TIMEOUT_MS) || 2 * 60 * 60 * 1000;
+
+function idleCutoff() {
+  return new Date(Date.now() - SESSION_IDLE_TIMEOUT_MS).toISOString();
+}
+
+// ⬇️ تحويل صف قاعدة البيانات + الإجابات + المحادثة إلى كائن الجلسة المستعمل في المسارات
+async function hydrateSession(db, row) {
+  const answers = await db.all(
+    "SELECT section, answer, status FROM bmc_answers WHERE session_id = ? ORDER BY id",
+    [row.id]
+  );
+  const chat = await db.all(
+    "SELECT id, role, content FROM chat_messages WHERE session_id = ? ORDER BY id",
+    [row.id]
+  );
+
+  const bmcData = {};
+  const sectionStates = {};
+  for (const { section, answer, status } of answers) {
+    if (answer !== null) bmcData[section] = answer;
+    sectionStates[section] = status;
+  }
+
+  return {
+    id: row.id,
+    studentId: row.student_id,
+    studentName: row.student_name,
+    projectTitle: row.project_title,
+    templateId: row.template_id,
+    templateVersion: row.template_version,
+    mode: row.mode,
+    bmcProgress: row.bmc_progress,
+    currentSection: row.current_section,
+    currentQuestion: row.current_question,
+    bmcData,
+    sectionStates,
+    chat,
+    chatSummary: row.chat_summary,
+    chatSummaryUntil: row.chat_summary_until || 0,
+    summary: row.summary,
+    structuredSummary: row.summary_json ? JSON.parse(row.summary_json) : null,
+    createdAt: row.created_at,
+    lastActivity: row.last_activity,
+  };
+}
+
+// ⬇️ جلب الجلسة النشطة للطالب (من أي جهاز) إذا لم تنتهِ صلاحيتها
+export async function getActiveSession(studentId) {
+  const db = await openDb();
+  const row = await db.get(
+    `SELECT * FROM bmc_sessions
+     WHERE student_id = ? AND status = 'active' AND last_activity >= ?
+     ORDER BY last_activity DESC LIMIT 1`,
+    [String(studentId), idleCutoff()]
+  );
+  if (!row) return null;
+  return hydrateSession(db, row);
+}
+
+// ⬇️ إنشاء جلسة جديدة (تُغلق أي جلسة نشطة سابقة لنفس الطالب)
+export async function createSession(studentId, { mode = "bmc", studentName, projectTitle, template } = {}) {
+  const db = await openDb();
+  const now = new Date().toISOString();
+
+  await db.run(
+    "UPDATE bmc_sessions SET status = 'closed' WHERE student_id = ? AND status = 'active'",
+    [String(studentId)]
+  );
+  const result = await db.run(
+    `INSERT INTO bmc_sessions
+       (student_id, student_name, project_title, template_id, template_version,
+        mode, bmc_progress, status, last_activity)
+     VALUES (?, ?, ?, ?, ?, ?, 0, 'active', ?)`,
+    [
+      String(studentId),
+      studentName || String(studentId),
+      projectTitle || null,
+      template?.id || null,
+      template?.version || null,
+      mode,
+      now,
+    ]
+  );
+
+  const row = await db.get("SELECT * FROM bmc_sessions WHERE id = ?", [result.lastID]);
+  return hydrateSession(db, row);
+}
+
+// ⬇️ جلب جلسة حسب رقمها (لأي حالة: نشطة أو منتهية)
+export async function getSessionById(sessionId) {
+  const db = await openDb();
+  const row = await db.get("SELECT * FROM bmc_sessions WHERE id = ?", [sessionId]);
+  if (!row) return null;
+  return hydrateSession(db, row);
+}
+
+// ⬇️ قائمة الجلسات (كل الطلاب، أو مجموعة محددة من الطلاب) بدون سجل المحادثة
+export async function listSessions({ studentIds } = {}) {
+  const db = await openDb();
+  if (studentIds && studentIds.length === 0) return [];
+
+  const where = studentIds ? `WHERE student_id IN (${studentIds.map(() => "?").join(", ")})` : "";
+  return db.all(
+    `SELECT id, student_id, student_name, project_title, template_id, template_version,
+            mode, bmc_progress, status,
+            last_activity, created_at
+     FROM bmc_sessions ${where}
+     ORDER BY last_activity DESC`,
+    studentIds ? studentIds.map(String) : []
+  );
+}
+
+// ⬇️ جلب الجلسة النشطة أو إنشاء واحدة جديدة
+export async function getOrCreateSession(studentId, options = {}) {
+  return (await getActiveSession(studentId)) || createSession(studentId, options);
+}
+
+// ⬇️ تحديث آخر نشاط للجلسة
+export async function touchSession(sessionId) {
+  const db = await openDb();
+  await db.run("UPDATE bmc_sessions SET last_activity = ? WHERE id = ?", [
+    new Date().toISOString(),
+    sessionId,
+  ]);
+}
+
+// ⬇️ إضافة رسالة إلى سجل المحادثة
+export async function appendChatMessage(sessionId, role, content) {
+  const db = await openDb();
+  await db.run(
+    "INSERT INTO chat_messages (session_id, role, content) VALUES (?, ?, ?)",
+    [sessionId, role, content]
+  );
+  await touchSession(sessionId);
+}
+
+// ⬇️ حفظ ملخص الرسائل القديمة (حتى الرسالة untilMessageId) مع الجلسة
+export async function saveChatSummary(sessionId, summary, untilMessageId) {
+  const db = await openDb();
+  await db.run(
+    "UPDATE bmc_sessions SET chat_summary = ?, chat_summary_until = ? WHERE id = ?",
+    [summary, untilMessageId, sessionId]
+  );
+}
+
+// ⬇️ تغيير وضع الجلسة (bmc / design / ...)
+export async function setSessionMode(sessionId, mode) {
+  const db = await openDb();
+  await db.run(
+    "UPDATE bmc_sessions SET mode = ?, last_activity = ? WHERE id = ?",
+    [mode, new Date().toISOString(), sessionId]
+  );
+}
+
+// ⬇️ إعادة حساب التقدم (عدد الأقسام المكتملة) بعد أي تعديل على الأقسام
+async function refreshProgress(db, sessionId, { clearCurrentSection = false } = {}) {
+  const { count } = await db.get(
+    "SELECT COUNT(*) AS count FROM bmc_answers WHERE session_id = ? AND status = 'complete'",
+    [sessionId]
+  );
+  await db.run(
+    `UPDATE bmc_sessions
+     SET bmc_progress = ?, last_activity = ?${clearCurrentSection ? ", current_section = NULL, current_question = NULL" : ""}
+     WHERE id = ?`,
+    [count, new Date().toISOString(), sessionId]
+  );
+  return count;
+}
+
+// ⬇️ حفظ حالة قسم (إنشاء أو تحديث الصف الخاص به)
+async function upsertSection(db, sessionId, { section, question, answer, status }) {
+  const now = new Date().toISOString();
+  const existing = await db.get(
+    "SELECT id, question FROM bmc_answers WHERE session_id = ? AND section = ?",
+    [sessionId, section]
+  );
+
+  if (existing) {
+    await db.run(
+      "UPDATE bmc_answers SET question = ?, answer = ?, status = ?, updated_at = ? WHERE id = ?",
+      [question ?? existing.question, answer, status, now, existing.id]
+    );
+  } else {
+    await db.run(
+      `INSERT INTO bmc_answers (session_id, section, question, answer, status, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [sessionId, section, question || "", answer, status, now]
+    );
+  }
+}
+
+// 🕓 حفظ نسخة من أقسام النموذج بعد كل تعديل (services/revisionService.js)
+async function recordCanvasRevision(db, sessionId, options) {
+  const rows = await db.all(
+    "SELECT section, question, answer, status FROM bmc_answers WHERE session_id = ? ORDER BY id",
+    [sessionId]
+  );
+  const sections = Object.fromEntries(rows.map(({ section, ...state }) => [section, state]));
+  return recordRevision(db, "bmc", sessionId, { sections }, options);
+}
+
+// ⬇️ حفظ إجابة قسم من أقسام BMC (status: draft أو complete) وإرجاع التقدم الجديد
+export async function saveSectionAnswer(sessionId, { section, question, answer, status = "complete" }) {
+  const db = await openDb();
+  await upsertSection(db, sessionId, { section, question, answer, status });
+  await recordCanvasRevision(db, sessionId, { source: "answer" });
+  return refreshProgress(db, sessionId, { clearCurrentSection: true });
+}
+
+// ⬇️ تخطي قسم مؤقتاً (يمكن العودة إليه لاحقاً)
+export async function skipSection(sessionId, section) {
+  const db = await openDb();
+  await upsertSection(db, sessionId, { section, answer: null, status: "skipped" });
+  await recordCanvasRevision(db, sessionId, { source: "skip" });
+  return refreshProgress(db, sessionId, { clearCurrentSection: true });
+}
+
+// ⬇️ مسح إجابة قسم وإرجاعه إلى الحالة الفارغة
+export async function clearSection(sessionId, section) {
+  const db = await openDb();
+  await db.run("DELETE FROM bmc_answers WHERE session_id = ? AND section = ?", [sessionId, section]);
+  await recordCanvasRevision(db, sessionId, { source: "clear" });
+  return refreshProgress(db, sessionId);
+}
+
+// ⬇️ استرجاع أقسام نسخة سابقة (snapshot.sections) كنسخة جديدة؛ يعيد رقم النسخة الجديدة
+export async function restoreCanvasRevision(sessionId, { revision, snapshot }) {
+  const db = await openDb();
+  await db.run("DELETE FROM bmc_answers WHERE session_id = ?", [sessionId]);
+  for (const [section, state] of Object.entries(snapshot.sections || {})) {
+    await upsertSection(db, sessionId, { section, ...state });
+  }
+  await refreshProgress(db, sessionId, { clearCurrentSection: true });
+  return recordCanvasRevision(db, sessionId, { source: "restore", restoredFrom: revision });
+}
+
+// ⬇️ تحديد القسم الذي طُرح عنه آخر سؤال ونص السؤال (تُحفظ فيه الإجابة التالية مع سؤالها)
+export async function setCurrentSection(sessionId, section, question) {
+  const db = await openDb();
+  await db.run(
+    "UPDATE bmc_sessions SET current_section = ?, current_question = ?, last_activity = ? WHERE id = ?",
+    [section, question ?? null, new Date().toISOString(), sessionId]
+  );
+}
+
+// ⬇️ حفظ آخر ملخص تم توليده للجلسة (Markdown + النسخة المنظمة، يُستعملان في التصدير)
+export async function saveSessionSummary(sessionId, { summary, structured }) {
+  const db = await openDb();
+  await db.run(
+    "UPDATE bmc_sessions SET summary = ?, summary_json = ?, last_activity = ? WHERE id = ?",
+    [summary, structured ? JSON.stringify(structured) : null, new Date().toISOString(), sessionId]
+  );
+}
+
+// ⬇️ عدد الجلسات النشطة حالياً
+export async function countActiveSessions() {
+  const db = await openDb();
+  const row = await db.get(
+    "SELECT COUNT(*) AS count FROM bmc_sessions WHERE status = 'active' AND last_activity >= ?",
+    [idleCutoff()]
+  );
+  return row.count;
+}
+
+// 🧹 تعليم الجلسات الخاملة كمنتهية (البيانات تبقى محفوظة في قاعدة البيانات)
+export async function expireIdleSessions() {
+  const db = await openDb();
+  const result = await db.run(
+    "UPDATE bmc_sessions SET status = 'expired' WHERE status = 'active' AND last_activity < ?",
+    [idleCutoff()]
+  );
+  return result.changes;
+}
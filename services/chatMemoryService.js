@@ -0,0 +1,93 @@
+import { generateText, estimateTokens } from "./llm/index.js";
+import { saveChatSummary } from "./bmcSessionService.js";
+import { getSessionTemplate } from "./aiBmcService.js";
+import { localizedTitle } from "./i18n.js";
+import { CHAT_MEMORY } from "../config/llm.js";
+import { renderPrompt } from "../config/prompts/index.js";
+
+const TURN_PROMPTS = { user: "chat.studentTurn", assistant: "chat.assistantTurn" };
+
+// ⬇️ سطر رسالة واحدة بتسمية دورها حسب اللغة ("الطالب: ..." / "Student: ...")
+function formatTurn(message, content, locale) {
+  return TURN_PROMPTS[message.role]
+    ? renderPrompt(TURN_PROMPTS[message.role], { content }, { locale }).text
+    : `${message.role}: ${content}`;
+}
+
+function formatTurns(messages, locale) {
+  return messages.map(m => formatTurn(m, m.content, locale)).join("\n");
+}
+
+// ⬇️ تقسيم الرسائل غير الملخصة: الأحدث ضمن الميزانية (recent) والأقدم للتلخيص (overflow)
+function splitByBudget(messages) {
+  let tokens = 0;
+  let start = messages.length;
+  while (start > 0) {
+    const cost = estimateTokens(messages[start - 1].content);
+    const keptCount = messages.length - start;
+    if (tokens + cost > CHAT_MEMORY.historyTokenBudget && keptCount >= CHAT_MEMORY.minRecentMessages) break;
+    tokens += cost;
+    start--;
+  }
+  return { overflow: messages.slice(0, start), recent: messages.slice(start) };
+}
+
+// ⬇️ ملخص احتياطي بدون AI: آخر جزء من الملخص السابق + بداية كل رسالة، ضمن ميزانية الملخص
+function truncateSummary(previousSummary, overflow, locale) {
+  const lines = overflow.map(m => `- ${formatTurn(m, m.content.replace(/\s+/g, " ").slice(0, 160), locale)}`);
+  const text = [previousSummary, ...lines].filter(Boolean).join("\n");
+  const maxChars = CHAT_MEMORY.summaryTokenBudget * 4;
+  return text.length > maxChars ? `…${text.slice(-maxChars)}` : text;
+}
+
+// 🧠 دمج الرسائل القديمة في الملخص الجاري للجلسة
+async function summarizeTurns(previousSummary, overflow, locale) {
+  const prompt = renderPrompt("chat.memorySummary", {
+    maxChars: CHAT_MEMORY.summaryTokenBudget * 3,
+    previousSummary: previousSummary ? `${previousSummary}\n\n` : "",
+    turns: formatTurns(overflow, locale),
+  }, { locale });
+
+  try {
+    return (await generateText("chatMemory", prompt)).trim();
+  } catch (error) {
+    console.error("Error summarizing chat history:", error);
+    return truncateSummary(previousSummary, overflow, locale);
+  }
+}
+
+// ⬇️ ذاكرة الجلسة للـ prompt: ملخص الرسائل القديمة + الرسائل الحديثة ضمن الميزانية
+// عند تجاوز الميزانية تُلخَّص الرسائل الأقدم (بلغة locale) ويُحفظ الملخص مع الجلسة
+export async function buildChatMemory(session, { locale } = {}) {
+  const unsummarized = (session.chat || []).filter(m => m.id > (session.chatSummaryUntil || 0));
+  const { overflow, recent } = splitByBudget(unsummarized);
+
+  let summary = session.chatSummary || null;
+  if (overflow.length > 0) {
+    summary = await summarizeTurns(summary, overflow, locale);
+    const untilId = overflow[overflow.length - 1].id;
+    await saveChatSummary(session.id, summary, untilId);
+    session.chatSummary = summary;
+    session.chatSummaryUntil = untilId;
+  }
+
+  return { summary, recent };
+}
+
+// ⬇️ كتلة السياق الكاملة (المشروع + بيانات النموذج + ملخص المحادثة + الرسائل الحديثة) لإضافتها إلى الـ prompt
+// القيم غير المتوفرة تظهر كـ "-" (مثل projectType في design.identity)
+export async function buildConversationContext(session, { locale } = {}) {
+  const { summary, recent } = await buildChatMemory(session, { locale });
+  const template = getSessionTemplate(session);
+  const canvas = template.sections.filter(s => session.bmcData?.[s.key] !== undefined);
+
+  return renderPrompt("chat.context", {
+    projectTitle: session.projectTitle || "-",
+    studentName: session.studentName || "-",
+    templateTitle: localizedTitle(template, locale),
+    canvasData: canvas.map(s => `- ${localizedTitle(s, locale)}: ${session.bmcData[s.key]}`).join("\n") || "-",
+    canvasOverview: session.structuredSummary?.overview || "-",
+    summary: summary || "-",
+    recent: formatTurns(recent, locale) || "-",
+  }, { locale }).text;
+}
@@ -0,0 +1,237 @@
+import crypto from "crypto";
+import { BRAND_HUES } from "../config/colorKeywords.js";
+import { normalizeText } from "./textNormalization.js";
+
+// 🌈 مولّد لوحات الألوان وفحص التباين حسب WCAG 2.x
+// نفس المدخلات (لون أساسي أو كلمات مفتاحية + نوع التناسق) تعطي دائماً نفس اللوحة
+export const HARMONIES = {
+  complementary: [180],
+  analogous: [-30, 30],
+  triadic: [120, 240],
+};
+export const DEFAULT_HARMONY = "complementary";
+
+// ⬇️ عتبات WCAG 2.x: النص العادي والنص الكبير (18pt أو 14pt عريض)
+export const WCAG_RATIOS = { AA: 4.5, AALarge: 3, AAA: 7 };
+
+// ⬇️ خطأ مدخلات اللوحة (400 مع رمز رسالة الخطأ)
+function paletteError(code, params) {
+  const error = new Error(`Invalid palette input: ${code}`);
+  error.status = 400;
+  error.code = code;
+  error.params = params;
+  return error;
+}
+
+// ===================================================
+// 🔢 تحويلات الألوان
+// ===================================================
+// ⬇️ "#abc" أو "ABCDEF" → "#AABBCC" (أو null إذا لم يكن لوناً صالحاً)
+export function normalizeHex(value) {
+  const match = /^#?([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(String(value || "").trim());
+  if (!match) return null;
+  const digits = match[1].length === 3 ? [...match[1]].map(c => c + c).join("") : match[1];
+  return `#${digits.toUpperCase()}`;
+}
+
+function hexToRgb(hex) {
+  const value = parseInt(normalizeHex(hex).slice(1), 16);
+  return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+}
+
+function rgbToHex(rgb) {
+  return `#${rgb.map(c => Math.round(c).toString(16).padStart(2, "0")).join("").toUpperCase()}`;
+}
+
+// ⬇️ HSL: h بالدرجات، s و l بين 0 و 1
+function hexToHsl(hex) {
+  const [r, g, b] = hexToRgb(hex).map(c => c / 255);
+  const max = Math.max(r, g, b);
+  const min = Math.min(r, g, b);
+  const l = (max + min) / 2;
+  if (max === min) return { h: 0, s: 0, l };
+
+  const d = max - min;
+  const s = l > 0.5 ? d / (2 - max - min) : d / (max + min);
+  let h;
+  if (max === r) h = (g - b) / d + (g < b ? 6 : 0);
+  else if (max === g) h = (b - r) / d + 2;
+  else h = (r - g) / d + 4;
+  return { h: h * 60, s, l };
+}
+
+function hslToHex({ h, s, l }) {
+  const hue = ((h % 360) + 360) % 360;
+  const sat = Math.min(1, Math.max(0, s));
+  const light = Math.min(1, Math.max(0, l));
+  const a = sat * Math.min(light, 1 - light);
+  const channel = n => {
+    const k = (n + hue / 30) % 12;
+    return 255 * (light - a * Math.max(-1, Math.min(k - 3, 9 - k, 1)));
+  };
+  return rgbToHex([channel(0), channel(8), channel(4)]);
+}
+
+// ===================================================
+// ♿ التباين (WCAG 2.x)
+// ===================================================
+export function relativeLuminance(hex) {
+  const [r, g, b] = hexToRgb(hex).map(c => {
+    const v = c / 255;
+    return v <= 0.03928 ? v / 12.92 : ((v + 0.055) / 1.055) ** 2.4;
+  });
+  return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+}
+
+export function contrastRatio(foreground, background) {
+  const [lighter, darker] = [relativeLuminance(foreground), relativeLuminance(background)].sort((a, b) => b - a);
+  return (lighter + 0.05) / (darker + 0.05);
+}
+
+// ⬇️ أعلى مستوى يحققه التباين: AAA / AA / AA-large / fail
+export function contrastLevel(ratio) {
+  if (ratio >= WCAG_RATIOS.AAA) return "AAA";
+  if (ratio >= WCAG_RATIOS.AA) return "AA";
+  if (ratio >= WCAG_RATIOS.AALarge) return "AA-large";
+  return "fail";
+}
+
+// ⬇️ أقرب لون للنص يحقق التباين المطلوب: نفس الدرجة والتشبع مع تغميق (أو تفتيح) تدريجي
+export function suggestAccessibleColor(foreground, background, target = WCAG_RATIOS.AA) {
+  const { h, s, l } = hexToHsl(foreground);
+  const directions = relativeLuminance(background) > 0.18 ? [-1, 1] : [1, -1];
+
+  for (const direction of directions) {
+    for (let step = 1; step <= 100; step++) {
+      const lightness = l + direction * step * 0.01;
+      if (lightness < 0 || lightness > 1) break;
+      const hex = hslToHex({ h, s, l: lightness });
+      const ratio = contrastRatio(hex, background);
+      if (ratio >= target) return { hex, ratio: Math.round(ratio * 100) / 100 };
+    }
+  }
+  return null;
+}
+
+// ⬇️ أدوار الألوان: النصوص والألوان البارزة تُفحص على الخلفيات، والخلفيات الملونة (الأزرار) مع أفضل لون نص
+const TEXT_ROLES = ["text", "muted", "primary", "secondary", "accent", "success", "warning", "error"];
+const SURFACE_ROLES = ["background", "surface"];
+const FILL_ROLES = ["primary", "secondary", "accent"];
+
+function checkPair(usage, foreground, background) {
+  const ratio = contrastRatio(foreground.hex, background.hex);
+  const pair = {
+    usage,
+    foreground: { role: foreground.role, name: foreground.name, hex: foreground.hex },
+    background: { role: background.role, name: background.name, hex: background.hex },
+    ratio: Math.round(ratio * 100) / 100,
+    level: contrastLevel(ratio),
+    passes: ratio >= WCAG_RATIOS.AA,
+  };
+  if (!pair.passes) pair.suggestion = suggestAccessibleColor(foreground.hex, background.hex);
+  return pair;
+}
+
+// ♿ فحص كل أزواج النص/الخلفية في اللوحة (المستوى المطلوب: AA للنص العادي)
+// usage: "text" (لون على خلفية الصفحة) أو "fill" (نص على خلفية ملونة مثل الأزرار)
+export function checkPaletteContrast(palette) {
+  const colors = palette.map(color => ({ ...color, hex: normalizeHex(color.hex) })).filter(color => color.hex);
+  const surfaces = colors.filter(color => SURFACE_ROLES.includes(color.role));
+  const textColors = colors.filter(color => TEXT_ROLES.includes(color.role));
+  const onFill = colors.filter(color => ["background", "text"].includes(color.role));
+
+  const pairs = [];
+  for (const background of surfaces) {
+    for (const foreground of textColors) pairs.push(checkPair("text", foreground, background));
+  }
+  for (const fill of colors.filter(color => FILL_ROLES.includes(color.role))) {
+    const best = onFill
+      .map(foreground => ({ foreground, ratio: contrastRatio(foreground.hex, fill.hex) }))
+      .sort((a, b) => b.ratio - a.ratio)[0];
+    if (best) pairs.push(checkPair("fill", best.foreground, fill));
+  }
+
+  const failing = pairs.filter(pair => !pair.passes).length;
+  return {
+    target: "AA",
+    minimumRatio: WCAG_RATIOS.AA,
+    accessible: failing === 0,
+    passing: pairs.length - failing,
+    failing,
+    pairs,
+  };
+}
+
+// ===================================================
+// 🎨 توليد اللوحات
+// ===================================================
+// ⬇️ درجة اللون من الكلمات المفتاحية (الأكثر تكراراً، ثم الأسبق)، أو من hash ثابت للكلمات غير المعروفة
+export function hueFromKeywords(keywords) {
+  const text = normalizeText(Array.isArray(keywords) ? keywords.join(" ") : keywords);
+  const words = text.split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+  const stripped = words.map(word => word.replace(/^(وال|بال|كال|فال|لل|ال)/, ""));
+
+  let best = null;
+  for (const { key, hue, keywords: list } of BRAND_HUES) {
+    const targets = list.map(keyword => normalizeText(keyword));
+    const positions = words
+      .map((word, i) => (targets.includes(word) || targets.includes(stripped[i]) ? i : -1))
+      .filter(i => i !== -1);
+    if (positions.length === 0) continue;
+    if (!best || positions.length > best.count || (positions.length === best.count && positions[0] < best.first)) {
+      best = { key, hue, count: positions.length, first: positions[0] };
+    }
+  }
+  if (best) return best.hue;
+
+  const digest = crypto.createHash("sha256").update(words.join(" ")).digest();
+  return digest.readUInt16BE(0) % 360;
+}
+
+// ⬇️ اسم عائلة اللون (أقرب درجة في BRAND_HUES) للألوان المشبعة
+function hueName(hex) {
+  const { h, s, l } = hexToHsl(hex);
+  if (s < 0.12 || l < 0.08 || l > 0.95) return "Neutral";
+  const distance = hue => Math.min(Math.abs(h - hue), 360 - Math.abs(h - hue));
+  const { key } = BRAND_HUES.reduce((a, b) => (distance(b.hue) < distance(a.hue) ? b : a));
+  return key[0].toUpperCase() + key.slice(1);
+}
+
+// 🎨 لوحة متناسقة من لون أساسي (seed) أو كلمات مفتاحية للعلامة
+// harmony: complementary / analogous / triadic؛ يعيد ألواناً بصيغة palette في الهوية البصرية
+export function generatePalette({ seed, keywords, harmony = DEFAULT_HARMONY } = {}) {
+  if (!Object.hasOwn(HARMONIES, harmony)) {
+    throw paletteError("INVALID_HARMONY", { harmonies: Object.keys(HARMONIES).join(", ") });
+  }
+  let base;
+  if (seed) {
+    const hex = normalizeHex(seed);
+    if (!hex) throw paletteError("INVALID_SEED_COLOR", { seed });
+    base = hexToHsl(hex);
+  } else if (keywords && String(keywords).trim()) {
+    base = { h: hueFromKeywords(keywords), s: 0.65, l: 0.42 };
+  } else {
+    throw paletteError("PALETTE_SEED_REQUIRED");
+  }
+
+  const { h, s, l } = base;
+  const [first, second = first] = HARMONIES[harmony];
+  const secondary = harmony === "complementary"
+    ? { h, s: s * 0.6, l: Math.max(0.2, l - 0.15) }
+    : { h: h + first, s, l };
+  const accent = { h: h + second, s, l };
+
+  const chromatic = [
+    { role: "primary", hex: seed ? normalizeHex(seed) : hslToHex(base) },
+    { role: "secondary", hex: hslToHex(secondary) },
+    { role: "accent", hex: hslToHex(accent) },
+  ].map(color => ({ name: hueName(color.hex), ...color }));
+
+  return [
+    ...chromatic,
+    { name: "Background", role: "background", hex: hslToHex({ h, s: 0.25, l: 0.98 }) },
+    { name: "Surface", role: "surface", hex: hslToHex({ h, s: 0.2, l: 0.94 }) },
+    { name: "Text", role: "text", hex: hslToHex({ h, s: 0.3, l: 0.12 }) },
+    { name: "Muted", role: "muted", hex: hslToHex({ h, s: 0.1, l: 0.4 }) },
+  ];
+}
@@ -0,0 +1,312 @@
+import Ajv from "ajv";
+import { generateStructured } from "./llm/structured.js";
+import { renderPrompt } from "../config/prompts/index.js";
+import { translate } from "./i18n.js";
+import { normalizeHex, relativeLuminance, generatePalette } from "./colorService.js";
+
+// 🎨 الهوية البصرية كمستند منظم (design_type = "visual_identity" في جدول designs):
+// لوحة ألوان (HEX + دور)، سلم الخطوط، سلم المسافات، وملاحظات استعمال الشعار
+// مع تصدير إلى CSS و W3C design tokens و Tailwind
+export const IDENTITY_DESIGN_TYPE = "visual_identity";
+
+export const PALETTE_ROLES = ["primary", "secondary", "accent", "background", "surface", "text", "muted", "success", "warning", "error"];
+
+const TOKEN_NAME = { type: "string", pattern: "^[a-z0-9]+(-[a-z0-9]+)*$" };
+
+// 🧱 مخطط الهوية البصرية (للتحقق عند الحفظ ولرد AI)
+export const DESIGN_IDENTITY_SCHEMA = {
+  type: "object",
+  required: ["name", "palette", "typography", "spacing", "logo"],
+  additionalProperties: false,
+  properties: {
+    name: { type: "string", minLength: 1 },
+    palette: {
+      type: "array",
+      minItems: 1,
+      items: {
+        type: "object",
+        required: ["name", "hex", "role"],
+        additionalProperties: false,
+        properties: {
+          name: { type: "string", minLength: 1 },
+          hex: { type: "string", pattern: "^#[0-9A-Fa-f]{6}$" },
+          role: { enum: PALETTE_ROLES },
+        },
+      },
+    },
+    typography: {
+      type: "object",
+      required: ["headingFont", "bodyFont", "baseSize", "scale"],
+      additionalProperties: false,
+      properties: {
+        headingFont: { type: "string", minLength: 1 },
+        bodyFont: { type: "string", minLength: 1 },
+        baseSize: { type: "number", minimum: 10, maximum: 32 },
+        scale: {
+          type: "array",
+          minItems: 1,
+          items: {
+            type: "object",
+            required: ["name", "size", "lineHeight", "weight"],
+            additionalProperties: false,
+            properties: {
+              name: TOKEN_NAME,
+              size: { type: "number", minimum: 1 },
+              lineHeight: { type: "number", minimum: 0.5, maximum: 3 },
+              weight: { type: "integer", minimum: 100, maximum: 900 },
+            },
+          },
+        },
+      },
+    },
+    spacing: {
+      type: "object",
+      required: ["unit", "scale"],
+      additionalProperties: false,
+      properties: {
+        unit: { type: "number", minimum: 1 },
+        scale: {
+          type: "array",
+          minItems: 1,
+          items: {
+            type: "object",
+            required: ["name", "value"],
+            additionalProperties: false,
+            properties: {
+              name: TOKEN_NAME,
+              value: { type: "number", minimum: 0 },
+            },
+          },
+        },
+      },
+    },
+    logo: {
+      type: "object",
+      required: ["usage"],
+      additionalProperties: false,
+      properties: {
+        usage: { type: "array", items: { type: "string", minLength: 1 } },
+        minWidth: { type: "number", minimum: 1 },
+      },
+    },
+  },
+};
+
+const validateSchema = new Ajv({ allErrors: true }).compile(DESIGN_IDENTITY_SCHEMA);
+
+// ⬇️ التحقق من الهوية: { identity } عند النجاح أو { errors } (بنفس صيغة أخطاء الرد المنظم)
+// designData قد يصل ككائن أو كنص JSON
+export function validateDesignIdentity(designData) {
+  let identity = designData;
+  if (typeof designData === "string") {
+    try {
+      identity = JSON.parse(designData);
+    } catch (error) {
+      return { errors: [error.message] };
+    }
+  }
+  if (!validateSchema(identity)) {
+    return {
+      errors: validateSchema.errors.map(e => `${e.instancePath || "/"} ${e.message}${e.params?.allowedValues ? `: ${e.params.allowedValues.join(", ")}` : ""}`),
+    };
+  }
+  return { identity };
+}
+
+// ===================================================
+// 🔍 استخراج الهوية من اقتراحات التصميم
+// ===================================================
+const DEFAULT_TYPE_SCALE = [
+  { name: "h1", step: 4, lineHeight: 1.2, weight: 700 },
+  { name: "h2", step: 3, lineHeight: 1.25, weight: 700 },
+  { name: "h3", step: 2, lineHeight: 1.3, weight: 600 },
+  { name: "h4", step: 1, lineHeight: 1.35, weight: 600 },
+  { name: "body", step: 0, lineHeight: 1.6, weight: 400 },
+  { name: "small", step: -1, lineHeight: 1.5, weight: 400 },
+];
+const DEFAULT_SPACING = { unit: 8, scale: { xs: 0.5, sm: 1, md: 2, lg: 3, xl: 4, "2xl": 6 } };
+const DEFAULT_FONT = "Cairo";
+
+// ⬇️ خطوط Google الشائعة التي يذكرها النموذج عادة (عربية ولاتينية)
+const KNOWN_FONTS = [
+  "Cairo", "Tajawal", "Almarai", "Amiri", "Changa", "El Messiri", "Harmattan", "IBM Plex Sans Arabic", "Noto Kufi Arabic", "Noto Sans Arabic", "Readex Pro", "Rubik",
+  "Inter", "Roboto", "Open Sans", "Lato", "Montserrat", "Poppins", "Nunito", "Raleway", "Source Sans Pro", "Playfair Display", "Merriweather",
+];
+
+// ⬇️ سلم خطوط بنسبة 1.25 حول الحجم الأساسي
+function defaultTypeScale(baseSize) {
+  return DEFAULT_TYPE_SCALE.map(({ name, step, lineHeight, weight }) => ({
+    name,
+    size: Math.round(baseSize * 1.25 ** step),
+    lineHeight,
+    weight,
+  }));
+}
+
+function defaultSpacing() {
+  return {
+    unit: DEFAULT_SPACING.unit,
+    scale: Object.entries(DEFAULT_SPACING.scale).map(([name, factor]) => ({ name, value: DEFAULT_SPACING.unit * factor })),
+  };
+}
+
+// ⬇️ ألوان النص بالترتيب: أول لون فاتح جداً خلفية، وأول لون داكن جداً للنص، والباقي primary/secondary/accent...
+function paletteFromHexes(hexes) {
+  const background = hexes.find(hex => relativeLuminance(hex) > 0.85);
+  const text = hexes.find(hex => relativeLuminance(hex) < 0.03);
+  const roles = ["primary", "secondary", "accent"];
+  return [
+    ...hexes.filter(hex => hex !== background && hex !== text).map((hex, i) => ({ name: hex, hex, role: roles[i] || "muted" })),
+    ...(background ? [{ name: background, hex: background, role: "background" }] : []),
+    ...(text ? [{ name: text, hex: text, role: "text" }] : []),
+  ];
+}
+
+// ⬇️ استخراج تقريبي بدون AI: رموز HEX المذكورة (أو لوحة مولّدة من اسم المشروع)، وأول خطين معروفين
+export function extractIdentityFromText(text, { name, locale } = {}) {
+  const hexes = [...new Set((String(text || "").match(/#(?:[0-9a-fA-F]{6}|[0-9a-fA-F]{3})\b/g) || []).map(normalizeHex))];
+  const palette = hexes.length
+    ? paletteFromHexes(hexes)
+    : generatePalette({ keywords: name || text || translate(locale, "design.identityName") });
+
+  const lowerText = String(text || "").toLowerCase();
+  const fonts = KNOWN_FONTS
+    .map(font => ({ font, index: lowerText.indexOf(font.toLowerCase()) }))
+    .filter(({ index }) => index !== -1)
+    .sort((a, b) => a.index - b.index)
+    .map(({ font }) => font);
+
+  return {
+    name: name || translate(locale, "design.identityName"),
+    palette,
+    typography: {
+      headingFont: fonts[0] || DEFAULT_FONT,
+      bodyFont: fonts[1] || fonts[0] || DEFAULT_FONT,
+      baseSize: 16,
+      scale: defaultTypeScale(16),
+    },
+    spacing: defaultSpacing(),
+    logo: { usage: translate(locale, "design.identityLogoUsage").split("\n") },
+  };
+}
+
+// ⬇️ تحويل نص اقتراحات التصميم إلى هوية بصرية منظمة، مع fallback بالاستخراج التقريبي
+// يعيد { identity, source: "ai" | "fallback", error? }
+export async function extractDesignIdentity(suggestions, { projectType, locale } = {}) {
+  const prompt = renderPrompt("design.identity", { projectType: projectType || "-", suggestions }, { locale });
+
+  try {
+    const identity = await generateStructured("designIdentity", prompt, DESIGN_IDENTITY_SCHEMA);
+    return { identity, source: "ai" };
+  } catch (error) {
+    console.error("Error extracting design identity:", error);
+    return {
+      identity: extractIdentityFromText(suggestions, { name: projectType, locale }),
+      source: "fallback",
+      error: { code: error.code || "ai_unavailable", message: error.message },
+    };
+  }
+}
+
+// ===================================================
+// 📤 التصدير
+// ===================================================
+// ⬇️ اسم متغير لكل لون: الدور، مع رقم إذا تكرر الدور (accent، accent-2...)
+function colorTokens(palette) {
+  const counts = {};
+  return palette.map(color => {
+    counts[color.role] = (counts[color.role] || 0) + 1;
+    return { ...color, token: counts[color.role] === 1 ? color.role : `${color.role}-${counts[color.role]}` };
+  });
+}
+
+// ⬇️ الخط مع خط احتياطي عام
+function fontStack(font) {
+  return [font, "sans-serif"];
+}
+
+function cssFontStack(font) {
+  return fontStack(font).map(f => (f.includes(" ") ? `"${f}"` : f)).join(", ");
+}
+
+// ⬇️ CSS custom properties داخل :root
+export function identityToCss(identity) {
+  const { typography, spacing, logo } = identity;
+  const lines = [
+    ...colorTokens(identity.palette).map(color => `  --color-${color.token}: ${color.hex};`),
+    `  --font-heading: ${cssFontStack(typography.headingFont)};`,
+    `  --font-body: ${cssFontStack(typography.bodyFont)};`,
+    `  --font-size-base: ${typography.baseSize}px;`,
+    ...typography.scale.flatMap(step => [
+      `  --font-size-${step.name}: ${step.size}px;`,
+      `  --line-height-${step.name}: ${step.lineHeight};`,
+      `  --font-weight-${step.name}: ${step.weight};`,
+    ]),
+    `  --spacing-unit: ${spacing.unit}px;`,
+    ...spacing.scale.map(step => `  --spacing-${step.name}: ${step.value}px;`),
+    ...(logo.minWidth ? [`  --logo-min-width: ${logo.minWidth}px;`] : []),
+  ];
+  return `/* ${identity.name.replace(/\*\//g, "")} */\n:root {\n${lines.join("\n")}\n}\n`;
+}
+
+// ⬇️ ملف design tokens بصيغة W3C (Design Tokens Community Group)
+export function identityToW3cTokens(identity) {
+  const { typography, spacing } = identity;
+  const tokens = {
+    $description: identity.name,
+    color: Object.fromEntries(
+      colorTokens(identity.palette).map(color => [color.token, { $type: "color", $value: color.hex, $description: color.name }])
+    ),
+    font: {
+      family: {
+        heading: { $type: "fontFamily", $value: fontStack(typography.headingFont) },
+        body: { $type: "fontFamily", $value: fontStack(typography.bodyFont) },
+      },
+      size: Object.fromEntries([
+        ["base", { $type: "dimension", $value: `${typography.baseSize}px` }],
+        ...typography.scale.map(step => [step.name, { $type: "dimension", $value: `${step.size}px` }]),
+      ]),
+      weight: Object.fromEntries(typography.scale.map(step => [step.name, { $type: "fontWeight", $value: step.weight }])),
+    },
+    typography: Object.fromEntries(
+      typography.scale.map(step => [
+        step.name,
+        {
+          $type: "typography",
+          $value: {
+            fontFamily: step.name.startsWith("h") ? "{font.family.heading}" : "{font.family.body}",
+            fontSize: `{font.size.${step.name}}`,
+            fontWeight: `{font.weight.${step.name}}`,
+            lineHeight: step.lineHeight,
+          },
+        },
+      ])
+    ),
+    spacing: Object.fromEntries(spacing.scale.map(step => [step.name, { $type: "dimension", $value: `${step.value}px` }])),
+  };
+  return `${JSON.stringify(tokens, null, 2)}\n`;
+}
+
+// ⬇️ إعدادات Tailwind (theme.extend) جاهزة للنسخ في tailwind.config.js
+export function identityToTailwind(identity) {
+  const { typography, spacing } = identity;
+  const theme = {
+    colors: Object.fromEntries(colorTokens(identity.palette).map(color => [color.token, color.hex])),
+    fontFamily: {
+      heading: fontStack(typography.headingFont),
+      body: fontStack(typography.bodyFont),
+    },
+    fontSize: Object.fromEntries(
+      typography.scale.map(step => [step.name, [`${step.size}px`, { lineHeight: String(step.lineHeight), fontWeight: String(step.weight) }]])
+    ),
+    spacing: Object.fromEntries(spacing.scale.map(step => [step.name, `${step.value}px`])),
+  };
+  return `// ${identity.name.replace(/\n/g, " ")}\n/** @type {import('tailwindcss').Config} */\nmodule.exports = {\n  theme: {\n    extend: ${JSON.stringify(theme, null, 2).replace(/\n/g, "\n    ")},\n  },\n};\n`;
+}
+
+// ⬇️ صيغ التصدير: المحتوى ونوعه واسم الملف
+export const IDENTITY_EXPORT_FORMATS = {
+  css: { render: identityToCss, contentType: "text/css; charset=utf-8", filename: "identity.css" },
+  tokens: { render: identityToW3cTokens, contentType: "application/json; charset=utf-8", filename: "identity.tokens.json" },
+  tailwind: { render: identityToTailwind, contentType: "text/javascript; charset=utf-8", filename: "tailwind.config.js" },
+};
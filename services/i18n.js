@@ -0,0 +1,69 @@
+import { MESSAGES, SUPPORTED_LOCALES, DEFAULT_LOCALE, FALLBACK_LOCALE } from "../config/messages/index.js";
+
+// ⬇️ لغة مدعومة من قيمة مثل "fr-FR" أو "EN" (وإلا null)
+export function normalizeLocale(value) {
+  const base = String(value || "").trim().toLowerCase().split(/[-_]/)[0];
+  return SUPPORTED_LOCALES.includes(base) ? base : null;
+}
+
+// ⬇️ اختيار أفضل لغة مدعومة من ترويسة Accept-Language حسب أوزان q
+export function parseAcceptLanguage(header) {
+  const candidates = String(header || "")
+    .split(",")
+    .map((part, index) => {
+      const [tag, ...params] = part.trim().split(";");
+      const q = params.map(p => p.trim()).find(p => p.startsWith("q="));
+      return { locale: normalizeLocale(tag), weight: q ? Number(q.slice(2)) || 0 : 1, index };
+    })
+    .filter(c => c.locale && c.weight > 0)
+    .sort((a, b) => b.weight - a.weight || a.index - b.index);
+  return candidates[0]?.locale || null;
+}
+
+function lookup(locale, key) {
+  return key.split(".").reduce((node, part) => node?.[part], MESSAGES[locale]);
+}
+
+function interpolate(text, params) {
+  return text.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) =>
+    params[name] === undefined || params[name] === null ? match : String(params[name])
+  );
+}
+
+// 🌍 ترجمة مفتاح من الكتالوج ("errors.NO_ACTIVE_SESSION"، "intents.logo.tips") مع تعبئة المتغيرات
+// المفتاح الناقص يؤخذ من العربية، ثم يُعاد المفتاح نفسه؛ القوائم تُترجم عنصراً عنصراً
+export function translate(locale, key, params = {}) {
+  const value = lookup(normalizeLocale(locale) || DEFAULT_LOCALE, key) ?? lookup(FALLBACK_LOCALE, key);
+  if (value === undefined) return key;
+  return Array.isArray(value) ? value.map(item => interpolate(item, params)) : interpolate(value, params);
+}
+
+// ⬇️ عنوان القالب أو القسم حسب اللغة (القوالب تحمل title بالعربية و titleEn للغات الأخرى)
+export function localizedTitle(item, locale) {
+  return (normalizeLocale(locale) || DEFAULT_LOCALE) === "ar" ? item.title : item.titleEn;
+}
+
+// ⬇️ هل يوجد المفتاح في الكتالوج؟ (لنصوص اختيارية مثل سؤال احتياطي لقسم معيّن)
+export function hasMessage(key) {
+  return lookup(FALLBACK_LOCALE, key) !== undefined;
+}
+
+// ⬇️ تثبيت لغة الطلب وإرسالها في Content-Language
+export function setRequestLocale(req, res, locale) {
+  req.locale = locale;
+  res.setHeader("Content-Language", locale);
+}
+
+// ⬇️ middleware: لغة الطلب من Accept-Language (تفضيل المستخدم المحفوظ يطغى عليها في verifyToken)
+export function localeMiddleware(req, res, next) {
+  setRequestLocale(req, res, parseAcceptLanguage(req.headers["accept-language"]) || DEFAULT_LOCALE);
+  res.vary("Accept-Language");
+  req.t = (key, params) => translate(req.locale, key, params);
+  next();
+}
+
+// ⬇️ جسم رد الخطأ: رسالة مترجمة + رمز ثابت (code) لا يتغير مع اللغة
+// field: "error" أو "message" حسب ما تعتمده الواجهة في كل مسار
+export function apiError(req, code, { params, field = "error" } = {}) {
+  return { [field]: translate(req.locale, `errors.${code}`, params), code };
+}
@@ -0,0 +1,89 @@
+import { normalizeText } from "./textNormalization.js";
+import { DESIGN_INTENTS } from "../config/designIntents.js";
+import { translate } from "./i18n.js";
+
+const WEIGHTS = { strong: 1, weak: 0.4 };
+const MIN_CONFIDENCE = 0.3;
+
+// ⬇️ حروف ملتصقة ببداية الكلمة العربية (الشعار، بالموقع، للهوية، وشعار...)، الأطول أولاً
+const CLITIC_PREFIXES = ["وال", "بال", "فال", "كال", "لل", "ال", "و", "ب", "ل", "ف"];
+// ⬇️ لواحق تُحذف للمقارنة: الضمائر وجمع المؤنث والمذكر السالم (شعاري، منشوراتنا، مصممين)، وجمع الكلمات اللاتينية
+// بدون "ه" وحدها: التاء المربوطة تُوحَّد إلى "ه" (كتابة → كتابه) فتختلط بضمير الغائب
+const ARABIC_SUFFIXES = ["ات", "ين", "ون", "نا", "كم", "هم", "ها", "ي", "ك"];
+const LATIN_SUFFIXES = ["es", "s", "x"];
+const MIN_STEM = 3;
+
+function splitWords(text) {
+  return normalizeText(text).split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+}
+
+// ⬇️ الأشكال الممكنة لكلمة الرسالة بعد حذف السوابق واللواحق (كل شكل كلمة كاملة، بدون مطابقة جزئية)
+// "المواقع" → مواقع، "شعاري" → شعار، "صفحات" → صفحه، "logos" → logo
+function wordForms(word) {
+  if (/^[a-z0-9]+$/.test(word)) {
+    return [word, ...LATIN_SUFFIXES.filter(suffix => word.endsWith(suffix) && word.length - suffix.length >= MIN_STEM)
+      .map(suffix => word.slice(0, -suffix.length))];
+  }
+
+  const bases = [word];
+  for (const prefix of CLITIC_PREFIXES) {
+    const rest = word.slice(prefix.length);
+    if (!word.startsWith(prefix) || rest.length < MIN_STEM) continue;
+    // "الألوان" تصبح "الالوان" بعد التوحيد: بعد حذف "ال" قد تبقى "ال" أخرى من الكلمة نفسها (الوان) أو مكررة
+    bases.push(rest);
+    if (rest.startsWith("ال") && rest.length - 2 >= MIN_STEM) bases.push(rest.slice(2));
+  }
+
+  const forms = new Set(bases);
+  for (const base of bases) {
+    for (const suffix of ARABIC_SUFFIXES) {
+      const rest = base.slice(0, -suffix.length);
+      if (!base.endsWith(suffix) || rest.length < MIN_STEM) continue;
+      forms.add(rest);
+      // جمع المؤنث السالم من مفرد بتاء مربوطة: صفحات → صفحه
+      if (suffix === "ات") forms.add(`${rest}ه`);
+    }
+  }
+  return [...forms];
+}
+
+// ⬇️ تجهيز الكلمات المفتاحية مرة واحدة (موحّدة ومقسمة إلى كلمات)
+const INTENTS = DESIGN_INTENTS.map(intent => ({
+  ...intent,
+  keywords: ["strong", "weak"].flatMap(strength =>
+    intent[strength].map(keyword => ({ keyword, words: splitWords(keyword), weight: WEIGHTS[strength] }))
+  ),
+}));
+
+// ⬇️ الكلمة المفتاحية (كلمة أو عبارة) تطابق كلمات متتالية في الرسالة، كل كلمة بأحد أشكالها
+function containsKeyword(messageForms, keywordWords) {
+  for (let i = 0; i + keywordWords.length <= messageForms.length; i++) {
+    if (keywordWords.every((kw, j) => messageForms[i + j].includes(kw))) return true;
+  }
+  return false;
+}
+
+// 🏷️ تصنيف رسالة إلى نوايا متعددة مرتبة حسب الثقة: [{ intent, label, confidence, matches }]
+// يعيد مصفوفة فارغة إذا لم تُعرف أي نية (سؤال عام)؛ label بلغة locale
+export function classifyIntents(text, { minConfidence = MIN_CONFIDENCE, locale } = {}) {
+  const messageForms = splitWords(text).map(wordForms);
+
+  return INTENTS
+    .map(intent => {
+      const matches = intent.keywords.filter(k => containsKeyword(messageForms, k.words));
+      const score = matches.reduce((sum, k) => sum + k.weight, 0);
+      return {
+        intent: intent.key,
+        label: translate(locale, `intents.${intent.key}.label`),
+        confidence: Math.round((1 - Math.exp(-1.2 * score)) * 100) / 100,
+        matches: matches.map(k => k.keyword),
+      };
+    })
+    .filter(result => result.confidence >= minConfidence)
+    .sort((a, b) => b.confidence - a.confidence);
+}
+
+// ⬇️ نصائح الرد الاحتياطي لنية معيّنة
+export function intentTips(intentKey, locale) {
+  return translate(locale, `intents.${intentKey}.tips`);
+}
@@ -0,0 +1,127 @@
+// 📄 معاملات القوائم الموحّدة (المشاريع، التصميمات...):
+// page و limit للترقيم، sort مثل "-created_at,project_title" (- للتنازلي)، fields لاختيار الأعمدة،
+// وفلاتر خاصة بكل قائمة تُعرَّف في spec.filters
+export const DEFAULT_PAGE_SIZE = 20;
+export const MAX_PAGE_SIZE = 100;
+
+// ⬇️ خطأ معامل غير صالح (400 مع اسم المعامل)
+export function invalidParam(param) {
+  const error = new Error(`Invalid query parameter: ${param}`);
+  error.status = 400;
+  error.code = "INVALID_QUERY_PARAM";
+  error.params = { param };
+  return error;
+}
+
+function positiveInteger(value, param, { fallback, max = Infinity }) {
+  if (value === undefined || value === "") return fallback;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1 || number > max) throw invalidParam(param);
+  return number;
+}
+
+function columnList(value, columns, param) {
+  const names = String(value).split(",").map(name => name.trim()).filter(Boolean);
+  if (names.length === 0 || names.some(name => !columns.includes(name.replace(/^[-+]/, "")))) {
+    throw invalidParam(param);
+  }
+  return names;
+}
+
+// ⬇️ page و limit فقط (للقوائم ذات الترتيب الثابت مثل نتائج البحث)
+export function parsePagination(query) {
+  return {
+    page: positiveInteger(query.page, "page", { fallback: 1 }),
+    limit: positiveInteger(query.limit, "limit", { fallback: DEFAULT_PAGE_SIZE, max: MAX_PAGE_SIZE }),
+  };
+}
+
+// ⬇️ معلومات الترقيم في رد القائمة
+export function paginationInfo({ page, limit }, total) {
+  return { page, limit, total, totalPages: Math.ceil(total / limit) };
+}
+
+// ⬇️ تحويل req.query إلى أجزاء SQL حسب وصف القائمة:
+// spec: { columns, defaultSort, filters: { name: value => ({ where, params }) | null } }
+export function parseListQuery(query, spec) {
+  const { page, limit } = parsePagination(query);
+
+  const sort = columnList(query.sort || spec.defaultSort, spec.columns, "sort").map(name => ({
+    column: name.replace(/^[-+]/, ""),
+    direction: name.startsWith("-") ? "DESC" : "ASC",
+  }));
+  // id في النهاية حتى يكون الترتيب ثابتاً بين الصفحات
+  if (!sort.some(s => s.column === "id")) sort.push({ column: "id", direction: sort[0].direction });
+
+  const conditions = [];
+  const params = [];
+  for (const [name, filter] of Object.entries(spec.filters || {})) {
+    const value = query[name];
+    if (value === undefined || value === "") continue;
+    const condition = filter(String(value));
+    if (!condition) throw invalidParam(name);
+    conditions.push(condition.where);
+    params.push(...condition.params);
+  }
+
+  return {
+    page,
+    limit,
+    fields: query.fields ? columnList(query.fields, spec.columns, "fields") : spec.columns,
+    orderBy: sort.map(s => `${s.column} ${s.direction}`).join(", "),
+    conditions,
+    params,
+  };
+}
+
+// ⬇️ تنفيذ القائمة ضمن نطاق الوصول (scope من ownerScope أو شرط مماثل) مع العدد الكلي
+export async function runListQuery(db, table, list, scope) {
+  const where = [scope.where, ...list.conditions].map(condition => `(${condition})`).join(" AND ");
+  const params = [...scope.params, ...list.params];
+
+  const { total } = await db.get(`SELECT COUNT(*) AS total FROM ${table} WHERE ${where}`, params);
+  const rows = await db.all(
+    `SELECT ${list.fields.join(", ")} FROM ${table} WHERE ${where} ORDER BY ${list.orderBy} LIMIT ? OFFSET ?`,
+    [...params, list.limit, (list.page - 1) * list.limit]
+  );
+
+  return { rows, pagination: paginationInfo(list, total) };
+}
+
+// ⬇️ created_at يُخزَّن بصيغة SQLite ("2025-01-31 09:00:00" بتوقيت UTC)
+function sqliteTimestamp(date) {
+  return date.toISOString().replace("T", " ").slice(0, 19);
+}
+
+// 🧩 فلاتر جاهزة للاستعمال في spec.filters (تعيد null للقيمة غير الصالحة)
+export const listFilters = {
+  equals: column => value => ({ where: `${column} = ?`, params: [value] }),
+
+  integer: column => value => (/^\d+$/.test(value) ? { where: `${column} = ?`, params: [Number(value)] } : null),
+
+  contains: column => value => ({ where: `${column} LIKE ? ESCAPE '\\'`, params: [`%${value.replace(/[\\%_]/g, "\\$&")}%`] }),
+
+  // from: من بداية التاريخ المعطى
+  from: column => value => {
+    const date = new Date(value);
+    return isNaN(date) ? null : { where: `${column} >= ?`, params: [sqliteTimestamp(date)] };
+  },
+
+  // to: تاريخ بدون وقت ("2025-01-31") يشمل اليوم كله
+  to: column => value => {
+    const date = new Date(value);
+    if (isNaN(date)) return null;
+    if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+      date.setUTCDate(date.getUTCDate() + 1);
+      return { where: `${column} < ?`, params: [sqliteTimestamp(date)] };
+    }
+    return { where: `${column} <= ?`, params: [sqliteTimestamp(date)] };
+  },
+
+  // hasLogo=true / false: هل يوجد ملف مخزّن في العمود
+  present: column => value => {
+    if (value === "true") return { where: `${column} IS NOT NULL AND ${column} != ''`, params: [] };
+    if (value === "false") return { where: `${column} IS NULL OR ${column} = ''`, params: [] };
+    return null;
+  },
+};
@@ -0,0 +1,140 @@
+import crypto from "crypto";
+import { openDb } from "../../database.js";
+import { normalizeText } from "../textNormalization.js";
+import { AI_CACHE } from "../../config/llm.js";
+import { getPromptTemplate } from "../../config/prompts/index.js";
+
+// ⬇️ الطلبات الجارية حسب المفتاح: الطلبات المتطابقة المتزامنة (مثل النقر المزدوج) تنتظر نفس الرد
+const inFlight = new Map();
+
+// 📈 إحصائيات منذ تشغيل الخادم (تظهر في /api/health)
+const stats = { hits: 0, misses: 0, deduplicated: 0 };
+
+// ⬇️ مفتاح الكاش: الميزة + الموفّر + النموذج + نسخ القوالب (ref) + نص الـ prompt بعد التوحيد
+// التوحيد (التشكيل، أشكال الألف، حالة الأحرف، المسافات) يجعل "مطعم" و " مطعمٌ " نفس الطلب
+export function cacheKey({ feature, provider, model, ref, prompt }) {
+  const normalized = normalizeText(prompt).replace(/\s+/g, " ").trim();
+  return crypto
+    .createHash("sha256")
+    .update(JSON.stringify([feature, provider, model, ref || "", normalized]))
+    .digest("hex");
+}
+
+// ⬇️ القالب الأساسي من المرجع ("design.suggestions@v1/ar" → { id, version })
+function templateOf(ref) {
+  const match = /^([\w.]+)@v(\d+)/.exec(ref || "");
+  return match ? { id: match[1], version: Number(match[2]) } : { id: null, version: null };
+}
+
+async function readEntry(key) {
+  const db = await openDb();
+  const now = new Date().toISOString();
+  const row = await db.get("SELECT response, expires_at FROM ai_cache WHERE key = ?", [key]);
+  if (!row) return null;
+  if (row.expires_at <= now) {
+    await db.run("DELETE FROM ai_cache WHERE key = ?", [key]);
+    return null;
+  }
+  await db.run("UPDATE ai_cache SET hits = hits + 1, last_used_at = ? WHERE key = ?", [now, key]);
+  return row.response;
+}
+
+// ⬇️ حفظ رد ثم حذف المنتهي وما يزيد عن الحد (الأقل استعمالاً أولاً)
+async function writeEntry(key, { feature, ref, response, ttl }) {
+  const db = await openDb();
+  const now = new Date();
+  const { id, version } = templateOf(ref);
+  await db.run(
+    `INSERT OR REPLACE INTO ai_cache
+       (key, feature, prompt_ref, template_id, template_version, response, hits, expires_at, last_used_at, created_at)
+     VALUES (?, ?, ?, ?, ?, ?, 0, ?, ?, ?)`,
+    [key, feature, ref || null, id, version, response, new Date(now.getTime() + ttl * 1000).toISOString(), now.toISOString(), now.toISOString()]
+  );
+
+  await db.run("DELETE FROM ai_cache WHERE expires_at <= ?", [now.toISOString()]);
+  await db.run(
+    `DELETE FROM ai_cache WHERE key IN (
+       SELECT key FROM ai_cache ORDER BY last_used_at DESC LIMIT -1 OFFSET ?
+     )`,
+    [AI_CACHE.maxEntries]
+  );
+}
+
+// 🗄️ رد من الكاش، أو من طلب جارٍ مطابق، أو من generate() ثم يُحفظ إذا قبله isCacheable
+// يعيد { text, source: "cache" | "shared" | "provider" }؛ أخطاء الكاش نفسه لا تُفشل الطلب
+export async function cachedGenerate(key, { feature, ref, ttl, isCacheable = () => true }, generate) {
+  const cached = await readEntry(key).catch(error => {
+    console.error("Error reading AI cache:", error.message);
+    return null;
+  });
+  if (cached !== null) {
+    stats.hits++;
+    return { text: cached, source: "cache" };
+  }
+
+  if (inFlight.has(key)) {
+    stats.deduplicated++;
+    return { text: await inFlight.get(key), source: "shared" };
+  }
+
+  stats.misses++;
+  const pending = (async () => {
+    const text = await generate();
+    if (isCacheable(text)) {
+      await writeEntry(key, { feature, ref, response: text, ttl }).catch(error =>
+        console.error("Error writing AI cache:", error.message)
+      );
+    }
+    return text;
+  })().finally(() => inFlight.delete(key));
+
+  inFlight.set(key, pending);
+  return { text: await pending, source: "provider" };
+}
+
+// 🧹 حذف ردود قالب معيّن (أو نسخة منه)، أو كل الكاش بدون معايير؛ يعيد عدد الردود المحذوفة
+export async function invalidateCache({ templateId, version } = {}) {
+  const db = await openDb();
+  const conditions = [];
+  const params = [];
+  if (templateId) {
+    conditions.push("template_id = ?");
+    params.push(templateId);
+  }
+  if (version) {
+    conditions.push("template_version = ?");
+    params.push(version);
+  }
+  const where = conditions.length ? `WHERE ${conditions.join(" AND ")}` : "";
+  const result = await db.run(`DELETE FROM ai_cache ${where}`, params);
+  return result.changes;
+}
+
+// ⬇️ عند التشغيل: حذف ردود نسخ القوالب التي لم تعد مستعملة (بعد إضافة نسخة أو تثبيت أخرى)
+export async function purgeStaleCacheEntries() {
+  const db = await openDb();
+  const templates = await db.all(
+    "SELECT DISTINCT template_id, template_version FROM ai_cache WHERE template_id IS NOT NULL"
+  );
+  let removed = 0;
+  for (const { template_id: id, template_version: version } of templates) {
+    if (getPromptTemplate(id)?.version !== version) {
+      removed += await invalidateCache({ templateId: id, version });
+    }
+  }
+  return removed;
+}
+
+// ⬇️ عدد الردود المحفوظة ونسبة الإصابة منذ التشغيل (الطلبات المشتركة تُحسب إصابة)
+export async function getCacheStats() {
+  const db = await openDb();
+  const { entries } = await db.get("SELECT COUNT(*) AS entries FROM ai_cache");
+  const served = stats.hits + stats.deduplicated;
+  const total = served + stats.misses;
+  return {
+    entries,
+    maxEntries: AI_CACHE.maxEntries,
+    ...stats,
+    hitRate: total ? Math.round((served / total) * 1000) / 1000 : null,
+  };
+}
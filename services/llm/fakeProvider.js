@@ -0,0 +1,45 @@
+import crypto from "crypto";
+
+// ⬇️ أصغر قيمة مطابقة للمخطط (لطلبات JSON)
+function sampleFromSchema(schema, text) {
+  if (schema.enum) return schema.enum[0];
+  switch (schema.type) {
+    case "object":
+      return Object.fromEntries(
+        Object.entries(schema.properties || {}).map(([key, value]) => [key, sampleFromSchema(value, text)])
+      );
+    case "array":
+      return Array.from({ length: Math.max(schema.minItems || 0, 1) }, () => sampleFromSchema(schema.items || {}, text));
+    case "number":
+    case "integer":
+      return schema.minimum ?? 0;
+    case "boolean":
+      return false;
+    default:
+      return text;
+  }
+}
+
+// 🧪 موفّر تجريبي محلي: نفس الطلب يعطي دائماً نفس الرد، بدون شبكة
+export function createFakeProvider() {
+  const respond = ({ prompt, model, feature, schema }) => {
+    const digest = crypto.createHash("sha256").update(prompt).digest("hex").slice(0, 8);
+    const text = `🤖 [${model}:${feature || "general"}:${digest}] رد تجريبي من الموفّر المحلي.`;
+    return schema ? JSON.stringify(sampleFromSchema(schema, text)) : text;
+  };
+
+  return {
+    name: "fake",
+
+    async generate(request) {
+      return respond(request);
+    },
+
+    // ⬇️ نفس الرد مقسّماً إلى كلمات
+    async *stream(request) {
+      for (const piece of respond(request).split(/(?<= )/)) {
+        yield piece;
+      }
+    },
+  };
+}
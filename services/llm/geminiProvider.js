@@ -0,0 +1,34 @@
+import { GoogleGenerativeAI } from "@google/generative-ai";
+
+// ♊ موفّر Gemini عبر @google/generative-ai
+export function createGeminiProvider({ apiKey }) {
+  const genAI = new GoogleGenerativeAI(apiKey || "");
+
+  const getModel = ({ model, temperature, maxOutputTokens, json }) =>
+    genAI.getGenerativeModel({
+      model,
+      generationConfig: {
+        maxOutputTokens,
+        temperature,
+        ...(json ? { responseMimeType: "application/json" } : {}),
+      },
+    });
+
+  return {
+    name: "gemini",
+
+    async generate(request) {
+      const result = await getModel(request).generateContent(request.prompt);
+      const response = await result.response;
+      return response.text();
+    },
+
+    async *stream(request) {
+      const result = await getModel(request).generateContentStream(request.prompt);
+      for await (const chunk of result.stream) {
+        const text = chunk.text();
+        if (text) yield text;
+      }
+    },
+  };
+}
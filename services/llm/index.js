@@ -0,0 +1,154 @@
+import { LLM_PROVIDER, PROVIDER_SETTINGS, FEATURE_SETTINGS } from "../../config/llm.js";
+import { createGeminiProvider } from "./geminiProvider.js";
+import { createOpenAiCompatibleProvider } from "./openAiCompatibleProvider.js";
+import { createFakeProvider } from "./fakeProvider.js";
+import { recordAiUsage, finishAiUsage } from "../aiUsageService.js";
+import { cacheKey, cachedGenerate } from "./cache.js";
+
+const providerFactories = {
+  gemini: () => createGeminiProvider(PROVIDER_SETTINGS.gemini),
+  groq: () => createOpenAiCompatibleProvider({ name: "groq", ...PROVIDER_SETTINGS.groq }),
+  openai: () => createOpenAiCompatibleProvider({ name: "openai", ...PROVIDER_SETTINGS.openai }),
+  fake: () => createFakeProvider(),
+};
+
+const providers = {};
+
+// ⬇️ جلب الموفّر حسب الاسم (يُنشأ مرة واحدة فقط)
+export function getProvider(name = LLM_PROVIDER) {
+  if (!providerFactories[name]) {
+    throw new Error(`Unknown LLM provider: ${name}`);
+  }
+  if (!providers[name]) providers[name] = providerFactories[name]();
+  return providers[name];
+}
+
+// 🧪 استبدال موفّر (مفيد للاختبارات أو لموفّر مخصص)
+export function registerProvider(name, factory) {
+  providerFactories[name] = factory;
+  delete providers[name];
+}
+
+// ⬇️ تقدير تقريبي لعدد التوكنات (حوالي 4 أحرف لكل توكن)
+export function estimateTokens(text) {
+  return Math.ceil(String(text || "").length / 4);
+}
+
+// ⬇️ تسجيل الاستهلاك دون تأخير الرد (فشل التسجيل لا يُفشل طلب AI)
+function trackUsage(usage) {
+  recordAiUsage(usage).catch(error => console.error("Error recording AI usage:", error.message));
+}
+
+// ⬇️ تسجيل المحاولة قبل إرسالها إلى الموفّر (pending) حتى تُحتسب في الحصة مهما كانت نتيجتها؛ يعيد رقم السجل أو null
+async function startUsage(usage) {
+  try {
+    return await recordAiUsage({ ...usage, status: "pending" });
+  } catch (error) {
+    console.error("Error recording AI usage:", error.message);
+    return null;
+  }
+}
+
+// ⬇️ إكمال سجل المحاولة بنتيجتها (دون تأخير الرد)
+function finishUsage(id, result) {
+  if (id === null) return;
+  finishAiUsage(id, result).catch(error => console.error("Error recording AI usage:", error.message));
+}
+
+// ⬇️ إعدادات الميزة مع النموذج الافتراضي للموفّر
+export function resolveFeatureSettings(feature) {
+  const settings = FEATURE_SETTINGS[feature];
+  if (!settings) throw new Error(`Unknown AI feature: ${feature}`);
+  const providerDefaults = PROVIDER_SETTINGS[settings.provider] || {};
+  return { ...settings, model: settings.model || providerDefaults.defaultModel };
+}
+
+// ⬇️ طلب الموفّر مع retry عند تجاوز الحد (429)؛ كل محاولة تُسجَّل في ai_usage عند إرسالها باسم المستخدم الحالي (انظر runWithAiUser)
+async function requestProvider(feature, settings, prompt, { maxRetries = 3, onToken, onStatus, schema } = {}) {
+  const { text: promptText, ref: promptRef } = prompt;
+  const provider = getProvider(settings.provider);
+  const request = {
+    prompt: promptText,
+    feature,
+    model: settings.model,
+    temperature: settings.temperature,
+    maxOutputTokens: settings.maxOutputTokens,
+    json: Boolean(schema),
+    schema,
+  };
+  const usage = { feature, provider: provider.name, model: settings.model, prompt, promptTokens: estimateTokens(promptText) };
+  let lastError;
+
+  for (let attempt = 1; attempt <= maxRetries; attempt++) {
+    let streamedAny = false;
+    let streamed = "";
+    const usageId = await startUsage(usage);
+    try {
+      console.log(`🔄 محاولة ${attempt} للطلب AI (${provider.name}/${settings.model} - ${feature}${promptRef ? ` - ${promptRef}` : ""})...`);
+      onStatus?.({ type: "attempt", attempt, maxRetries });
+
+      let text;
+      if (onToken) {
+        for await (const chunk of provider.stream(request)) {
+          streamedAny = true;
+          streamed += chunk;
+          onToken(chunk);
+        }
+        text = streamed;
+      } else {
+        text = await provider.generate(request);
+      }
+
+      console.log(`✅ تم استلام الرد من AI بنجاح${promptRef ? ` (${promptRef})` : ""}`);
+      finishUsage(usageId, { status: "ok", outputTokens: estimateTokens(text) });
+      return text;
+
+    } catch (error) {
+      lastError = error;
+      console.error(`❌ فشل المحاولة ${attempt}:`, error.message);
+      finishUsage(usageId, { status: "error", outputTokens: estimateTokens(streamed) });
+
+      // لا نعيد المحاولة بعد إرسال جزء من الرد حتى لا يتكرر النص
+      if (error.status === 429 && !streamedAny && attempt < maxRetries) {
+        // إذا كان الخطأ 429، ننتظر وقتاً أطول بين المحاولات
+        const waitTime = attempt * 2000; // 2, 4, 6 ثواني
+        console.log(`⏳ انتظر ${waitTime}ms قبل المحاولة التالية...`);
+        onStatus?.({ type: "retry", attempt, waitMs: waitTime, reason: "rate_limited" });
+        await new Promise(resolve => setTimeout(resolve, waitTime));
+      } else {
+        // لأخطاء أخرى، نكسر الحلقة
+        break;
+      }
+    }
+  }
+
+  throw lastError;
+}
+
+// ⬇️ توليد نص لميزة معيّنة
+// onToken: عند تمريره يُستعمل البث (stream) ويُستدعى مع كل جزء من النص
+// onStatus: يُستدعى بأحداث الحالة مثل انتظار إعادة المحاولة
+// schema: يطلب من الموفّر رداً بصيغة JSON (انظر generateStructured في structured.js)
+// prompt: نص، أو قالب معبأ من renderPrompt ({ text, ref, id, version }) فيُسجَّل مرجع نسخته مع كل طلب في ai_usage
+// الميزات ذات cacheTtl تمر عبر الكاش (انظر cache.js)؛ isCacheable يرفض حفظ رد غير صالح
+export async function generateText(feature, prompt, { isCacheable, ...options } = {}) {
+  const settings = resolveFeatureSettings(feature);
+  const rendered = typeof prompt === "string" ? { text: prompt } : prompt;
+  const { text: promptText, ref: promptRef } = rendered;
+  if (!settings.cacheTtl) return requestProvider(feature, settings, rendered, options);
+
+  const key = cacheKey({ feature, provider: settings.provider, model: settings.model, ref: promptRef, prompt: promptText });
+  const { text, source } = await cachedGenerate(
+    key,
+    { feature, ref: promptRef, ttl: settings.cacheTtl, isCacheable },
+    () => requestProvider(feature, settings, rendered, options)
+  );
+
+  // الرد من الكاش أو من طلب مشترك: لا استهلاك للموفّر، ويُرسل للبث دفعة واحدة
+  if (source !== "provider") {
+    console.log(`♻️ رد AI من الكاش (${feature}${promptRef ? ` - ${promptRef}` : ""})`);
+    trackUsage({ feature, provider: settings.provider, model: settings.model, prompt: rendered, status: "cached" });
+    options.onToken?.(text);
+  }
+  return text;
+}
@@ -0,0 +1,59 @@
+// 🔁 موفّر متوافق مع OpenAI (Groq، OpenAI، أو أي خادم بنفس الواجهة)
+export function createOpenAiCompatibleProvider({ name, apiKey, baseUrl }) {
+  const request = async ({ prompt, model, temperature, maxOutputTokens, json }, stream) => {
+    const resp = await fetch(`${baseUrl}/chat/completions`, {
+      method: "POST",
+      headers: {
+        "Authorization": `Bearer ${apiKey}`,
+        "Content-Type": "application/json"
+      },
+      body: JSON.stringify({
+        model,
+        temperature,
+        max_tokens: maxOutputTokens,
+        stream,
+        ...(json ? { response_format: { type: "json_object" } } : {}),
+        messages: [{ role: "user", content: prompt }]
+      })
+    });
+
+    if (!resp.ok) {
+      const error = new Error(`${name} request failed with status ${resp.status}`);
+      error.status = resp.status;
+      throw error;
+    }
+    return resp;
+  };
+
+  return {
+    name,
+
+    async generate(options) {
+      const resp = await request(options, false);
+      const data = await resp.json();
+      const text = data.choices?.[0]?.message?.content;
+      if (!text) throw new Error(`${name} returned an empty response`);
+      return text;
+    },
+
+    // ⬇️ قراءة رد SSE سطراً بسطر ("data: {...}" ثم "data: [DONE]")
+    async *stream(options) {
+      const resp = await request(options, true);
+      const decoder = new TextDecoder();
+      let buffer = "";
+
+      for await (const chunk of resp.body) {
+        buffer += decoder.decode(chunk, { stream: true });
+        const lines = buffer.split("\n");
+        buffer = lines.pop();
+
+        for (const line of lines) {
+          const data = line.trim().replace(/^data:\s*/, "");
+          if (!line.trim().startsWith("data:") || data === "[DONE]") continue;
+          const text = JSON.parse(data).choices?.[0]?.delta?.content;
+          if (text) yield text;
+        }
+      }
+    },
+  };
+}
@@ -0,0 +1,102 @@
+import Ajv from "ajv";
+import { generateText } from "./index.js";
+import { renderPrompt } from "../../config/prompts/index.js";
+
+const ajv = new Ajv({ allErrors: true });
+
+// ⬇️ المخططات تُبنى من جديد في كل طلب (حسب القسم أو الأقسام المجابة)، و Ajv يحتفظ بكل كائن مخطط يُمرَّر له
+// لذا تُحفظ الدوال المترجمة حسب محتوى المخطط، مع حد أقصى (الأقدم استعمالاً يُحذف من Ajv أيضاً)
+const MAX_COMPILED_SCHEMAS = 100;
+const compiledSchemas = new Map();
+
+export function compileSchema(schema) {
+  const key = JSON.stringify(schema);
+  let validate = compiledSchemas.get(key);
+  if (validate) {
+    compiledSchemas.delete(key);
+  } else {
+    validate = ajv.compile(schema);
+    if (compiledSchemas.size >= MAX_COMPILED_SCHEMAS) {
+      const [oldestKey, oldest] = compiledSchemas.entries().next().value;
+      compiledSchemas.delete(oldestKey);
+      ajv.removeSchema(oldest.schema);
+    }
+  }
+  compiledSchemas.set(key, validate);
+  return validate;
+}
+
+// ⬇️ خطأ رد غير صالح بعد استنفاد محاولات الإصلاح (code: invalid_json أو schema_mismatch)
+function structuredOutputError(code, message, details) {
+  const error = new Error(message);
+  error.status = 502;
+  error.code = code;
+  error.details = details;
+  return error;
+}
+
+// ⬇️ استخراج كائن JSON من رد النموذج (قد يلفّه داخل ```json ... ``` أو يضيف نصاً حوله)
+function extractJson(text) {
+  const unfenced = String(text).replace(/```(?:json)?/gi, "").trim();
+  const start = unfenced.indexOf("{");
+  const end = unfenced.lastIndexOf("}");
+  return start === -1 || end < start ? unfenced : unfenced.slice(start, end + 1);
+}
+
+// ⬇️ تحليل الرد والتحقق منه: { value } عند النجاح أو { code, errors } عند الفشل
+function parseAndValidate(text, validate) {
+  let value;
+  try {
+    value = JSON.parse(extractJson(text));
+  } catch (error) {
+    return { code: "invalid_json", errors: [error.message] };
+  }
+
+  if (!validate(value)) {
+    return {
+      code: "schema_mismatch",
+      errors: validate.errors.map(e => `${e.instancePath || "/"} ${e.message}${e.params?.allowedValues ? `: ${e.params.allowedValues.join(", ")}` : ""}`),
+    };
+  }
+  return { value };
+}
+
+// 🧱 طلب رد JSON مطابق لمخطط (JSON Schema) مع محاولات إصلاح عند الفشل
+// الرد المنظم لا يُبث كلمة بكلمة (JSON ناقص لا يفيد الواجهة)، لكن onStatus يصل بأحداث المحاولات والإصلاح
+// prompt: قالب معبأ من renderPrompt (تُضاف إليه تعليمات JSON والإصلاح بنفس اللغة)
+export async function generateStructured(feature, prompt, schema, { maxRepairs = 2, onStatus } = {}) {
+  const validate = compileSchema(schema);
+  const instruction = renderPrompt("system.jsonInstruction", { schema: JSON.stringify(schema) }, { locale: prompt.locale });
+  // id و version للقالب الأساسي (تُسجَّل في ai_usage حتى مع تعليمات JSON والإصلاح)
+  const basePrompt = { id: prompt.id, version: prompt.version, ref: prompt.ref, text: prompt.text + instruction.text };
+
+  let currentPrompt = basePrompt;
+  let failure;
+
+  for (let repair = 0; repair <= maxRepairs; repair++) {
+    const text = await generateText(feature, currentPrompt, {
+      onStatus,
+      schema,
+      isCacheable: output => parseAndValidate(output, validate).value !== undefined,
+    });
+    const result = parseAndValidate(text, validate);
+    if (result.value !== undefined) return result.value;
+
+    failure = result;
+    console.error(`❌ رد AI غير صالح (${feature} - ${result.code}):`, result.errors.join(" | "));
+    if (repair < maxRepairs) {
+      onStatus?.({ type: "repair", attempt: repair + 1, maxRepairs, reason: result.code });
+      const repairPrompt = renderPrompt("system.jsonRepair", {
+        previousOutput: text,
+        errors: result.errors.map(e => `- ${e}`).join("\n"),
+      }, { locale: prompt.locale });
+      currentPrompt = { ...basePrompt, ref: `${prompt.ref} + ${repairPrompt.ref}`, text: basePrompt.text + repairPrompt.text };
+    }
+  }
+
+  throw structuredOutputError(
+    failure.code,
+    `AI response for ${feature} did not match the expected schema after ${maxRepairs + 1} attempts`,
+    failure.errors
+  );
+}
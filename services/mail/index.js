@@ -0,0 +1,26 @@
+import { MAIL_DRIVER, MAIL_FROM, MAIL_SETTINGS } from "../../config/mail.js";
+import { createOutboxMailer } from "./outboxMailer.js";
+import { createSmtpMailer } from "./smtpMailer.js";
+
+const mailerFactories = {
+  outbox: () => createOutboxMailer(MAIL_SETTINGS.outbox),
+  smtp: () => createSmtpMailer(MAIL_SETTINGS.smtp),
+};
+
+let mailer;
+
+// ⬇️ جلب مشغّل البريد المُعدّ (يُنشأ مرة واحدة فقط)
+export function getMailer() {
+  if (!mailer) {
+    if (!mailerFactories[MAIL_DRIVER]) {
+      throw new Error(`Unknown mail driver: ${MAIL_DRIVER}`);
+    }
+    mailer = mailerFactories[MAIL_DRIVER]();
+  }
+  return mailer;
+}
+
+// ⬇️ إرسال رسالة بريد (to, subject, text, html)
+export async function sendMail(message) {
+  await getMailer().send({ from: MAIL_FROM, ...message });
+}
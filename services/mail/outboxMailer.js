@@ -0,0 +1,17 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+
+// 📥 بريد محلي: كل رسالة تُحفظ كملف JSON في مجلد outbox بدل إرسالها
+export function createOutboxMailer({ dir }) {
+  return {
+    name: "outbox",
+
+    async send(message) {
+      await fs.promises.mkdir(dir, { recursive: true });
+      const file = path.join(dir, `${Date.now()}_${crypto.randomUUID()}.json`);
+      await fs.promises.writeFile(file, JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2));
+      console.log(`📥 تم حفظ رسالة إلى ${message.to} في ${file}`);
+    },
+  };
+}
@@ -0,0 +1,15 @@
+import nodemailer from "nodemailer";
+
+// 📤 إرسال البريد عبر خادم SMTP
+export function createSmtpMailer(settings) {
+  if (!settings.host) throw new Error("SMTP_HOST is required for the smtp mail driver");
+  const transporter = nodemailer.createTransport(settings);
+
+  return {
+    name: "smtp",
+
+    async send(message) {
+      await transporter.sendMail(message);
+    },
+  };
+}
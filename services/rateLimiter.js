@@ -0,0 +1,50 @@
+import { apiError } from "./i18n.js";
+
+// ⬇️ إرسال رد 429 موحّد مع وقت إعادة المحاولة (Retry-After) ووقت التجدد (resetAt)
+export function sendTooManyRequests(req, res, { code = "RATE_LIMITED", resetAt, params = {}, details = {} }) {
+  const retryAfter = Math.max(1, Math.ceil((resetAt.getTime() - Date.now()) / 1000));
+  res.setHeader("Retry-After", retryAfter);
+  res.status(429).json({
+    ...apiError(req, code, { params: { seconds: retryAfter, ...params } }),
+    retryAfter,
+    resetAt: resetAt.toISOString(),
+    ...details,
+  });
+}
+
+// 🚦 محدد معدل بنافذة ثابتة في الذاكرة (لكل مفتاح: عنوان IP أو رقم المستخدم)
+// ملاحظة: العدادات محلية لكل عملية، فعند تشغيل عدة نسخ من الخادم يتضاعف الحد الفعلي
+export function createRateLimiter({ windowMs, max, keyOf = req => req.ip }) {
+  const hits = new Map();
+  let nextSweep = Date.now() + windowMs;
+
+  return (req, res, next) => {
+    if (!max) return next();
+
+    const now = Date.now();
+    // تنظيف النوافذ المنتهية مرة في كل نافذة حتى لا تكبر الذاكرة
+    if (now >= nextSweep) {
+      for (const [key, entry] of hits) {
+        if (entry.resetAt <= now) hits.delete(key);
+      }
+      nextSweep = now + windowMs;
+    }
+
+    const key = String(keyOf(req));
+    let entry = hits.get(key);
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs };
+      hits.set(key, entry);
+    }
+    entry.count++;
+
+    res.setHeader("RateLimit-Limit", max);
+    res.setHeader("RateLimit-Remaining", Math.max(0, max - entry.count));
+    res.setHeader("RateLimit-Reset", Math.ceil((entry.resetAt - now) / 1000));
+
+    if (entry.count > max) {
+      return sendTooManyRequests(req, res, { resetAt: new Date(entry.resetAt) });
+    }
+    next();
+  };
+}
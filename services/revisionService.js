@@ -0,0 +1,160 @@
+import { openDb } from "../database.js";
+
+// 🕓 سجل النسخ للتصميمات ونماذج BMC (جدول revisions من migration 005)
+// كل حفظ يضيف نسخة كاملة (snapshot) برقم متسلسل، والاسترجاع يضيف نسخة جديدة ولا يحذف ما بعدها
+export const REVISION_LABEL_MAX_LENGTH = 100;
+
+// ⬇️ خطأ نسخة غير موجودة (404)
+function revisionNotFound(revision) {
+  const error = new Error(`Revision not found: ${revision}`);
+  error.status = 404;
+  error.code = "REVISION_NOT_FOUND";
+  error.params = { revision };
+  return error;
+}
+
+// ⬇️ الحقول التي تُقارن بين نسختين:
+// التصميم: designType وكل مفتاح في design_data (إذا كان JSON)، ونموذج BMC: كل قسم (الإجابة والحالة)
+const SNAPSHOT_FIELDS = {
+  design: snapshot => {
+    const fields = { designType: snapshot.designType };
+    let data = snapshot.designData;
+    try {
+      data = JSON.parse(snapshot.designData);
+    } catch {
+      // نص عادي
+    }
+    if (data && typeof data === "object" && !Array.isArray(data)) {
+      for (const [key, value] of Object.entries(data)) fields[`designData.${key}`] = value;
+    } else {
+      fields.designData = snapshot.designData;
+    }
+    return fields;
+  },
+
+  bmc: snapshot =>
+    Object.fromEntries(
+      Object.entries(snapshot.sections || {}).map(([section, { answer, status }]) => [section, { answer, status }])
+    ),
+};
+
+// ⬇️ الفروق بين نسختين لكل حقل/قسم: added / removed / modified
+function diffSnapshots(docType, before, after) {
+  const beforeFields = SNAPSHOT_FIELDS[docType](before);
+  const afterFields = SNAPSHOT_FIELDS[docType](after);
+  const changes = [];
+
+  for (const field of new Set([...Object.keys(beforeFields), ...Object.keys(afterFields)])) {
+    const inBefore = field in beforeFields;
+    const inAfter = field in afterFields;
+    if (inBefore && inAfter && JSON.stringify(beforeFields[field]) === JSON.stringify(afterFields[field])) continue;
+    changes.push({
+      field,
+      change: !inBefore ? "added" : !inAfter ? "removed" : "modified",
+      before: inBefore ? beforeFields[field] : null,
+      after: inAfter ? afterFields[field] : null,
+    });
+  }
+  return changes;
+}
+
+function describeRevision(row) {
+  return {
+    revision: row.revision,
+    label: row.label,
+    labeledAt: row.labeled_at,
+    source: row.source,
+    restoredFrom: row.restored_from,
+    createdAt: row.created_at,
+  };
+}
+
+// ⬇️ إضافة نسخة جديدة إذا تغيّر المستند عن آخر نسخة؛ يعيد رقم النسخة الحالية
+// source: save / answer / skip / clear / restore ...، و restoredFrom رقم النسخة المسترجعة
+// المقارنة بآخر نسخة وحساب الرقم التالي والإضافة في جملة واحدة: حفظان متزامنان على الاتصال المشترك
+// لا يأخذان نفس الرقم ولا يضيفان نفس المحتوى مرتين، وكل حفظ يعيد رقم نسخته هو
+export async function recordRevision(db, docType, docId, snapshot, { source, restoredFrom = null } = {}) {
+  const json = JSON.stringify(snapshot);
+  const inserted = await db.get(
+    `INSERT INTO revisions (doc_type, doc_id, revision, snapshot, source, restored_from)
+     SELECT ?, ?, COALESCE(latest.revision, 0) + 1, ?, ?, ?
+     FROM (SELECT MAX(revision) AS revision FROM revisions WHERE doc_type = ? AND doc_id = ?) AS latest
+     WHERE ? IS NOT NULL
+        OR latest.revision IS NULL
+        OR (SELECT snapshot FROM revisions WHERE doc_type = ? AND doc_id = ? AND revision = latest.revision) != ?
+     RETURNING revision`,
+    [docType, docId, json, source || null, restoredFrom, docType, docId, restoredFrom, docType, docId, json]
+  );
+  if (inserted) return inserted.revision;
+
+  // بدون تغيير: آخر نسخة تحمل نفس المحتوى
+  const { revision } = await db.get(
+    "SELECT MAX(revision) AS revision FROM revisions WHERE doc_type = ? AND doc_id = ?",
+    [docType, docId]
+  );
+  return revision;
+}
+
+// ⬇️ نسخة التصميم الحالية كما هي في جدول designs
+export async function recordDesignRevision(db, designId, options) {
+  const design = await db.get("SELECT design_type, design_data FROM designs WHERE id = ?", [designId]);
+  if (!design) return null;
+  return recordRevision(db, "design", designId, { designType: design.design_type, designData: design.design_data }, options);
+}
+
+// ⬇️ قائمة النسخ (الأحدث أولاً) مع الحقول التي تغيّرت في كل نسخة مقارنة بالتي قبلها
+export async function listRevisions(docType, docId) {
+  const db = await openDb();
+  const rows = await db.all(
+    "SELECT * FROM revisions WHERE doc_type = ? AND doc_id = ? ORDER BY revision",
+    [docType, docId]
+  );
+
+  let previous = null;
+  const revisions = rows.map(row => {
+    const snapshot = JSON.parse(row.snapshot);
+    const changed = previous ? diffSnapshots(docType, previous, snapshot).map(change => change.field) : null;
+    previous = snapshot;
+    return { ...describeRevision(row), changed };
+  });
+  return revisions.reverse();
+}
+
+// ⬇️ نسخة واحدة مع محتواها الكامل (404 إذا لم توجد)
+export async function getRevision(docType, docId, revision) {
+  const db = await openDb();
+  const row = await db.get(
+    "SELECT * FROM revisions WHERE doc_type = ? AND doc_id = ? AND revision = ?",
+    [docType, docId, revision]
+  );
+  if (!row) throw revisionNotFound(revision);
+  return { ...describeRevision(row), snapshot: JSON.parse(row.snapshot) };
+}
+
+// ⬇️ الفروق بين نسختين (to افتراضياً آخر نسخة)
+export async function diffRevisions(docType, docId, from, to) {
+  const db = await openDb();
+  if (to === undefined) {
+    ({ revision: to } = await db.get(
+      "SELECT MAX(revision) AS revision FROM revisions WHERE doc_type = ? AND doc_id = ?",
+      [docType, docId]
+    ));
+    if (to === null) throw revisionNotFound(from);
+  }
+
+  const before = await getRevision(docType, docId, from);
+  const after = await getRevision(docType, docId, to);
+  return { from, to, changes: diffSnapshots(docType, before.snapshot, after.snapshot) };
+}
+
+// ⬇️ تسمية نسخة مهمة ("submitted to jury")، والتسمية الفارغة تحذفها
+export async function labelRevision(docType, docId, revision, label) {
+  const db = await openDb();
+  const result = await db.run(
+    "UPDATE revisions SET label = ?, labeled_at = ? WHERE doc_type = ? AND doc_id = ? AND revision = ?",
+    [label || null, label ? new Date().toISOString() : null, docType, docId, revision]
+  );
+  if (result.changes === 0) throw revisionNotFound(revision);
+  const { snapshot, ...info } = await getRevision(docType, docId, revision);
+  return info;
+}
@@ -0,0 +1,166 @@
+import { openDb } from "../database.js";
+import { tokenize } from "./textNormalization.js";
+import { invalidParam, paginationInfo } from "./listQuery.js";
+
+// 🔎 البحث النصي في المشاريع والتصميمات ونماذج BMC (جدول search_index من migration 004)
+export const SEARCH_TYPES = ["project", "design", "bmc"];
+
+const SNIPPET_WORDS = 30;
+const SNIPPET_WORDS_BEFORE = 8;
+
+// ⬇️ النص المفهرس: كلمات موحّدة ومجذّعة بنفس طريقة استعلام البحث
+function indexedText(text) {
+  return tokenize(text).join(" ");
+}
+
+// ⬇️ كل النصوص داخل design_data (JSON أو نص عادي)
+function designText(designData) {
+  const values = [];
+  const collect = value => {
+    if (typeof value === "string") values.push(value);
+    else if (value && typeof value === "object") Object.values(value).forEach(collect);
+  };
+  try {
+    collect(JSON.parse(designData));
+  } catch {
+    collect(designData);
+  }
+  return values.join("\n");
+}
+
+// ⬇️ تحميل المستند من جدوله الأصلي (null إذا حُذف)
+const LOADERS = {
+  project: async (db, id) => {
+    const row = await db.get("SELECT project_title, description, user_id, created_at FROM projects WHERE id = ?", [id]);
+    return row && { title: row.project_title, body: row.description, ownerId: row.user_id, createdAt: row.created_at };
+  },
+
+  design: async (db, id) => {
+    const row = await db.get("SELECT design_type, design_data, user_id, created_at FROM designs WHERE id = ?", [id]);
+    return row && { title: row.design_type, body: designText(row.design_data), ownerId: row.user_id, createdAt: row.created_at };
+  },
+
+  // الأقسام المتخطّاة ليس لها إجابة (answer = NULL)
+  bmc: async (db, id) => {
+    const row = await db.get(
+      "SELECT project_title, student_name, summary, CAST(student_id AS INTEGER) AS owner_id, created_at FROM bmc_sessions WHERE id = ?",
+      [id]
+    );
+    if (!row) return null;
+    const answers = await db.all(
+      "SELECT answer FROM bmc_answers WHERE session_id = ? AND answer IS NOT NULL ORDER BY id",
+      [id]
+    );
+    return {
+      title: row.project_title || row.student_name,
+      body: [...answers.map(a => a.answer), row.summary].filter(Boolean).join("\n"),
+      ownerId: row.owner_id,
+      createdAt: row.created_at,
+    };
+  },
+};
+
+async function processQueue() {
+  const db = await openDb();
+  const queue = await db.all("SELECT doc_type, doc_id FROM search_queue");
+
+  for (const { doc_type: type, doc_id: id } of queue) {
+    // الحذف من الطابور قبل التحميل: أي تعديل أثناء الفهرسة يعيد إضافة المستند
+    await db.run("DELETE FROM search_queue WHERE doc_type = ? AND doc_id = ?", [type, id]);
+    await db.run("DELETE FROM search_index WHERE doc_type = ? AND doc_id = ?", [type, id]);
+
+    const doc = await LOADERS[type]?.(db, id);
+    if (!doc) continue;
+    await db.run(
+      `INSERT INTO search_index (title, body, raw_title, raw_body, doc_type, doc_id, owner_id, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [indexedText(doc.title), indexedText(doc.body), doc.title || "", doc.body || "", type, id, doc.ownerId, doc.createdAt]
+    );
+  }
+  return queue.length;
+}
+
+let pendingSync = null;
+
+// 🔄 تحديث الفهرس من search_queue (مزامنة واحدة في نفس الوقت)
+export function syncSearchIndex() {
+  pendingSync ||= processQueue().finally(() => {
+    pendingSync = null;
+  });
+  return pendingSync;
+}
+
+function escapeHtml(text) {
+  return text.replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+}
+
+// ⬇️ مقتطف HTML حول أول كلمة مطابقة، والكلمات المطابقة داخل <mark>
+export function buildSnippet(text, terms) {
+  const words = String(text || "").split(/\s+/).filter(Boolean);
+  const matches = words.map(word => tokenize(word).some(token => terms.some(term => token.startsWith(term))));
+
+  const first = matches.indexOf(true);
+  const start = first > SNIPPET_WORDS_BEFORE ? first - SNIPPET_WORDS_BEFORE : 0;
+  const end = Math.min(words.length, start + SNIPPET_WORDS);
+
+  const snippet = words
+    .slice(start, end)
+    .map((word, i) => (matches[start + i] ? `<mark>${escapeHtml(word)}</mark>` : escapeHtml(word)))
+    .join(" ");
+  return `${start > 0 ? "… " : ""}${snippet}${end < words.length ? " …" : ""}`;
+}
+
+// ⬇️ كلمات البحث الموحّدة (بدون تكرار)؛ في استعلام FTS5 كلها مطلوبة مع مطابقة البادئة
+export function parseSearchTerms(q) {
+  return [...new Set(tokenize(q))];
+}
+
+// 🔎 البحث ضمن نطاق الوصول (scope: شرط على owner_id و doc_type)
+// مرتّب حسب bm25 مع وزن أكبر للعنوان؛ score أعلى = أكثر صلة
+export async function searchDocuments({ terms, types, ownerId, scope, page, limit }) {
+  await syncSearchIndex();
+  const db = await openDb();
+
+  const conditions = ["search_index MATCH ?", `(${scope.where})`];
+  const params = [terms.map(term => `"${term}"*`).join(" "), ...scope.params];
+  if (types?.length) {
+    conditions.push(`doc_type IN (${types.map(() => "?").join(", ")})`);
+    params.push(...types);
+  }
+  if (ownerId !== undefined) {
+    conditions.push("owner_id = ?");
+    params.push(ownerId);
+  }
+  const where = conditions.join(" AND ");
+
+  const { total } = await db.get(`SELECT COUNT(*) AS total FROM search_index WHERE ${where}`, params);
+  const rows = await db.all(
+    `SELECT doc_type, doc_id, owner_id, raw_title, raw_body, created_at, bm25(search_index, 5.0, 1.0) AS rank
+     FROM search_index WHERE ${where}
+     ORDER BY rank, doc_id
+     LIMIT ? OFFSET ?`,
+    [...params, limit, (page - 1) * limit]
+  );
+
+  return {
+    results: rows.map(row => ({
+      type: row.doc_type,
+      id: row.doc_id,
+      ownerId: row.owner_id,
+      title: row.raw_title,
+      snippet: buildSnippet(row.raw_body, terms),
+      // بدون تقريب: في الفهارس الصغيرة تكون قيم bm25 قريبة جداً من الصفر
+      score: -row.rank,
+      createdAt: row.created_at,
+    })),
+    pagination: paginationInfo({ page, limit }, total),
+  };
+}
+
+// ⬇️ type=project,bmc → قائمة أنواع صالحة (أو null للكل)
+export function parseSearchTypes(value) {
+  if (value === undefined || value === "") return null;
+  const types = String(value).split(",").map(type => type.trim()).filter(Boolean);
+  if (types.length === 0 || types.some(type => !SEARCH_TYPES.includes(type))) throw invalidParam("type");
+  return types;
+}
@@ -0,0 +1,92 @@
+import crypto from "crypto";
+import { STORAGE_DRIVER, STORAGE_SETTINGS, PROJECT_FILE_RULES } from "../../config/storage.js";
+import { createLocalDriver } from "./localDriver.js";
+import { createS3Driver } from "./s3Driver.js";
+
+const driverFactories = {
+  local: () => createLocalDriver(STORAGE_SETTINGS.local),
+  s3: () => createS3Driver(STORAGE_SETTINGS.s3),
+};
+
+let driver;
+
+// ⬇️ جلب مشغّل التخزين المُعدّ (يُنشأ مرة واحدة فقط)
+export function getStorage() {
+  if (!driver) {
+    if (!driverFactories[STORAGE_DRIVER]) {
+      throw new Error(`Unknown storage driver: ${STORAGE_DRIVER}`);
+    }
+    driver = driverFactories[STORAGE_DRIVER]();
+  }
+  return driver;
+}
+
+const EXTENSIONS = {
+  "image/png": "png",
+  "image/jpeg": "jpg",
+  "image/webp": "webp",
+  "image/svg+xml": "svg",
+  "application/pdf": "pdf",
+};
+
+// 🔍 التحقق من نوع الملف الحقيقي من أول البايتات (وليس فقط من المتصفح)
+function sniffMimeType(buffer) {
+  const head = buffer.subarray(0, 12);
+  if (head.subarray(0, 4).toString("latin1") === "%PDF") return "application/pdf";
+  if (head.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return "image/png";
+  if (head[0] === 0xff && head[1] === 0xd8 && head[2] === 0xff) return "image/jpeg";
+  if (head.subarray(0, 4).toString("latin1") === "RIFF" && head.subarray(8, 12).toString("latin1") === "WEBP") {
+    return "image/webp";
+  }
+  const text = buffer.subarray(0, 512).toString("utf8").trimStart();
+  if (text.startsWith("<svg") || (text.startsWith("<?xml") && text.includes("<svg"))) return "image/svg+xml";
+  return null;
+}
+
+// ⬇️ خطأ 400 مع رمز ثابت (code) ومتغيرات الرسالة (params) لترجمتها في المسارات
+function validationError(code, message, params) {
+  const error = new Error(message);
+  error.status = 400;
+  error.code = code;
+  error.params = params;
+  return error;
+}
+
+// ⬇️ التحقق من ملف مرفوع حسب قواعد الحقل (النوع والحجم)
+export function validateProjectFile(field, file) {
+  const rules = PROJECT_FILE_RULES[field];
+  if (!rules) throw validationError("FILE_FIELD_UNSUPPORTED", `Unsupported file field: ${field}`, { field });
+
+  if (file.size > rules.maxSize) {
+    throw validationError("FILE_TOO_LARGE", `${field} exceeds the maximum size of ${rules.maxSize} bytes`, {
+      field,
+      maxSize: rules.maxSize,
+    });
+  }
+
+  const detected = sniffMimeType(file.buffer);
+  if (!rules.mimeTypes.includes(file.mimetype) || detected !== file.mimetype) {
+    throw validationError("FILE_TYPE_NOT_ALLOWED", `${field} must be one of: ${rules.mimeTypes.join(", ")}`, {
+      field,
+      types: rules.mimeTypes.join(", "),
+    });
+  }
+
+  return detected;
+}
+
+// ⬇️ حفظ ملف مولَّد من الخادم (مثل PDF نموذج BMC) بدون التحقق من المتصفح
+export async function storeGeneratedFile(field, buffer, contentType) {
+  const checksum = crypto.createHash("sha256").update(buffer).digest("hex");
+  const key = `${field}_${crypto.randomUUID()}.${EXTENSIONS[contentType]}`;
+
+  await getStorage().put(key, buffer, { contentType });
+
+  return { key, contentType, checksum, size: buffer.length };
+}
+
+// ⬇️ حفظ ملف مشروع في التخزين وإرجاع بياناته الوصفية لحفظها في جدول projects
+export async function storeProjectFile(field, file) {
+  const contentType = validateProjectFile(field, file);
+  return storeGeneratedFile(field, file.buffer, contentType);
+}
@@ -0,0 +1,37 @@
+import fs from "fs";
+import path from "path";
+
+// 💾 تخزين الملفات على نظام الملفات المحلي
+export function createLocalDriver({ root }) {
+  const resolveKey = key => {
+    const filePath = path.resolve(root, key);
+    if (!filePath.startsWith(path.resolve(root) + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  };
+
+  return {
+    name: "local",
+
+    async put(key, buffer) {
+      await fs.promises.mkdir(path.resolve(root), { recursive: true });
+      await fs.promises.writeFile(resolveKey(key), buffer);
+    },
+
+    async get(key) {
+      const filePath = resolveKey(key);
+      try {
+        const stat = await fs.promises.stat(filePath);
+        return { stream: fs.createReadStream(filePath), size: stat.size };
+      } catch (error) {
+        if (error.code === "ENOENT") return null;
+        throw error;
+      }
+    },
+
+    async delete(key) {
+      await fs.promises.rm(resolveKey(key), { force: true });
+    },
+  };
+}
@@ -0,0 +1,45 @@
+import {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  DeleteObjectCommand,
+} from "@aws-sdk/client-s3";
+
+// ☁️ تخزين الملفات في خدمة متوافقة مع S3 (AWS أو MinIO محلياً)
+export function createS3Driver({ bucket, region, endpoint, forcePathStyle, accessKeyId, secretAccessKey }) {
+  if (!bucket) throw new Error("S3_BUCKET is required for the s3 storage driver");
+
+  const client = new S3Client({
+    region,
+    endpoint,
+    forcePathStyle,
+    credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined,
+  });
+
+  return {
+    name: "s3",
+
+    async put(key, buffer, { contentType } = {}) {
+      await client.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        Body: buffer,
+        ContentType: contentType,
+      }));
+    },
+
+    async get(key) {
+      try {
+        const result = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+        return { stream: result.Body, size: result.ContentLength };
+      } catch (error) {
+        if (error.name === "NoSuchKey" || error.$metadata?.httpStatusCode === 404) return null;
+        throw error;
+      }
+    },
+
+    async delete(key) {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    },
+  };
+}
@@ -0,0 +1,44 @@
+// 🔤 توحيد النص العربي (والفرنسي/الإنجليزي) للمقارنة والبحث
+
+const ARABIC_DIACRITICS = /[\u064B-\u065F\u0670\u0640]/g; // التشكيل + الألف الخنجرية + التطويل
+const LATIN_ACCENTS = /[\u0300-\u036F]/g;
+
+// ⬇️ كلمات شائعة لا تفيد في المقارنة
+const STOP_WORDS = new Set([
+  "في", "من", "الى", "على", "عن", "مع", "هو", "هي", "هذا", "هذه", "ذلك", "التي", "الذي", "او", "ثم", "كل", "بعض", "لا", "ما", "ان", "كان", "عند", "قد",
+  "the", "and", "for", "with", "from", "our", "that", "this", "are", "will",
+  "les", "des", "pour", "avec", "dans", "une", "est", "sur", "par", "nos",
+]);
+
+// ⬇️ إزالة التشكيل وتوحيد أشكال الألف والتاء المربوطة والألف المقصورة، وتوحيد الأحرف اللاتينية
+export function normalizeText(text) {
+  return String(text || "")
+    .normalize("NFKD")
+    .replace(LATIN_ACCENTS, "")
+    .replace(ARABIC_DIACRITICS, "")
+    .replace(/[أإآٱ]/g, "ا")
+    .replace(/ة/g, "ه")
+    .replace(/ى/g, "ي")
+    .replace(/ؤ/g, "و")
+    .replace(/ئ/g, "ي")
+    .toLowerCase();
+}
+
+// ⬇️ جذع تقريبي للكلمة: حذف "ال" والحروف الملتصقة بها، وبعض اللواحق الشائعة
+function stem(word) {
+  if (/^[a-z0-9]+$/.test(word)) {
+    return word.length > 4 ? word.replace(/(es|s)$/, "") : word;
+  }
+  // "ال" المتكررة: "الألواح" تصبح "الالواح" بعد التوحيد، ويجب أن تعطي نفس جذع "ألواح"
+  let result = word.replace(/^(وال|بال|كال|فال|لل|ال)/, "").replace(/^(ال)+/, "");
+  if (result.length > 4) result = result.replace(/(ات|ون|ين|ها|ه)$/, "");
+  return result.length >= 2 ? result : word;
+}
+
+// ⬇️ تقسيم النص إلى كلمات موحّدة (بدون الكلمات الشائعة والقصيرة جداً)
+export function tokenize(text) {
+  return normalizeText(text)
+    .split(/[^\u0621-\u064Aa-z0-9]+/)
+    .filter(word => word.length >= 3 && !STOP_WORDS.has(word))
+    .map(stem);
+}
@@ -0,0 +1,84 @@
+import { openDb } from "../database.js";
+
+// ⬇️ تحويل صف الجلسة + الإجابات إلى كائن الجلسة المستعمل في المسارات
+async function hydrateSession(db, row) {
+  const answers = await db.all(
+    "SELECT question_key, answer FROM uiux_answers WHERE session_id = ? ORDER BY id",
+    [row.id]
+  );
+
+  return {
+    id: row.id,
+    studentId: row.student_id,
+    projectId: row.project_id,
+    progress: row.progress,
+    status: row.status,
+    answers: Object.fromEntries(answers.map(a => [a.question_key, a.answer])),
+    brief: row.brief ? JSON.parse(row.brief) : null,
+    designId: row.design_id,
+    createdAt: row.created_at,
+    lastActivity: row.last_activity,
+  };
+}
+
+// ⬇️ جلب جلسة UI/UX النشطة للطالب
+export async function getActiveUIUXSession(studentId) {
+  const db = await openDb();
+  const row = await db.get(
+    `SELECT * FROM uiux_sessions
+     WHERE student_id = ? AND status = 'active'
+     ORDER BY id DESC LIMIT 1`,
+    [String(studentId)]
+  );
+  if (!row) return null;
+  return hydrateSession(db, row);
+}
+
+// ⬇️ إنشاء جلسة UI/UX جديدة (تُغلق أي جلسة نشطة سابقة لنفس الطالب)
+export async function createUIUXSession(studentId, { projectId } = {}) {
+  const db = await openDb();
+  await db.run(
+    "UPDATE uiux_sessions SET status = 'closed' WHERE student_id = ? AND status = 'active'",
+    [String(studentId)]
+  );
+  const result = await db.run(
+    `INSERT INTO uiux_sessions (student_id, project_id, progress, status, last_activity)
+     VALUES (?, ?, 0, 'active', ?)`,
+    [String(studentId), projectId || null, new Date().toISOString()]
+  );
+
+  const row = await db.get("SELECT * FROM uiux_sessions WHERE id = ?", [result.lastID]);
+  return hydrateSession(db, row);
+}
+
+// ⬇️ جلب الجلسة النشطة أو إنشاء واحدة جديدة
+export async function getOrCreateUIUXSession(studentId, options = {}) {
+  return (await getActiveUIUXSession(studentId)) || createUIUXSession(studentId, options);
+}
+
+// ⬇️ حفظ إجابة سؤال وإرجاع التقدم الجديد
+export async function saveUIUXAnswer(sessionId, { key, question, answer }) {
+  const db = await openDb();
+  await db.run(
+    "INSERT INTO uiux_answers (session_id, question_key, question, answer) VALUES (?, ?, ?, ?)",
+    [sessionId, key, question, answer]
+  );
+  const { count } = await db.get(
+    "SELECT COUNT(*) AS count FROM uiux_answers WHERE session_id = ?",
+    [sessionId]
+  );
+  await db.run(
+    "UPDATE uiux_sessions SET progress = ?, last_activity = ? WHERE id = ?",
+    [count, new Date().toISOString(), sessionId]
+  );
+  return count;
+}
+
+// ⬇️ إنهاء الجلسة بعد حفظ ملخص التصميم في جدول designs
+export async function completeUIUXSession(sessionId, { brief, designId }) {
+  const db = await openDb();
+  await db.run(
+    "UPDATE uiux_sessions SET status = 'complete', brief = ?, design_id = ?, last_activity = ? WHERE id = ?",
+    [JSON.stringify(brief), designId, new Date().toISOString(), sessionId]
+  );
+}
@@ -0,0 +1,187 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startServer, createUser, createAdmin, assignUser } from "./helpers/server.js";
+
+// 🔒 عزل بيانات المستخدمين: المستخدم B لا يصل إلى مشاريع وملفات وتصميمات وجلسات المستخدم A
+// (403 للمسارات المقيّدة بالدور أو بـ :studentId، و 404 لما يُبحث عنه ضمن نطاق المستخدم)
+
+// ⬇️ أصغر ملف PNG يكفي لفحص نوع الملف من محتواه
+const PNG = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0, 0, 0, 0x0d, 0x49, 0x48, 0x44, 0x52]);
+
+describe("cross-user access", () => {
+  let server;
+  let alice;
+  let bob;
+  let mentor;
+  let project;
+  let designId;
+
+  before(async () => {
+    server = await startServer();
+    const admin = await createAdmin(server, "admin");
+    await createUser(server, "alice");
+    await createUser(server, "bob");
+    await createUser(server, "mentor");
+    alice = await assignUser(server, admin, "alice", { cohort: "alpha" });
+    bob = await assignUser(server, admin, "bob", { cohort: "beta" });
+
+    // موجّه دفعة أخرى (beta): لا يرى مشاريع دفعة alpha
+    mentor = await assignUser(server, admin, "mentor", { cohort: "beta", role: "mentor" });
+
+    const form = new FormData();
+    form.append("student_name", "Alice");
+    form.append("project_title", "Solar panels");
+    form.append("logo", new Blob([PNG], { type: "image/png" }), "logo.png");
+    const created = await server.request("POST", "/api/projects", { token: alice.token, form });
+    assert.equal(created.status, 201);
+    project = (await server.request("GET", `/api/projects/${created.body.id}`, { token: alice.token })).body;
+
+    const saved = await server.request("POST", "/api/design/save", {
+      token: alice.token,
+      body: { designType: "logo", designData: { concept: "sun" } },
+    });
+    assert.equal(saved.status, 200);
+    designId = saved.body.designId;
+
+    const started = await server.request("POST", "/api/start", { token: alice.token, body: { studentName: "Alice" } });
+    assert.equal(started.status, 200);
+  });
+
+  after(() => server?.stop());
+
+  describe("projects", () => {
+    it("lets the owner read the project", async () => {
+      const { status } = await server.request("GET", `/api/projects/${project.id}`, { token: alice.token });
+      assert.equal(status, 200);
+    });
+
+    it("hides the project from another student", async () => {
+      const { status, body } = await server.request("GET", `/api/projects/${project.id}`, { token: bob.token });
+      assert.equal(status, 404);
+      assert.equal(body.code, "PROJECT_NOT_FOUND");
+    });
+
+    it("rejects updates from another student", async () => {
+      const { status } = await server.request("PATCH", `/api/projects/${project.id}`, {
+        token: bob.token,
+        body: { project_title: "Stolen" },
+      });
+      assert.equal(status, 404);
+
+      const { body } = await server.request("GET", `/api/projects/${project.id}`, { token: alice.token });
+      assert.equal(body.project_title, "Solar panels");
+    });
+
+    it("rejects deletion by a student", async () => {
+      const { status, body } = await server.request("DELETE", `/api/projects/${project.id}`, { token: bob.token });
+      assert.equal(status, 403);
+      assert.equal(body.code, "INSUFFICIENT_ROLE");
+    });
+
+    it("rejects deletion by a mentor of another cohort", async () => {
+      const { status } = await server.request("DELETE", `/api/projects/${project.id}`, { token: mentor.token });
+      assert.equal(status, 404);
+
+      const { status: stillThere } = await server.request("GET", `/api/projects/${project.id}`, { token: alice.token });
+      assert.equal(stillThere, 200);
+    });
+
+    it("rejects attaching a BMC PDF to another student's project", async () => {
+      const { status } = await server.request("POST", `/api/projects/${project.id}/bmc-pdf`, { token: bob.token });
+      assert.equal(status, 404);
+    });
+
+    it("leaves the project out of another student's list", async () => {
+      const { body } = await server.request("GET", "/api/projects", { token: bob.token });
+      assert.deepEqual(body.projects, []);
+    });
+  });
+
+  describe("files", () => {
+    it("lets the owner download the logo", async () => {
+      const { status } = await server.request("GET", `/api/projects/${project.id}/files/logo`, { token: alice.token });
+      assert.equal(status, 200);
+    });
+
+    it("hides project files from another student", async () => {
+      const { status } = await server.request("GET", `/api/projects/${project.id}/files/logo`, { token: bob.token });
+      assert.equal(status, 404);
+    });
+
+    it("hides stored files by name from another student", async () => {
+      const { status, body } = await server.request("GET", `/api/files/${encodeURIComponent(project.logo)}`, { token: bob.token });
+      assert.equal(status, 404);
+      assert.equal(body.code, "FILE_NOT_FOUND");
+    });
+  });
+
+  describe("designs", () => {
+    it("lets the owner list revisions", async () => {
+      const { status } = await server.request("GET", `/api/designs/${designId}/revisions`, { token: alice.token });
+      assert.equal(status, 200);
+    });
+
+    for (const [method, path] of [
+      ["GET", "revisions"],
+      ["GET", "revisions/1"],
+      ["GET", "diff?from=1"],
+      ["POST", "revisions/1/restore"],
+      ["PUT", "revisions/1/label"],
+      ["GET", "export?format=css"],
+    ]) {
+      it(`hides ${method} /api/designs/:id/${path} from another student`, async () => {
+        const { status, body } = await server.request(method, `/api/designs/${designId}/${path}`, {
+          token: bob.token,
+          body: method === "PUT" ? { label: "mine" } : undefined,
+        });
+        assert.equal(status, 404);
+        assert.equal(body.code, "DESIGN_NOT_FOUND");
+      });
+    }
+
+    it("rejects saving over another student's design", async () => {
+      const { status } = await server.request("POST", "/api/design/save", {
+        token: bob.token,
+        body: { designId, designType: "logo", designData: "overwritten" },
+      });
+      assert.equal(status, 404);
+    });
+
+    it("rejects deleting another student's design", async () => {
+      const { status } = await server.request("DELETE", `/api/designs/${designId}`, { token: bob.token });
+      assert.equal(status, 404);
+
+      const { body } = await server.request("GET", `/api/designs/${designId}/revisions`, { token: alice.token });
+      assert.equal(body.revisions.length, 1);
+    });
+
+    it("leaves the design out of another student's list", async () => {
+      const { body } = await server.request("GET", "/api/designs", { token: bob.token });
+      assert.deepEqual(body.designs, []);
+    });
+
+    it("rejects reading another student's design list", async () => {
+      const { status } = await server.request("GET", `/api/designs/${alice.id}`, { token: bob.token });
+      assert.equal(status, 403);
+    });
+  });
+
+  describe("sessions", () => {
+    it("rejects reading another student's chat history", async () => {
+      const { status } = await server.request("GET", `/api/chat/history/${alice.id}`, { token: bob.token });
+      assert.equal(status, 403);
+    });
+
+    it("rejects exporting another student's canvas", async () => {
+      const { status, body } = await server.request("GET", `/api/bmc/export/${alice.id}`, { token: bob.token });
+      assert.equal(status, 403);
+      assert.equal(body.code, "ACCESS_DENIED");
+    });
+
+    it("lets the owner export the canvas", async () => {
+      const { status, headers } = await server.request("GET", `/api/bmc/export/${alice.id}`, { token: alice.token });
+      assert.equal(status, 200);
+      assert.equal(headers.get("content-type"), "application/pdf");
+    });
+  });
+});
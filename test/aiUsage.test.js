@@ -0,0 +1,34 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { setTimeout as delay } from "timers/promises";
+import { startServer, createAdmin } from "./helpers/server.js";
+
+// 📈 تسجيل نسخة قالب الـ prompt مع كل طلب AI في تقرير الاستهلاك
+describe("AI usage by prompt version", () => {
+  let server;
+  let admin;
+
+  before(async () => {
+    server = await startServer();
+    admin = await createAdmin(server, "admin");
+  });
+
+  after(() => server?.stop());
+
+  it("reports requests per prompt template version", async () => {
+    await server.request("POST", "/api/mode/switch", { token: admin.token, body: { mode: "design" } });
+    const chat = await server.request("POST", "/api/chat", { token: admin.token, body: { message: "I need a logo" } });
+    assert.equal(chat.status, 200);
+
+    // التسجيل لا يؤخر رد AI، لذا ننتظره قليلاً
+    let prompts = [];
+    for (let i = 0; i < 20 && !prompts.some(p => p.promptId === "design.chat"); i++) {
+      await delay(50);
+      ({ body: { prompts } } = await server.request("GET", "/api/admin/usage", { token: admin.token }));
+    }
+    const designChat = prompts.find(p => p.promptId === "design.chat");
+    assert.ok(designChat, JSON.stringify(prompts));
+    assert.equal(designChat.version, 1);
+    assert.equal(designChat.requests, 1);
+  });
+});
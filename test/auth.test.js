@@ -0,0 +1,77 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startServer, createUser, createAdmin, login } from "./helpers/server.js";
+
+// 🔑 تسجيل الخروج من كل الأجهزة
+describe("logout", () => {
+  let server;
+
+  before(async () => {
+    server = await startServer();
+  });
+
+  after(() => server?.stop());
+
+  it("revokes every refresh token with all: true", async () => {
+    const user = await createUser(server, "carol");
+    const { body: session } = await server.request("POST", "/api/auth/login", {
+      body: { email: "carol@test.local", password: "password" },
+    });
+
+    const logout = await server.request("POST", "/api/auth/logout", { token: user.token, body: { all: true } });
+    assert.equal(logout.status, 200);
+
+    const refresh = await server.request("POST", "/api/auth/refresh", { body: { refreshToken: session.refreshToken } });
+    assert.equal(refresh.status, 401);
+  });
+
+  it("requires an access token with all: true", async () => {
+    const { status } = await server.request("POST", "/api/auth/logout", { body: { all: true } });
+    assert.equal(status, 403);
+  });
+});
+
+// 🧾 التسجيل لا يمنح دفعة ولا دوراً: الدفعة من المسؤول، ودور admin من سطر الأوامر
+describe("register", () => {
+  let server;
+
+  before(async () => {
+    server = await startServer();
+  });
+
+  after(() => server?.stop());
+
+  it("ignores a cohort sent by the student", async () => {
+    const user = await createUser(server, "omar", { cohort: "alpha" });
+    const { body } = await server.request("GET", "/api/auth/me", { token: user.token });
+    assert.equal(body.role, "student");
+    assert.equal(body.cohort, null);
+  });
+
+  it("lets only an admin set the cohort", async () => {
+    const admin = await createAdmin(server, "root");
+    const user = await login(server, "omar");
+
+    const denied = await server.request("PATCH", `/api/admin/users/${user.id}`, { token: user.token, body: { cohort: "alpha" } });
+    assert.equal(denied.status, 403);
+
+    const updated = await server.request("PATCH", `/api/admin/users/${user.id}`, { token: admin.token, body: { cohort: "alpha" } });
+    assert.equal(updated.status, 200);
+    const { body } = await server.request("GET", "/api/auth/me", { token: (await login(server, "omar")).token });
+    assert.equal(body.cohort, "alpha");
+  });
+
+  it("grants the admin role from the command line only", async () => {
+    await createUser(server, "boss");
+    const registered = await server.request("GET", "/api/auth/me", { token: (await login(server, "boss")).token });
+    assert.equal(registered.body.role, "student");
+
+    await server.runScript("admin.js", ["grant", "boss@test.local"]);
+    const promoted = await server.request("GET", "/api/auth/me", { token: (await login(server, "boss")).token });
+    assert.equal(promoted.body.role, "admin");
+  });
+
+  it("fails for an unknown email", async () => {
+    await assert.rejects(server.runScript("admin.js", ["grant", "nobody@test.local"]), /User not found/);
+  });
+});
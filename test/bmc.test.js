@@ -0,0 +1,78 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startServer, createUser } from "./helpers/server.js";
+
+// 🧭 حفظ إجابات أقسام BMC عبر /api/answer
+describe("POST /api/answer", () => {
+  let server;
+  let user;
+  let sessionId;
+
+  before(async () => {
+    server = await startServer();
+    user = await createUser(server, "dina");
+    ({ body: { sessionId } } = await server.request("POST", "/api/start", { token: user.token, body: { studentName: "Dina" } }));
+  });
+
+  after(() => server?.stop());
+
+  // ⬇️ أقسام آخر نسخة من النموذج (مع السؤال المحفوظ لكل قسم)
+  async function latestSections() {
+    const { body } = await server.request("GET", `/api/bmc/sessions/${sessionId}/revisions`, { token: user.token });
+    const latest = await server.request("GET", `/api/bmc/sessions/${sessionId}/revisions/${body.revisions[0].revision}`, {
+      token: user.token,
+    });
+    return latest.body.snapshot.sections;
+  }
+
+  it("rejects a missing answer", async () => {
+    const { status, body } = await server.request("POST", "/api/answer", { token: user.token, body: {} });
+    assert.equal(status, 400);
+    assert.equal(body.code, "ANSWER_REQUIRED");
+  });
+
+  it("rejects a blank answer", async () => {
+    const { status } = await server.request("POST", "/api/answer", { token: user.token, body: { answer: "   " } });
+    assert.equal(status, 400);
+  });
+
+  it("stores the question that was asked for the section", async () => {
+    const asked = await server.request("POST", "/api/next", { token: user.token, body: {} });
+    assert.equal(asked.status, 200);
+
+    const answered = await server.request("POST", "/api/answer", { token: user.token, body: { answer: "Farmers" } });
+    assert.equal(answered.status, 200);
+    assert.equal(answered.body.section, asked.body.section);
+
+    const sections = await latestSections();
+    assert.equal(sections[asked.body.section].question, asked.body.question);
+  });
+
+  it("ignores design assistant replies sent after the question", async () => {
+    const asked = await server.request("POST", "/api/next", { token: user.token, body: {} });
+    await server.request("POST", "/api/mode/switch", { token: user.token, body: { mode: "design" } });
+    const chat = await server.request("POST", "/api/chat", { token: user.token, body: { message: "I need a logo" } });
+    assert.equal(chat.status, 200);
+    await server.request("POST", "/api/mode/switch", { token: user.token, body: { mode: "bmc" } });
+
+    const answered = await server.request("POST", "/api/answer", { token: user.token, body: { answer: "Cheap pumps" } });
+    assert.equal(answered.body.section, asked.body.section);
+
+    const sections = await latestSections();
+    assert.equal(sections[asked.body.section].question, asked.body.question);
+  });
+
+  it("does not reuse another section's question", async () => {
+    const asked = await server.request("POST", "/api/next", { token: user.token, body: {} });
+    // القسم المسؤول عنه يُجاب مباشرة، فتذهب الإجابة التالية إلى القسم الذي بعده
+    await server.request("PUT", `/api/bmc/sections/${asked.body.section}`, { token: user.token, body: { answer: "Direct" } });
+
+    const answered = await server.request("POST", "/api/answer", { token: user.token, body: { answer: "Next one" } });
+    assert.equal(answered.status, 200);
+    assert.notEqual(answered.body.section, asked.body.section);
+
+    const sections = await latestSections();
+    assert.ok(sections[answered.body.section].question);
+    assert.notEqual(sections[answered.body.section].question, asked.body.question);
+  });
+});
@@ -0,0 +1,99 @@
+import { describe, it, before, after, mock } from "node:test";
+import assert from "node:assert/strict";
+import PDFDocument from "pdfkit";
+import { renderCanvasPdf } from "../services/bmcPdfService.js";
+import { getCanvasTemplate } from "../config/canvasTemplates/index.js";
+import { startServer, createUser } from "./helpers/server.js";
+
+// 📄 تصدير النموذج PDF بكل لغات الواجهة
+describe("renderCanvasPdf", () => {
+  // ⬇️ النصوص المكتوبة في الملف (الخط مضمّن كمجموعة جزئية، فلا يُبحث في الملف نفسه)
+  async function renderText(locale) {
+    const text = mock.method(PDFDocument.prototype, "text");
+    try {
+      const pdf = await renderCanvasPdf({
+        template: getCanvasTemplate(),
+        bmcData: { customers: "Farmers", value: "Cheap solar pumps" },
+        structuredSummary: {
+          overview: "Overview",
+          sections: [{ key: "customers", title: "شرائح العملاء", bullets: ["Farmers"] }],
+          recommendations: ["Interview ten farmers"],
+        },
+        studentName: "Sara",
+        locale,
+      });
+      assert.equal(pdf.subarray(0, 5).toString(), "%PDF-");
+      return text.mock.calls.map(call => call.arguments[0]);
+    } finally {
+      text.mock.restore();
+    }
+  }
+
+  it("renders an ar canvas with Arabic labels", async () => {
+    const lines = await renderText("ar");
+    assert.ok(lines.includes("شرائح العملاء"));
+    assert.ok(lines.includes("توصيات"));
+  });
+
+  it("renders fr labels, titles and summary headings", async () => {
+    const lines = await renderText("fr");
+    assert.ok(lines.includes("Business Model Canvas: Projet sans titre"));
+    assert.ok(lines.includes("Résumé du Business Model Canvas (IA)"));
+    assert.ok(lines.includes("Recommandations"));
+    assert.equal(lines.filter(line => line === "Customer Segments").length, 2);
+    assert.ok(!lines.some(line => /[\u0600-\u06FF]/.test(line)));
+  });
+
+  it("renders en labels, titles and summary headings", async () => {
+    const lines = await renderText("en");
+    assert.ok(lines.includes("Business Model Canvas: Untitled project"));
+    assert.ok(lines.includes("Recommendations"));
+    assert.equal(lines.filter(line => line === "Customer Segments").length, 2);
+    assert.ok(!lines.some(line => /[\u0600-\u06FF]/.test(line)));
+  });
+});
+
+// 🌍 الملخص المحفوظ يُعاد توليده عند التصدير بلغة أخرى
+describe("GET /api/bmc/export/:studentId", () => {
+  let server;
+  let user;
+
+  before(async () => {
+    server = await startServer();
+    user = await createUser(server, "lina");
+    await server.request("POST", "/api/start", { token: user.token, body: { studentName: "Lina" } });
+    await server.request("PUT", "/api/bmc/sections/customers", { token: user.token, body: { answer: "Farmers" } });
+  });
+
+  after(() => server?.stop());
+
+  async function useLocale(locale) {
+    const { body } = await server.request("PATCH", "/api/auth/me", { token: user.token, body: { locale } });
+    user.token = body.token;
+  }
+
+  async function aiRequests() {
+    const { body } = await server.request("GET", "/api/auth/me/usage", { token: user.token });
+    return body.usage.daily.used.requests;
+  }
+
+  it("stores the summary with its locale and localized section titles", async () => {
+    await useLocale("fr");
+    const { body } = await server.request("POST", "/api/summary", { token: user.token });
+    assert.equal(body.structuredSummary.locale, "fr");
+    assert.deepEqual(body.structuredSummary.sections.map(s => s.title), ["Customer Segments"]);
+  });
+
+  it("regenerates the summary once for another locale", async () => {
+    await useLocale("en");
+    const before = await aiRequests();
+
+    const first = await server.request("GET", `/api/bmc/export/${user.id}`, { token: user.token });
+    assert.equal(first.status, 200);
+    assert.equal(await aiRequests(), before + 1);
+
+    const second = await server.request("GET", `/api/bmc/export/${user.id}`, { token: user.token });
+    assert.equal(second.status, 200);
+    assert.equal(await aiRequests(), before + 1);
+  });
+});
@@ -0,0 +1,19 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { reviewCanvas } from "../services/bmcReviewService.js";
+
+// 📝 مراجعة النموذج بلغة الطلب (العناوين والملاحظات معاً)
+describe("reviewCanvas", () => {
+  const session = { bmcData: { customers: "Farmers" }, sectionStates: {} };
+
+  it("returns section and template titles in the request locale", async () => {
+    const review = await reviewCanvas(session, { useAi: false, locale: "en" });
+    assert.equal(review.template.title, "Business Model Canvas");
+    assert.equal(review.sections.find(s => s.key === "customers").title, "Customer Segments");
+  });
+
+  it("keeps Arabic titles for ar", async () => {
+    const review = await reviewCanvas(session, { useAi: false, locale: "ar" });
+    assert.equal(review.sections.find(s => s.key === "customers").title, "شرائح العملاء");
+  });
+});
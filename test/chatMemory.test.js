@@ -0,0 +1,32 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { buildConversationContext } from "../services/chatMemoryService.js";
+
+// 🧠 سياق المحادثة في prompts مساعد التصميم بلغة الطلب
+describe("buildConversationContext", () => {
+  const session = {
+    id: 1,
+    projectTitle: "Ferme solaire",
+    studentName: "Sara",
+    bmcData: { customers: "Agriculteurs" },
+    chat: [
+      { id: 1, role: "user", content: "Je veux un logo" },
+      { id: 2, role: "assistant", content: "Quel style préférez-vous ?" },
+    ],
+  };
+
+  it("renders labels and roles in the request locale", async () => {
+    const context = await buildConversationContext(session, { locale: "fr" });
+    assert.match(context, /Projet : Ferme solaire/);
+    assert.match(context, /Étudiant : Je veux un logo/);
+    assert.match(context, /Assistant : Quel style préférez-vous \?/);
+    assert.match(context, /Customer Segments: Agriculteurs/);
+    assert.doesNotMatch(context, /[؀-ۿ]/);
+  });
+
+  it("keeps Arabic labels for Arabic requests", async () => {
+    const context = await buildConversationContext(session, { locale: "ar" });
+    assert.match(context, /المشروع: Ferme solaire/);
+    assert.match(context, /الطالب: Je veux un logo/);
+  });
+});
@@ -0,0 +1,27 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startServer, createUser } from "./helpers/server.js";
+
+// 🎨 اقتراحات التصميم حول لوحة ألوان مولّدة
+describe("POST /api/design/suggestions", () => {
+  let server;
+  let user;
+
+  before(async () => {
+    server = await startServer();
+    user = await createUser(server, "hana");
+  });
+
+  after(() => server?.stop());
+
+  it("returns suggestions with the generated palette and its contrast report", async () => {
+    const { status, body } = await server.request("POST", "/api/design/suggestions", {
+      token: user.token,
+      body: { projectType: "bakery", seedColor: "#C0392B" },
+    });
+    assert.equal(status, 200);
+    assert.ok(body.suggestions);
+    assert.equal(body.palette[0].hex, "#C0392B");
+    assert.equal(body.accessibility.target, "AA");
+  });
+});
@@ -0,0 +1,159 @@
+import { spawn, execFile } from "child_process";
+import fs from "fs/promises";
+import net from "net";
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const ROOT = path.join(path.dirname(fileURLToPath(import.meta.url)), "..", "..");
+const STARTUP_TIMEOUT_MS = 20000;
+
+// ⬇️ منفذ حر يختاره النظام
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.unref();
+    server.on("error", reject);
+    server.listen(0, () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+// 🧪 تشغيل الخادم في مجلد مؤقت (قاعدة بيانات ورفع ملفات وبريد معزولة) مع مزوّد AI وهمي
+// يعيد { request, runScript, stop, paths }: request(method, path, { token, body, form }) → { status, headers, body }
+// paths: { database, uploads } لفحص ما كتبه الخادم مباشرة
+export async function startServer(env = {}) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "backend-test-"));
+  const port = await freePort();
+  const serverEnv = {
+    ...process.env,
+    PORT: String(port),
+    NODE_ENV: "test",
+    LLM_PROVIDER: "fake",
+    DATABASE_PATH: path.join(dir, "app.sqlite"),
+    LEGACY_APP_DB_PATH: path.join(dir, "database.sqlite"),
+    LEGACY_STARTUPS_DB_PATH: path.join(dir, "startups.db"),
+    UPLOAD_DIR: path.join(dir, "uploads"),
+    MAIL_OUTBOX_DIR: path.join(dir, "outbox"),
+    RATE_LIMIT_IP_MAX: "unlimited",
+    RATE_LIMIT_AUTH_MAX: "unlimited",
+    RATE_LIMIT_AI_MAX: "unlimited",
+    ...env,
+  };
+  const child = spawn(process.execPath, [path.join(ROOT, "index.js")], {
+    cwd: dir,
+    env: serverEnv,
+    stdio: ["ignore", "pipe", "pipe"],
+  });
+
+  let output = "";
+  const started = new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`Server did not start:\n${output}`)), STARTUP_TIMEOUT_MS);
+    const onData = chunk => {
+      output += chunk;
+      if (output.includes("Server running")) {
+        clearTimeout(timer);
+        resolve();
+      }
+    };
+    child.stdout.on("data", onData);
+    child.stderr.on("data", onData);
+    child.on("exit", code => {
+      clearTimeout(timer);
+      reject(new Error(`Server exited with code ${code}:\n${output}`));
+    });
+  });
+  try {
+    await started;
+  } catch (error) {
+    child.removeAllListeners("exit");
+    child.kill();
+    await fs.rm(dir, { recursive: true, force: true });
+    throw error;
+  }
+
+  const baseUrl = `http://127.0.0.1:${port}`;
+
+  async function request(method, url, { token, body, form } = {}) {
+    const headers = {};
+    if (token) headers.authorization = `Bearer ${token}`;
+    if (body !== undefined) headers["content-type"] = "application/json";
+    const response = await fetch(`${baseUrl}${url}`, {
+      method,
+      headers,
+      body: form ?? (body !== undefined ? JSON.stringify(body) : undefined),
+    });
+    const text = await response.text();
+    let parsed = text;
+    try {
+      parsed = JSON.parse(text);
+    } catch {
+      // ليس JSON (ملف PDF أو صورة أو CSS...)
+    }
+    return { status: response.status, headers: response.headers, body: parsed };
+  }
+
+  // ⬇️ تشغيل سكربت من scripts/ على قاعدة بيانات الخادم نفسها
+  function runScript(script, args = []) {
+    return new Promise((resolve, reject) => {
+      const file = path.join(ROOT, "scripts", script);
+      execFile(process.execPath, [file, ...args], { cwd: dir, env: serverEnv }, (error, stdout, stderr) =>
+        error ? reject(new Error(`${script} failed:\n${stdout}${stderr}`)) : resolve(stdout)
+      );
+    });
+  }
+
+  async function stop() {
+    child.removeAllListeners("exit");
+    if (child.exitCode === null) {
+      await new Promise(resolve => {
+        child.once("exit", resolve);
+        child.kill();
+      });
+    }
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+
+  const paths = { database: serverEnv.DATABASE_PATH, uploads: serverEnv.UPLOAD_DIR };
+  return { request, runScript, stop, paths };
+}
+
+// ⬇️ تسجيل الدخول؛ يعيد { id, token } (الدور والدفعة داخل التوكن، لذا يُعاد الدخول بعد تغييرهما)
+export async function login(server, name) {
+  const { body } = await server.request("POST", "/api/auth/login", { body: { email: `${name}@test.local`, password: "password" } });
+  if (!body.token) throw new Error(`Login failed: ${JSON.stringify(body)}`);
+  const me = await server.request("GET", "/api/auth/me", { token: body.token });
+  return { id: me.body.id, token: body.token };
+}
+
+// ⬇️ تسجيل مستخدم جديد (طالب) ثم تسجيل دخوله
+export async function createUser(server, name, extra = {}) {
+  const registered = await server.request("POST", "/api/auth/register", {
+    body: { name, email: `${name}@test.local`, password: "password", ...extra },
+  });
+  if (registered.status !== 201) throw new Error(`Register failed: ${JSON.stringify(registered.body)}`);
+  return login(server, name);
+}
+
+// ⬇️ مسؤول: تسجيل عادي ثم منح الدور من سطر الأوامر
+export async function createAdmin(server, name) {
+  await createUser(server, name);
+  await server.runScript("admin.js", ["grant", `${name}@test.local`]);
+  return login(server, name);
+}
+
+// ⬇️ تعيين دفعة المستخدم (و دوره اختيارياً) عبر مسارات المسؤول، ثم إعادة الدخول
+export async function assignUser(server, admin, name, { cohort, role }) {
+  const { id } = await login(server, name);
+  if (cohort !== undefined) {
+    const { status } = await server.request("PATCH", `/api/admin/users/${id}`, { token: admin.token, body: { cohort } });
+    if (status !== 200) throw new Error(`Cohort update failed for ${name}`);
+  }
+  if (role !== undefined) {
+    const { status } = await server.request("PATCH", `/api/admin/users/${id}/role`, { token: admin.token, body: { role } });
+    if (status !== 200) throw new Error(`Role update failed for ${name}`);
+  }
+  return login(server, name);
+}
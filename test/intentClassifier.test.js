@@ -0,0 +1,40 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import { classifyIntents } from "../services/intentClassifier.js";
+
+// 🏷️ مصنف نوايا مساعد التصميم على مجموعة رسائل مصنفة يدوياً (عربية، دارجة، فرنسية، إنجليزية)
+// الرسالة صحيحة إذا طابقت النوايا المتوقعة كلها بالضبط (بدون نية زائدة أو ناقصة)
+const CORPUS = JSON.parse(fs.readFileSync(new URL("./fixtures/designIntents.json", import.meta.url)));
+const MIN_ACCURACY = 0.9;
+
+const intentsOf = text => classifyIntents(text).map(result => result.intent).sort();
+
+describe("classifyIntents", () => {
+  it(`reaches ${MIN_ACCURACY * 100}% accuracy on the labelled corpus`, () => {
+    const misses = CORPUS.filter(({ text, intents }) => JSON.stringify(intentsOf(text)) !== JSON.stringify([...intents].sort()));
+    const accuracy = 1 - misses.length / CORPUS.length;
+    assert.ok(
+      accuracy >= MIN_ACCURACY,
+      `accuracy ${accuracy.toFixed(2)} < ${MIN_ACCURACY}:\n${misses.map(m => `${m.text} → [${intentsOf(m.text)}], expected [${m.intents}]`).join("\n")}`
+    );
+  });
+
+  for (const lang of new Set(CORPUS.map(entry => entry.lang))) {
+    it(`finds an expected intent in every ${lang} design request`, () => {
+      for (const { text, intents } of CORPUS.filter(entry => entry.lang === lang && entry.intents.length > 0)) {
+        assert.ok(intentsOf(text).some(intent => intents.includes(intent)), text);
+      }
+    });
+  }
+
+  it("matches whole words only", () => {
+    assert.deepEqual(classifyIntents("apple pie recipe"), []);
+  });
+
+  it("strips the Arabic definite article and plural forms", () => {
+    assert.deepEqual(intentsOf("المواقع"), ["website"]);
+    assert.deepEqual(intentsOf("الشعارات"), ["logo"]);
+    assert.deepEqual(intentsOf("بالألوان"), ["visual_identity"]);
+  });
+});
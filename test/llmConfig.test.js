@@ -0,0 +1,13 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { FEATURE_SETTINGS } from "../config/llm.js";
+
+// 🧊 الميزات المخزّنة في الكاش تعيد نفس الرد لمدة cacheTtl، فلا معنى لحرارة عالية فيها
+describe("FEATURE_SETTINGS", () => {
+  for (const [feature, settings] of Object.entries(FEATURE_SETTINGS)) {
+    if (!settings.cacheTtl) continue;
+    it(`uses a low temperature for the cached ${feature} feature`, () => {
+      assert.ok(settings.temperature <= 0.5, `${feature}: temperature ${settings.temperature}`);
+    });
+  }
+});
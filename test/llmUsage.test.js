@@ -0,0 +1,91 @@
+import { describe, it, before, after, mock } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { setTimeout as delay } from "timers/promises";
+
+// 🧾 كل محاولة AI تُسجَّل عند إرسالها وتُحتسب في الحصة، حتى إذا فشلت بعد استهلاك توكنات
+describe("AI usage accounting", () => {
+  let dir;
+  let db;
+  let llm;
+  let usage;
+  let closeDb;
+
+  before(async () => {
+    // سجلات المحاولات والـ migrations تختلط بتقرير مشغّل الاختبارات في نفس العملية
+    mock.method(console, "log", () => {});
+    mock.method(console, "error", () => {});
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), "backend-test-"));
+    Object.assign(process.env, {
+      DATABASE_PATH: path.join(dir, "app.sqlite"),
+      LEGACY_APP_DB_PATH: path.join(dir, "database.sqlite"),
+      LEGACY_STARTUPS_DB_PATH: path.join(dir, "startups.db"),
+      LLM_PROVIDER: "fake",
+    });
+    const database = await import("../database.js");
+    await database.migrate();
+    db = await database.openDb();
+    closeDb = database.closeDb;
+    llm = await import("../services/llm/index.js");
+    usage = await import("../services/aiUsageService.js");
+  });
+
+  after(async () => {
+    mock.restoreAll();
+    await closeDb?.();
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  // ⬇️ صفوف المستخدم بعد أن يكتمل تسجيل النتيجة (لا يؤخر الرد)
+  async function settledRows(userId) {
+    let rows = [];
+    for (let i = 0; i < 20; i++) {
+      rows = await db.all("SELECT status, prompt_tokens, output_tokens FROM ai_usage WHERE user_id = ?", [userId]);
+      if (rows.length > 0 && rows.every(row => row.status !== "pending")) break;
+      await delay(20);
+    }
+    return rows;
+  }
+
+  it("records the attempt before the provider answers and counts a failure", async () => {
+    let pendingAtDispatch;
+    llm.registerProvider("fake", () => ({
+      name: "fake",
+      async generate() {
+        pendingAtDispatch = await db.get("SELECT COUNT(*) AS count FROM ai_usage WHERE user_id = 1 AND status = 'pending'");
+        throw Object.assign(new Error("Provider unavailable"), { status: 503 });
+      },
+    }));
+
+    const user = { id: 1, role: "student" };
+    await assert.rejects(usage.runWithAiUser(user, () => llm.generateText("designChat", "Logo ideas for a bakery")));
+    assert.equal(pendingAtDispatch.count, 1);
+
+    const rows = await settledRows(1);
+    assert.deepEqual(rows.map(row => row.status), ["error"]);
+    assert.ok(rows[0].prompt_tokens > 0);
+
+    const { daily } = await usage.getUserUsage(1, "student");
+    assert.equal(daily.used.requests, 1);
+    assert.equal(daily.used.tokens, rows[0].prompt_tokens);
+  });
+
+  it("counts the tokens streamed before a failure", async () => {
+    llm.registerProvider("fake", () => ({
+      name: "fake",
+      async *stream() {
+        yield "A warm palette with ";
+        throw new Error("Connection reset");
+      },
+    }));
+
+    const user = { id: 2, role: "student" };
+    await assert.rejects(usage.runWithAiUser(user, () => llm.generateText("designChat", "Colours", { onToken: () => {} })));
+
+    const rows = await settledRows(2);
+    assert.deepEqual(rows.map(row => row.status), ["error"]);
+    assert.ok(rows[0].output_tokens > 0);
+  });
+});
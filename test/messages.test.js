@@ -0,0 +1,19 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { MESSAGES, SUPPORTED_LOCALES } from "../config/messages/index.js";
+
+// 🌍 كل مفتاح في كتالوج العربية موجود في باقي اللغات (والعكس)
+const keysOf = (messages, prefix = "") =>
+  Object.entries(messages).flatMap(([key, value]) =>
+    value && typeof value === "object" && !Array.isArray(value) ? keysOf(value, `${prefix}${key}.`) : [`${prefix}${key}`]
+  );
+
+describe("message catalogs", () => {
+  const reference = keysOf(MESSAGES.ar).sort();
+
+  for (const locale of SUPPORTED_LOCALES.filter(locale => locale !== "ar")) {
+    it(`defines the same keys in ${locale} as in ar`, () => {
+      assert.deepEqual(keysOf(MESSAGES[locale]).sort(), reference);
+    });
+  }
+});
@@ -0,0 +1,31 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startServer, createUser } from "./helpers/server.js";
+
+// 🔀 تبديل وضع الجلسة
+describe("POST /api/mode/switch", () => {
+  let server;
+  let user;
+
+  before(async () => {
+    server = await startServer();
+    user = await createUser(server, "emna");
+  });
+
+  after(() => server?.stop());
+
+  it("switches to a known mode", async () => {
+    const { status, body } = await server.request("POST", "/api/mode/switch", { token: user.token, body: { mode: "design" } });
+    assert.equal(status, 200);
+    assert.equal(body.mode, "design");
+  });
+
+  it("rejects an unknown mode", async () => {
+    const { status, body } = await server.request("POST", "/api/mode/switch", {
+      token: user.token,
+      body: { mode: "anything" },
+    });
+    assert.equal(status, 400);
+    assert.equal(body.code, "INVALID_MODE");
+  });
+});
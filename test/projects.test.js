@@ -0,0 +1,77 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import sqlite3 from "sqlite3";
+import { open } from "sqlite";
+import { startServer, createUser } from "./helpers/server.js";
+
+// 📎 الملفات المحفوظة لطلب فشلت كتابته في قاعدة البيانات تُحذف من التخزين
+describe("project files when the database write fails", () => {
+  const PNG = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0, 0, 0, 0x0d, 0x49, 0x48, 0x44, 0x52]);
+  let server;
+  let user;
+  let db;
+
+  before(async () => {
+    server = await startServer();
+    user = await createUser(server, "rami");
+    db = await open({ filename: server.paths.database, driver: sqlite3.Database });
+    await db.exec("PRAGMA busy_timeout = 5000");
+  });
+
+  after(async () => {
+    await db?.close();
+    await server?.stop();
+  });
+
+  const storedFiles = () => fs.readdir(server.paths.uploads).catch(() => []);
+
+  function logoForm(title) {
+    const form = new FormData();
+    form.append("project_title", title);
+    form.append("logo", new Blob([PNG], { type: "image/png" }), "logo.png");
+    return form;
+  }
+
+  // ⬇️ trigger يُفشل الكتابة التالية على جدول projects
+  async function failNext(event) {
+    await db.exec(`CREATE TRIGGER fail_projects BEFORE ${event} ON projects BEGIN SELECT RAISE(ABORT, 'write failed'); END`);
+  }
+
+  async function restoreWrites() {
+    await db.exec("DROP TRIGGER IF EXISTS fail_projects");
+  }
+
+  it("removes the uploaded logo when the insert fails", async () => {
+    await failNext("INSERT");
+    try {
+      const { status } = await server.request("POST", "/api/projects", { token: user.token, form: logoForm("Broken") });
+      assert.equal(status, 500);
+      assert.deepEqual(await storedFiles(), []);
+    } finally {
+      await restoreWrites();
+    }
+  });
+
+  it("removes the replacement logo and keeps the old one when the update fails", async () => {
+    const created = await server.request("POST", "/api/projects", { token: user.token, form: logoForm("Kept") });
+    assert.equal(created.status, 201);
+    const before = await storedFiles();
+    assert.equal(before.length, 1);
+
+    await failNext("UPDATE");
+    try {
+      const { status } = await server.request("PATCH", `/api/projects/${created.body.id}`, {
+        token: user.token,
+        form: logoForm("Replaced"),
+      });
+      assert.equal(status, 500);
+      assert.deepEqual(await storedFiles(), before);
+    } finally {
+      await restoreWrites();
+    }
+
+    const logo = await server.request("GET", `/api/projects/${created.body.id}/files/logo`, { token: user.token });
+    assert.equal(logo.status, 200);
+  });
+});
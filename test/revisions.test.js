@@ -0,0 +1,67 @@
+import { describe, it, before, after, mock } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+
+// 🕓 حفظان متزامنان لنفس المستند على الاتصال المشترك
+describe("recordRevision", () => {
+  let dir;
+  let db;
+  let closeDb;
+  let recordRevision;
+
+  before(async () => {
+    // سجلات الـ migrations تختلط بتقرير مشغّل الاختبارات في نفس العملية
+    mock.method(console, "log", () => {});
+    mock.method(console, "error", () => {});
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), "backend-test-"));
+    Object.assign(process.env, {
+      DATABASE_PATH: path.join(dir, "app.sqlite"),
+      LEGACY_APP_DB_PATH: path.join(dir, "database.sqlite"),
+      LEGACY_STARTUPS_DB_PATH: path.join(dir, "startups.db"),
+    });
+    const database = await import("../database.js");
+    await database.migrate();
+    db = await database.openDb();
+    closeDb = database.closeDb;
+    ({ recordRevision } = await import("../services/revisionService.js"));
+  });
+
+  after(async () => {
+    mock.restoreAll();
+    await closeDb?.();
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  const revisionsOf = docId =>
+    db.all("SELECT revision, snapshot FROM revisions WHERE doc_type = 'design' AND doc_id = ? ORDER BY revision", [docId]);
+
+  it("gives concurrent saves of different content their own numbers", async () => {
+    const saved = await Promise.all(
+      ["a", "b", "c"].map(designData => recordRevision(db, "design", 1, { designData }, { source: "save" }))
+    );
+
+    const rows = await revisionsOf(1);
+    assert.deepEqual(rows.map(row => row.revision), [1, 2, 3]);
+    assert.deepEqual([...saved].sort(), [1, 2, 3]);
+    for (const [i, designData] of ["a", "b", "c"].entries()) {
+      assert.equal(JSON.parse(rows.find(row => row.revision === saved[i]).snapshot).designData, designData);
+    }
+  });
+
+  it("adds one revision for concurrent saves of the same content", async () => {
+    await recordRevision(db, "design", 2, { designData: "draft" }, { source: "save" });
+    const saved = await Promise.all(
+      [1, 2, 3].map(() => recordRevision(db, "design", 2, { designData: "final" }, { source: "save" }))
+    );
+
+    assert.deepEqual(saved, [2, 2, 2]);
+    assert.deepEqual((await revisionsOf(2)).map(row => row.revision), [1, 2]);
+  });
+
+  it("always adds a restore, even when the content is unchanged", async () => {
+    const restored = await recordRevision(db, "design", 2, { designData: "final" }, { source: "restore", restoredFrom: 2 });
+    assert.equal(restored, 3);
+  });
+});
@@ -0,0 +1,99 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startServer, createUser, createAdmin, assignUser } from "./helpers/server.js";
+
+// 🔎 ترتيب نتائج البحث في فهرس صغير
+describe("GET /api/search", () => {
+  let server;
+  let user;
+
+  before(async () => {
+    server = await startServer();
+    user = await createUser(server, "farid");
+    for (const [title, description] of [
+      ["Solar pumps", "Solar pumps for solar farms"],
+      ["Bakery", "A bakery with a solar oven"],
+    ]) {
+      const form = new FormData();
+      form.append("project_title", title);
+      form.append("description", description);
+      await server.request("POST", "/api/projects", { token: user.token, form });
+    }
+  });
+
+  after(() => server?.stop());
+
+  it("returns distinct, non-zero scores in descending order", async () => {
+    const { status, body } = await server.request("GET", "/api/search?q=solar", { token: user.token });
+    assert.equal(status, 200);
+    assert.equal(body.results.length, 2);
+
+    const [first, second] = body.results;
+    assert.equal(first.title, "Solar pumps");
+    assert.ok(second.score > 0);
+    assert.ok(first.score > second.score);
+  });
+});
+
+// 🔒 البحث يحترم صلاحيات الوصول: لا نتائج من مشاريع وتصميمات ونماذج BMC الآخرين
+describe("GET /api/search access", () => {
+  let server;
+  let admin;
+  let owner;
+  let classmate;
+  let mentor;
+  let otherMentor;
+
+  before(async () => {
+    server = await startServer();
+    admin = await createAdmin(server, "admin");
+    for (const name of ["salma", "yassine", "coach", "outsider"]) await createUser(server, name);
+    owner = await assignUser(server, admin, "salma", { cohort: "alpha" });
+    classmate = await assignUser(server, admin, "yassine", { cohort: "alpha" });
+    mentor = await assignUser(server, admin, "coach", { cohort: "alpha", role: "mentor" });
+    otherMentor = await assignUser(server, admin, "outsider", { cohort: "beta", role: "mentor" });
+
+    const form = new FormData();
+    form.append("project_title", "Photovoltaic kiosk");
+    await server.request("POST", "/api/projects", { token: owner.token, form });
+    await server.request("POST", "/api/design/save", {
+      token: owner.token,
+      body: { designType: "logo", designData: { concept: "photovoltaic sun" } },
+    });
+    await server.request("POST", "/api/start", { token: owner.token, body: { projectTitle: "Kiosk" } });
+    await server.request("PUT", "/api/bmc/sections/customers", {
+      token: owner.token,
+      body: { answer: "Villages without photovoltaic power" },
+    });
+  });
+
+  after(() => server?.stop());
+
+  async function searchTypes(user, query = "") {
+    const { status, body } = await server.request("GET", `/api/search?q=photovoltaic${query}`, { token: user.token });
+    assert.equal(status, 200);
+    return body.results.map(r => r.type).sort();
+  }
+
+  it("finds the owner's project, design and BMC answers", async () => {
+    assert.deepEqual(await searchTypes(owner), ["bmc", "design", "project"]);
+  });
+
+  it("returns nothing to another student of the same cohort", async () => {
+    assert.deepEqual(await searchTypes(classmate), []);
+    assert.deepEqual(await searchTypes(classmate, `&ownerId=${owner.id}`), []);
+  });
+
+  it("returns nothing to a mentor of another cohort", async () => {
+    assert.deepEqual(await searchTypes(otherMentor), []);
+    assert.deepEqual(await searchTypes(otherMentor, `&ownerId=${owner.id}`), []);
+  });
+
+  it("shows the cohort mentor projects and BMC answers but not designs", async () => {
+    assert.deepEqual(await searchTypes(mentor), ["bmc", "project"]);
+  });
+
+  it("shows the admin everything", async () => {
+    assert.deepEqual(await searchTypes(admin), ["bmc", "design", "project"]);
+  });
+});
@@ -0,0 +1,21 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { startServer } from "./helpers/server.js";
+
+// 💾 إعداد التخزين في الإنتاج: لا مجلد مؤقت افتراضي يُمسح عند إعادة التشغيل
+describe("production storage settings", () => {
+  const production = { NODE_ENV: "production", SECRET_KEY: "test-secret" };
+
+  it("refuses to start without UPLOAD_DIR or the s3 driver", async () => {
+    await assert.rejects(startServer({ ...production, UPLOAD_DIR: "" }), /UPLOAD_DIR/);
+  });
+
+  it("refuses to start with the s3 driver but no bucket", async () => {
+    await assert.rejects(startServer({ ...production, UPLOAD_DIR: "", STORAGE_DRIVER: "s3" }), /S3_BUCKET/);
+  });
+
+  it("starts with a configured UPLOAD_DIR", async () => {
+    const server = await startServer(production);
+    await server.stop();
+  });
+});
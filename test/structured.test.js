@@ -0,0 +1,24 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { compileSchema } from "../services/llm/structured.js";
+
+// 🧱 ترجمة مخططات الردود المنظمة مرة واحدة لكل محتوى مخطط
+describe("compileSchema", () => {
+  const schemaFor = key => ({ type: "object", required: [key], properties: { [key]: { type: "string" } } });
+
+  it("reuses the validator for schemas rebuilt with the same content", () => {
+    const first = compileSchema(schemaFor("question"));
+    const second = compileSchema(schemaFor("question"));
+    assert.equal(first, second);
+    assert.equal(second({ question: "?" }), true);
+    assert.equal(second({}), false);
+  });
+
+  it("keeps a bounded number of validators", () => {
+    const first = compileSchema(schemaFor("evicted"));
+    for (let i = 0; i < 1000; i++) compileSchema(schemaFor(`key${i}`));
+    const again = compileSchema(schemaFor("evicted"));
+    assert.notEqual(again, first);
+    assert.equal(again({ evicted: "yes" }), true);
+  });
+});